@@ -6,11 +6,13 @@ CREATE TABLE users (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
-    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('customer', 'restaurant', 'driver', 'support')),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('customer', 'restaurant', 'driver', 'support', 'admin')),
     first_name VARCHAR(100),
     last_name VARCHAR(100),
     phone VARCHAR(20),
     is_active BOOLEAN DEFAULT true,
+    email_verified_at TIMESTAMP,
+    deleted_at TIMESTAMP, -- set when the account is deleted and anonymised
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -20,12 +22,29 @@ CREATE TABLE customer_profiles (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     address TEXT,
-    payment_info JSONB, -- Store encrypted payment methods
+    payment_info JSONB, -- Legacy plaintext methods; moved to payment_methods by the key-rotation command
     preferences JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Customer address book
+CREATE TABLE customer_addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50) NOT NULL,
+    line1 VARCHAR(255) NOT NULL,
+    line2 VARCHAR(255),
+    city VARCHAR(100) NOT NULL,
+    postal_code VARCHAR(20),
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    delivery_notes TEXT,
+    is_default BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Restaurants
 CREATE TABLE restaurants (
     id SERIAL PRIMARY KEY,
@@ -35,10 +54,48 @@ CREATE TABLE restaurants (
     phone VARCHAR(20),
     cuisine_type VARCHAR(100),
     is_active BOOLEAN DEFAULT true,
+    approval_status VARCHAR(20) DEFAULT 'pending' CHECK (approval_status IN ('pending', 'approved', 'rejected')),
+    approved_at TIMESTAMP,
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA zone for opening hours
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Weekly opening windows, in the restaurant's time zone (none = always open)
+CREATE TABLE restaurant_hours (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    opens_at TIME NOT NULL,
+    closes_at TIME NOT NULL,
+    CHECK (closes_at > opens_at OR closes_at = '24:00')
+);
+
+-- Restaurant staff memberships (one login per staffer)
+CREATE TABLE restaurant_staff (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'kitchen', 'cashier')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(restaurant_id, user_id)
+);
+
+-- Pending staff invites
+CREATE TABLE restaurant_staff_invites (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'kitchen', 'cashier')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Menu items
 CREATE TABLE menu_items (
     id SERIAL PRIMARY KEY,
@@ -59,12 +116,48 @@ CREATE TABLE orders (
     customer_id INTEGER REFERENCES users(id),
     restaurant_id INTEGER REFERENCES restaurants(id),
     driver_id INTEGER REFERENCES users(id),
-    status VARCHAR(20) DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'preparing', 'ready', 'picked_up', 'delivered', 'cancelled')),
+    status VARCHAR(20) DEFAULT 'confirmed' CHECK (status IN ('scheduled', 'confirmed', 'preparing', 'ready', 'picked_up', 'delivered', 'cancelled')),
     total_amount DECIMAL(10,2) NOT NULL,
     delivery_address TEXT NOT NULL,
+    -- Snapshot of the saved address used (kept even if the address is later edited/deleted)
+    delivery_address_id INTEGER REFERENCES customer_addresses(id) ON DELETE SET NULL,
+    delivery_latitude DECIMAL(10, 8),
+    delivery_longitude DECIMAL(11, 8),
+    delivery_notes TEXT,
     special_instructions TEXT,
+    -- Requested delivery time of a scheduled order, and when it goes to the kitchen
+    scheduled_for TIMESTAMP,
+    release_at TIMESTAMP,
+    -- Itemised price in integer cents (see pricingService); total_amount = total_cents / 100
+    subtotal_cents INTEGER NOT NULL DEFAULT 0,
+    delivery_fee_cents INTEGER NOT NULL DEFAULT 0,
+    service_fee_cents INTEGER NOT NULL DEFAULT 0,
+    tax_cents INTEGER NOT NULL DEFAULT 0,
+    tax_rate_percent DECIMAL(6,3) NOT NULL DEFAULT 0,
+    discount_cents INTEGER NOT NULL DEFAULT 0, -- coupon discount, see coupon_redemptions
+    tip_cents INTEGER NOT NULL DEFAULT 0,
+    total_cents INTEGER NOT NULL DEFAULT 0,
+    -- Set when the order is cancelled: the fee kept and the amount refunded
+    cancellation_fee_cents INTEGER CHECK (cancellation_fee_cents >= 0),
+    refund_cents INTEGER CHECK (refund_cents >= 0),
+    -- Bumped on every change; the ETag of the polled status
+    version INTEGER NOT NULL DEFAULT 1,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (total_cents = subtotal_cents + delivery_fee_cents + service_fee_cents + tax_cents - discount_cents + tip_cents),
+    CHECK (cancellation_fee_cents IS NULL OR cancellation_fee_cents + refund_cents = total_cents)
+);
+
+-- Order status history (append-only timeline, one row per transition)
+CREATE TABLE order_events (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_id INTEGER REFERENCES users(id),
+    actor_type VARCHAR(20) NOT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Order items
@@ -137,6 +230,257 @@ CREATE TABLE announcements (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Announcements each user has dismissed
+CREATE TABLE announcement_dismissals (
+    announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    dismissed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (announcement_id, user_id)
+);
+
+-- Refresh tokens (hashed, rotated on every use)
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Device sessions (one per login; id is the refresh token family id)
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    device_name VARCHAR(100) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- One-time account tokens (password reset, email verification)
+CREATE TABLE account_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outgoing mail (used by the 'database' mail transport)
+CREATE TABLE mail_outbox (
+    id SERIAL PRIMARY KEY,
+    message_id UUID UNIQUE NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    from_address VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed')),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail for back-office actions
+CREATE TABLE audit_logs (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50) NOT NULL,
+    target_id VARCHAR(100),
+    details JSONB,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login lockouts (brute-force protection events)
+CREATE TABLE login_lockouts (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('email', 'ip')),
+    subject VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+    failed_attempts INTEGER NOT NULL,
+    locked_until TIMESTAMP NOT NULL,
+    cleared_at TIMESTAMP,
+    cleared_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- TOTP two-factor authentication (enabled_at NULL = enrolment in progress)
+CREATE TABLE user_two_factor (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret VARCHAR(64) NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use 2FA recovery codes (SHA-256 hashes only)
+CREATE TABLE two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payment method vault (envelope-encrypted metadata, see paymentVaultService)
+CREATE TABLE payment_methods (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    key_version INTEGER NOT NULL,
+    wrapped_key TEXT NOT NULL,
+    ciphertext TEXT NOT NULL,
+    is_default BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Restaurant API keys (POS / integrations; SHA-256 hashes only)
+CREATE TABLE api_keys (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL,
+    mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'test')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Idempotency keys: first response to an unsafe POST, replayed on retries
+CREATE TABLE idempotency_keys (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    -- Lease of the request running under the key, renewed while it runs
+    claim_token UUID NOT NULL,
+    lease_expires_at TIMESTAMP NOT NULL,
+    status_code INTEGER,
+    content_type VARCHAR(255), -- NULL for JSON responses
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+-- Menu item option groups (Size, Extra toppings, ...) and their modifiers
+CREATE TABLE menu_option_groups (
+    id SERIAL PRIMARY KEY,
+    menu_item_id INTEGER REFERENCES menu_items(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT false,
+    min_selections INTEGER NOT NULL DEFAULT 0,
+    max_selections INTEGER NOT NULL DEFAULT 1,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (min_selections >= 0 AND max_selections >= 1 AND max_selections >= min_selections)
+);
+
+CREATE TABLE menu_modifiers (
+    id SERIAL PRIMARY KEY,
+    option_group_id INTEGER REFERENCES menu_option_groups(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL DEFAULT 0,
+    is_available BOOLEAN DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Modifiers chosen for an order item (names and prices copied at order time)
+CREATE TABLE order_item_modifiers (
+    id SERIAL PRIMARY KEY,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE,
+    modifier_id INTEGER REFERENCES menu_modifiers(id) ON DELETE SET NULL,
+    group_name VARCHAR(100) NOT NULL,
+    modifier_name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL
+);
+
+-- Coupons / promo codes (restaurant_id or cuisine_type narrow where they apply)
+CREATE TABLE coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL, -- stored upper-case
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+    max_discount DECIMAL(10,2), -- cap for percentage coupons
+    min_subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+    restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE,
+    cuisine_type VARCHAR(100),
+    max_redemptions INTEGER, -- NULL = unlimited
+    max_redemptions_per_user INTEGER DEFAULT 1,
+    times_redeemed INTEGER NOT NULL DEFAULT 0,
+    valid_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    valid_until TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per order that used a coupon
+CREATE TABLE coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER REFERENCES coupons(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    order_id INTEGER UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    discount_cents INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer reviews after delivery: one of the food (restaurant) and one of
+-- the driver per order
+CREATE TABLE reviews (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    customer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    subject_type VARCHAR(20) NOT NULL CHECK (subject_type IN ('restaurant', 'driver')),
+    -- Kept (not cascaded) when the restaurant or driver goes, so the
+    -- reviews and rating_summaries stay in step
+    restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE SET NULL,
+    driver_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- driver reviews only
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    comment TEXT,
+    reply TEXT, -- the restaurant's answer
+    replied_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    replied_at TIMESTAMP,
+    moderation_status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (moderation_status IN ('visible', 'reported', 'hidden')),
+    report_reason TEXT,
+    reported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reported_at TIMESTAMP,
+    moderation_reason TEXT,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id, subject_type),
+    CHECK (subject_type = 'driver' OR driver_id IS NULL)
+);
+
+-- Running rating totals per restaurant / driver (hidden reviews excluded)
+CREATE TABLE rating_summaries (
+    subject_type VARCHAR(20) NOT NULL CHECK (subject_type IN ('restaurant', 'driver')),
+    subject_id INTEGER NOT NULL, -- restaurants.id or the driver's users.id
+    rating_total INTEGER NOT NULL DEFAULT 0,
+    rating_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (subject_type, subject_id)
+);
+
 -- Indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_type ON users(user_type);
@@ -144,20 +488,47 @@ CREATE INDEX idx_orders_customer ON orders(customer_id);
 CREATE INDEX idx_orders_restaurant ON orders(restaurant_id);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_orders_created ON orders(created_at);
+CREATE INDEX idx_orders_release ON orders(release_at) WHERE status = 'scheduled';
+CREATE INDEX idx_restaurant_hours_restaurant ON restaurant_hours(restaurant_id, day_of_week);
+CREATE INDEX idx_reviews_restaurant ON reviews(restaurant_id, created_at) WHERE subject_type = 'restaurant';
+CREATE INDEX idx_reviews_driver ON reviews(driver_id, created_at) WHERE subject_type = 'driver';
+CREATE INDEX idx_reviews_reported ON reviews(reported_at) WHERE moderation_status = 'reported';
 CREATE INDEX idx_driver_locations_driver ON driver_locations(driver_id);
 CREATE INDEX idx_driver_locations_order ON driver_locations(order_id);
 CREATE INDEX idx_chat_messages_chat ON chat_messages(chat_id);
 CREATE INDEX idx_image_uploads_status ON image_uploads(status);
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id, revoked_at);
+CREATE INDEX idx_account_tokens_user ON account_tokens(user_id, purpose);
+CREATE INDEX idx_restaurant_staff_user ON restaurant_staff(user_id);
+CREATE INDEX idx_audit_logs_target ON audit_logs(target_type, target_id);
+CREATE INDEX idx_audit_logs_actor ON audit_logs(actor_id);
+CREATE INDEX idx_login_lockouts_subject ON login_lockouts(scope, subject);
+CREATE INDEX idx_recovery_codes_user ON two_factor_recovery_codes(user_id);
+CREATE INDEX idx_payment_methods_user ON payment_methods(user_id);
+CREATE INDEX idx_payment_methods_key_version ON payment_methods(key_version);
+CREATE INDEX idx_customer_addresses_user ON customer_addresses(user_id);
+CREATE INDEX idx_api_keys_restaurant ON api_keys(restaurant_id);
+CREATE INDEX idx_order_events_order ON order_events(order_id, created_at);
+CREATE INDEX idx_menu_option_groups_item ON menu_option_groups(menu_item_id);
+CREATE INDEX idx_menu_modifiers_group ON menu_modifiers(option_group_id);
+CREATE INDEX idx_order_item_modifiers_item ON order_item_modifiers(order_item_id);
+CREATE INDEX idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
 
 -- Insert sample data for testing
 INSERT INTO users (email, password_hash, user_type, first_name, last_name, phone) VALUES
 ('customer@test.com', '$2a$10$example_hash', 'customer', 'John', 'Doe', '+1234567890'),
 ('restaurant@test.com', '$2a$10$example_hash', 'restaurant', 'Mario', 'Pizza', '+1234567891'),
 ('driver@test.com', '$2a$10$example_hash', 'driver', 'Jane', 'Smith', '+1234567892'),
-('support@test.com', '$2a$10$example_hash', 'support', 'Alice', 'Johnson', '+1234567893');
+('support@test.com', '$2a$10$example_hash', 'support', 'Alice', 'Johnson', '+1234567893'),
+('admin@test.com', '$2a$10$example_hash', 'admin', 'Ada', 'Admin', '+1234567894');
+
+INSERT INTO restaurants (user_id, name, address, cuisine_type, approval_status, approved_at) VALUES
+(2, 'Mario''s Pizza Palace', '123 Main St, City', 'Italian', 'approved', CURRENT_TIMESTAMP);
 
-INSERT INTO restaurants (user_id, name, address, cuisine_type) VALUES
-(2, 'Mario''s Pizza Palace', '123 Main St, City', 'Italian');
+INSERT INTO restaurant_staff (restaurant_id, user_id, role) VALUES
+(1, 2, 'owner');
 
 INSERT INTO menu_items (restaurant_id, name, description, price) VALUES
 (1, 'Margherita Pizza', 'Classic tomato and mozzarella', 12.99),
@@ -0,0 +1,26 @@
+// Re-encrypt stored payment methods with the active vault key
+// Usage: npm run payment:rotate-keys
+//
+// 1. Add the new key to PAYMENT_VAULT_KEYS (keep the old ones)
+// 2. Point PAYMENT_VAULT_ACTIVE_KEY at it and restart the app
+// 3. Run this command; once it reports 0 rows left, old keys can be removed
+require('dotenv').config();
+
+const { pool } = require('../src/config/database');
+const { rotateVaultKeys } = require('../src/services/paymentVaultService');
+
+const main = async () => {
+  try {
+    const { activeVersion, rotated, migrated } = await rotateVaultKeys();
+    console.log(
+      `Payment vault on key ${activeVersion}: ${rotated} methods re-encrypted, ${migrated} legacy methods migrated`
+    );
+  } catch (error) {
+    console.error('Payment key rotation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+main();
@@ -9,6 +9,10 @@ require('dotenv').config();
 
 const { connectDB } = require('./config/database');
 const { connectRedis } = require('./config/redis');
+const {
+  authenticateSocket,
+  initializeSessionEnforcement,
+} = require('./middleware/socketAuth');
 
 // Import routers
 const authRouter = require('./routes/auth');
@@ -18,11 +22,15 @@ const restaurantRouter = require('./routes/restaurant');
 const supportRouter = require('./routes/support');
 const announcementRouter = require('./routes/announcements');
 const imageRouter = require('./routes/images');
+const adminRouter = require('./routes/admin');
 
 // Import socket handlers
 const { chatHandler } = require('./sockets/chatHandler');
 const { restaurantHandler } = require('./sockets/restaurantHandler');
 const { announcementHandler } = require('./sockets/announcementHandler');
+const { initializeOrderEventDelivery } = require('./sockets/orderEventHandler');
+const { startOrderScheduler } = require('./services/scheduledOrderService');
+const { checkVaultConfig } = require('./services/paymentVaultService');
 
 const app = express();
 const server = http.createServer(app);
@@ -60,6 +68,7 @@ app.use('/api/restaurant', restaurantRouter);
 app.use('/api/support', supportRouter);
 app.use('/api/announcements', announcementRouter);
 app.use('/api/images', imageRouter);
+app.use('/api/admin', adminRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -70,9 +79,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Socket.IO handshake authentication (shared by every real-time feature)
+io.use(authenticateSocket);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  console.log(`User ${socket.data.user.id} connected:`, socket.id);
 
   // Chat functionality
   chatHandler(io, socket);
@@ -105,8 +117,14 @@ app.use('*', (req, res) => {
 // Start server
 const PORT = process.env.PORT || 3000;
 
+// Scheduled order release timer, stopped on shutdown
+let orderScheduler = null;
+
 async function startServer() {
   try {
+    // Payment vault keys must parse before we serve payment methods
+    checkVaultConfig();
+
     // Connect to databases
     await connectDB();
     await connectRedis();
@@ -114,6 +132,15 @@ async function startServer() {
     // Initialize Redis subscribers for announcements
     // initializeAnnouncementSubscribers(io);
 
+    // Disconnect sockets and SSE streams whose tokens get revoked
+    await initializeSessionEnforcement(io);
+
+    // Deliver order events to this instance's sockets and SSE streams
+    await initializeOrderEventDelivery(io);
+
+    // Release scheduled orders to their restaurants at the lead time
+    orderScheduler = startOrderScheduler();
+
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV}`);
@@ -129,6 +156,7 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  clearInterval(orderScheduler);
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
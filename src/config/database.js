@@ -27,26 +27,38 @@ const connectDB = async () => {
 };
 
 // Query helper function
-const query = async (text, params) => {
+// Pass { redact: true } for queries on sensitive data (e.g. the payment
+// vault): the log then omits the SQL and Postgres error details, which can
+// echo row values back.
+const query = async (text, params, { redact = false } = {}) => {
   const start = Date.now();
   try {
     const res = await pool.query(text, params);
     const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: res.rowCount });
+    console.log('Executed query', {
+      text: redact ? '[redacted]' : text,
+      duration,
+      rows: res.rowCount,
+    });
     return res;
   } catch (error) {
-    console.error('Query error:', error);
+    if (redact) {
+      console.error('Query error:', { code: error.code, text: '[redacted]' });
+    } else {
+      console.error('Query error:', error);
+    }
     throw error;
   }
 };
 
 // Transaction helper
-const transaction = async (callback) => {
+// With { dryRun: true } the work is always rolled back (sandbox requests)
+const transaction = async (callback, { dryRun = false } = {}) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     const result = await callback(client);
-    await client.query('COMMIT');
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
     return result;
   } catch (error) {
     await client.query('ROLLBACK');
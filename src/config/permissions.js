@@ -0,0 +1,123 @@
+// Permission registry
+// Routes and socket events ask for a permission, never for a role. Account
+// types (users.user_type) and restaurant staff roles (restaurant_staff.role)
+// map to the permissions they hold, so adding a role means adding an entry
+// here rather than editing every router.
+
+// Account-wide permissions, by user type
+const ROLE_PERMISSIONS = {
+  customer: [
+    'orders:place',
+    'orders:track',
+    'orders:cancel_own',
+    'reviews:write',
+    'deliveries:follow',
+    'account:payment_methods',
+    'account:addresses',
+    'support:chats:own',
+    'announcements:receive',
+  ],
+  restaurant: ['restaurant:access', 'announcements:receive'],
+  driver: [
+    'orders:update_status:delivery',
+    'deliveries:read',
+    'deliveries:claim',
+    'deliveries:update_location',
+    'reviews:read_own',
+    'announcements:receive',
+  ],
+  support: [
+    'orders:read_any',
+    'support:chats:handle',
+    'support:chats:transfer',
+    'lockouts:manage',
+    'reviews:moderate',
+    'announcements:receive',
+  ],
+  admin: [
+    'orders:read_any',
+    'lockouts:manage',
+    'users:read',
+    'users:manage',
+    'restaurants:review',
+    'support:chats:assign',
+    'audit_logs:read',
+    'announcements:publish',
+    'announcements:manage',
+    'coupons:manage',
+    'reviews:moderate',
+  ],
+  // Background jobs (no account has this type)
+  system: ['orders:release_scheduled'],
+};
+
+// Permissions inside one restaurant, by staff role
+const STAFF_ROLE_PERMISSIONS = {
+  owner: [
+    'orders:read',
+    'orders:update_status:kitchen',
+    'orders:cancel',
+    'restaurant:dashboard',
+    'restaurant:manage',
+    'menu:read',
+    'menu:update_availability',
+    'menu:update_options',
+    'menu:images',
+    'hours:read',
+    'hours:update',
+    'reviews:read',
+    'reviews:reply',
+    'staff:manage',
+    'api_keys:manage',
+  ],
+  manager: [
+    'orders:read',
+    'orders:update_status:kitchen',
+    'orders:cancel',
+    'restaurant:dashboard',
+    'restaurant:manage',
+    'menu:read',
+    'menu:update_availability',
+    'menu:update_options',
+    'menu:images',
+    'hours:read',
+    'hours:update',
+    'reviews:read',
+    'reviews:reply',
+    'staff:manage',
+    'api_keys:manage',
+  ],
+  kitchen: [
+    'orders:read',
+    'orders:update_status:kitchen',
+    'menu:read',
+    'menu:update_availability',
+    'hours:read',
+  ],
+  cashier: [
+    'orders:read',
+    'restaurant:dashboard',
+    'menu:read',
+    'hours:read',
+    'reviews:read',
+  ],
+};
+
+const STAFF_PERMISSIONS = new Set(Object.values(STAFF_ROLE_PERMISSIONS).flat());
+
+const hasPermission = (userType, permission) =>
+  (ROLE_PERMISSIONS[userType] || []).includes(permission);
+
+const hasStaffPermission = (staffRole, permission) =>
+  (STAFF_ROLE_PERMISSIONS[staffRole] || []).includes(permission);
+
+// Staff permissions only make sense for a specific restaurant
+const isStaffPermission = (permission) => STAFF_PERMISSIONS.has(permission);
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  STAFF_ROLE_PERMISSIONS,
+  hasPermission,
+  hasStaffPermission,
+  isStaffPermission,
+};
@@ -1,17 +1,39 @@
-const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { verifyAccessToken } = require('../services/tokenService');
+const { getMemberships } = require('../services/restaurantStaffService');
+const { hasPermission, hasStaffPermission } = require('../config/permissions');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeyService');
+const { touchSession } = require('../services/sessionService');
+
+// Opt a route in to restaurant API keys (placed before authenticateToken)
+// API keys are rejected everywhere else, and must carry `scope`
+const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
 
 // JWT Authentication middleware
+// Also accepts restaurant API keys (Bearer ffk_... or X-API-Key) on routes
+// that opted in with allowApiKey()
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    // Bearer TOKEN, or an API key in X-API-Key
+    const token =
+      (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key'];
     if (!token) {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Awaited so database/Redis failures land in the catch below
+    if (isApiKey(token)) {
+      return await authenticateWithApiKey(req, res, next, token);
+    }
+
+    // Verify JWT token and check the revocation list
+    const decoded = await verifyAccessToken(token);
 
     // Get user from database
     const result = await query(
@@ -29,8 +51,12 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Account deactivated' });
     }
 
+    // Keep the device session list's "last seen" current
+    await touchSession(decoded.fam, req.ip);
+
     // Add user info to request object
     req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -39,23 +65,61 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ error: 'Invalid token' });
     }
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
 
     console.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
-// Authorization middleware for specific user types
-const authorize = (allowedUserTypes) => {
+// Helper function to authenticate a request made with a restaurant API key
+async function authenticateWithApiKey(req, res, next, rawKey) {
+  if (!req.apiKeyScope) {
+    return res
+      .status(403)
+      .json({ error: 'API keys are not accepted for this endpoint' });
+  }
+
+  const apiKey = await authenticateApiKey(rawKey, req.ip);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      error: 'API key is missing the required scope',
+      requiredScope: req.apiKeyScope,
+      scopes: apiKey.scopes,
+    });
+  }
+
+  // Keys act as the restaurant itself, never as a person
+  req.user = {
+    id: null,
+    email: null,
+    user_type: 'restaurant',
+    first_name: apiKey.name,
+    last_name: null,
+    is_active: true,
+  };
+  req.apiKey = apiKey;
+  next();
+}
+
+// Authorization middleware: the user's account type must grant `permission`
+// (see config/permissions.js)
+const requirePermission = (permission) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!allowedUserTypes.includes(req.user.user_type)) {
+    if (!hasPermission(req.user.user_type, permission)) {
       return res.status(403).json({
         error: 'Access forbidden - insufficient permissions',
-        requiredRole: allowedUserTypes,
+        requiredPermission: permission,
         userRole: req.user.user_type,
       });
     }
@@ -64,21 +128,72 @@ const authorize = (allowedUserTypes) => {
   };
 };
 
-// Generate JWT token
-const generateToken = (user) => {
-  const payload = {
-    userId: user.id,
-    email: user.email,
-    userType: user.user_type,
-  };
+// Authorization middleware for restaurant staff
+// Resolves which restaurant the request is for (X-Restaurant-Id header when
+// the user works at several), checks the staff role there grants
+// `permission` and attaches the restaurant as req.restaurant
+const authorizeRestaurant = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      // API keys are bound to one restaurant; scopes were checked on auth
+      if (req.apiKey) {
+        req.restaurant = {
+          id: req.apiKey.restaurantId,
+          name: req.apiKey.restaurantName,
+          role: 'api_key',
+        };
+        return next();
+      }
 
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-  });
+      const memberships = await getMemberships(req.user.id);
+      const requestedId = req.headers['x-restaurant-id'];
+
+      let membership;
+      if (requestedId) {
+        membership = memberships.find(
+          (m) => String(m.restaurantId) === String(requestedId)
+        );
+      } else if (memberships.length > 1) {
+        return res.status(400).json({
+          error: 'Multiple restaurants - specify X-Restaurant-Id header',
+          restaurants: memberships,
+        });
+      } else {
+        membership = memberships[0];
+      }
+
+      if (!membership) {
+        return res.status(404).json({ error: 'Restaurant not found' });
+      }
+
+      if (!hasStaffPermission(membership.role, permission)) {
+        return res.status(403).json({
+          error: 'Access forbidden - insufficient restaurant role',
+          requiredPermission: permission,
+          userRole: membership.role,
+        });
+      }
+
+      req.restaurant = {
+        id: membership.restaurantId,
+        name: membership.restaurantName,
+        role: membership.role,
+      };
+      next();
+    } catch (error) {
+      console.error('Restaurant authorization error:', error);
+      res.status(500).json({ error: 'Authorization failed' });
+    }
+  };
 };
 
 module.exports = {
+  allowApiKey,
   authenticateToken,
-  authorize,
-  generateToken,
+  requirePermission,
+  authorizeRestaurant,
 };
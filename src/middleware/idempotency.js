@@ -0,0 +1,138 @@
+const {
+  CLAIM_RENEW_MS,
+  CLAIM_MAX_RENEW_MS,
+  requestFingerprint,
+  beginRequest,
+  renewClaim,
+  completeRequest,
+  releaseRequest,
+} = require('../services/idempotencyService');
+
+// Idempotency-Key support for unsafe POSTs (placed after authenticateToken)
+// Without the header the request runs as usual. With it, a repeat of the
+// same request gets the first response back (marked Idempotent-Replayed)
+// instead of e.g. creating a second order.
+const idempotent = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (key === undefined) {
+    return next();
+  }
+
+  const userId = req.user.id;
+  const fingerprint = requestFingerprint(req);
+  let claimToken;
+
+  try {
+    const claim = await beginRequest({ userId, key, fingerprint });
+
+    if (claim.replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return sendReplay(res, claim.replay);
+    }
+    claimToken = claim.claimToken;
+  } catch (error) {
+    if (error.name === 'IdempotencyError') {
+      if (error.statusCode === 409) {
+        res.set('Retry-After', '1');
+      }
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Idempotency check error:', error);
+    return res.status(500).json({ error: 'Failed to process request' });
+  }
+
+  // Keep the claim while the request runs, however slow it is
+  const startedAt = Date.now();
+  const renewal = setInterval(() => {
+    if (Date.now() - startedAt > CLAIM_MAX_RENEW_MS) {
+      clearInterval(renewal);
+      return;
+    }
+    renewClaim({ userId, key, claimToken }).catch((error) => {
+      console.error('Idempotency renew error:', error);
+    });
+  }, CLAIM_RENEW_MS);
+  renewal.unref();
+
+  let settled = false;
+  const settle = ({ contentType, body }) => {
+    settled = true;
+    clearInterval(renewal);
+
+    // Server errors aren't stored; the client may retry with the same key
+    const statusCode = res.statusCode;
+    const stored =
+      statusCode >= 500
+        ? releaseRequest({ userId, key, claimToken })
+        : completeRequest({
+            userId,
+            key,
+            claimToken,
+            fingerprint,
+            statusCode,
+            contentType,
+            body,
+          });
+
+    return stored.catch((error) => {
+      console.error('Idempotency store error:', error);
+    });
+  };
+
+  // Store the response before sending it, so an immediate retry replays it.
+  // res.json ends up here too.
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    if (settled) {
+      return send(body);
+    }
+    settle(responseToStore(res, body)).finally(() => send(body));
+    return res;
+  };
+
+  // Responses that bypass res.send (res.end, piped streams) are stored with
+  // their status only
+  res.on('finish', () => {
+    if (!settled) {
+      settle({ contentType: 'text/plain; charset=utf-8', body: '' });
+    }
+  });
+
+  next();
+};
+
+// Helper function to turn a res.send() body into { contentType, body } for
+// storage (contentType null for JSON)
+function responseToStore(res, body) {
+  const contentType = res.get('Content-Type');
+
+  if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    return { contentType: null, body };
+  }
+  if (typeof body === 'string' && /json/i.test(contentType || '')) {
+    try {
+      return { contentType: null, body: JSON.parse(body) };
+    } catch (error) {
+      // Not actually JSON; stored as text below
+    }
+  }
+
+  return {
+    contentType: contentType || 'text/html; charset=utf-8',
+    body: body === undefined || body === null ? '' : body.toString(),
+  };
+}
+
+// Helper function to send a stored response again
+function sendReplay(res, replay) {
+  res.status(replay.statusCode);
+  if (replay.contentType) {
+    return res.type(replay.contentType).send(replay.body);
+  }
+  return res.json(replay.body);
+}
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,219 @@
+const { query } = require('../config/database');
+const { subscribe } = require('../config/redis');
+const {
+  verifyAccessToken,
+  isRevokedBy,
+  TOKEN_REVOCATION_CHANNEL,
+} = require('../services/tokenService');
+const { endRevokedStreams } = require('../services/sseService');
+const {
+  hasPermission,
+  hasStaffPermission,
+  isStaffPermission,
+} = require('../config/permissions');
+
+// Socket.IO handshake authentication
+// Same guarantees as the REST authenticateToken middleware: valid, unrevoked
+// token and an active account. Sockets are dropped when the token expires or
+// is revoked, instead of living on after the join.
+
+// Pull the token from auth payload, query string or Authorization header
+function extractToken(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+  if (handshake.query && handshake.query.token) {
+    return handshake.query.token;
+  }
+  const authHeader = handshake.headers && handshake.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+function authError(message, code) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+async function loadActiveUser(userId) {
+  const result = await query(
+    'SELECT id, email, user_type, first_name, last_name, is_active FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw authError('Invalid token - user not found', 'USER_NOT_FOUND');
+  }
+
+  const user = result.rows[0];
+  if (!user.is_active) {
+    throw authError('Account deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+
+  return user;
+}
+
+function mapTokenError(error) {
+  if (error.name === 'TokenExpiredError') {
+    return authError('Token expired', 'TOKEN_EXPIRED');
+  }
+  if (error.name === 'JsonWebTokenError') {
+    return authError('Invalid token', 'INVALID_TOKEN');
+  }
+  if (error.name === 'TokenRevokedError') {
+    return authError('Token revoked', 'TOKEN_REVOKED');
+  }
+  return error;
+}
+
+const SESSION_END_MESSAGES = {
+  token_expired: 'Session expired, reconnect with a fresh token',
+  token_revoked: 'Session revoked',
+  account_deactivated: 'Account deactivated',
+  user_not_found: 'Account no longer exists',
+};
+
+// Tell the client why, then drop the connection
+function endSession(socket, reason) {
+  socket.emit('session-ended', {
+    reason,
+    message: SESSION_END_MESSAGES[reason] || 'Session revoked',
+    timestamp: new Date().toISOString(),
+  });
+  socket.disconnect(true);
+}
+
+// (Re)arm the timer that disconnects the socket when its token expires
+function scheduleExpiry(socket) {
+  clearTimeout(socket.expiryTimer);
+
+  const msUntilExpiry = socket.data.token.exp * 1000 - Date.now();
+  socket.expiryTimer = setTimeout(
+    () => endSession(socket, 'token_expired'),
+    Math.max(msUntilExpiry, 0)
+  );
+}
+
+/**
+ * io.use() middleware: authenticate the handshake and attach the user
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const token = extractToken(socket.handshake);
+    if (!token) {
+      return next(authError('Access token required', 'TOKEN_REQUIRED'));
+    }
+
+    const decoded = await verifyAccessToken(token);
+    const user = await loadActiveUser(decoded.userId);
+
+    socket.data.user = user;
+    socket.data.token = decoded;
+
+    // Personal room so revocations can find every socket of a user
+    socket.join(`user-${user.id}`);
+
+    scheduleExpiry(socket);
+
+    // Let long-lived clients swap in a refreshed access token
+    socket.on('refresh-session', async (data = {}) => {
+      try {
+        const refreshed = await verifyAccessToken(data.token);
+        if (refreshed.userId !== user.id) {
+          socket.emit('error', { message: 'Token belongs to another user' });
+          return;
+        }
+
+        // A deactivated (or deleted) account can't extend its session
+        await loadActiveUser(refreshed.userId);
+
+        socket.data.token = refreshed;
+        scheduleExpiry(socket);
+
+        socket.emit('session-refreshed', {
+          expiresAt: new Date(refreshed.exp * 1000).toISOString(),
+        });
+      } catch (error) {
+        // USER_NOT_FOUND / ACCOUNT_DEACTIVATED from loadActiveUser
+        if (error.data) {
+          endSession(socket, error.data.code.toLowerCase());
+          return;
+        }
+        socket.emit('error', { message: mapTokenError(error).message });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      clearTimeout(socket.expiryTimer);
+    });
+
+    next();
+  } catch (error) {
+    const mapped = mapTokenError(error);
+    if (!mapped.data) {
+      console.error('Socket auth error:', error);
+      return next(authError('Authentication failed', 'AUTH_FAILED'));
+    }
+    next(mapped);
+  }
+}
+
+/**
+ * Does the socket's user hold `permission`? Staff permissions are checked
+ * against the role in the restaurant room the socket joined.
+ */
+function socketHasPermission(socket, permission) {
+  if (isStaffPermission(permission)) {
+    return hasStaffPermission(socket.restaurantRole, permission);
+  }
+  return hasPermission(socket.data.user.user_type, permission);
+}
+
+/**
+ * Wrap a socket event handler so it only runs when the user holds
+ * `permission` (same registry as the REST requirePermission middleware)
+ */
+function guardEvent(socket, permission, handler) {
+  return (...args) => {
+    if (!socketHasPermission(socket, permission)) {
+      socket.emit('error', {
+        message: 'Access denied',
+        requiredPermission: permission,
+      });
+      return;
+    }
+    return handler(...args);
+  };
+}
+
+/**
+ * Listen for token revocations (published by tokenService) and disconnect
+ * the affected sockets and SSE streams on this instance.
+ * Call once Redis is connected.
+ */
+async function initializeSessionEnforcement(io) {
+  await subscribe(TOKEN_REVOCATION_CHANNEL, async (event) => {
+    try {
+      endRevokedStreams(event);
+
+      const sockets = await io.in(`user-${event.userId}`).fetchSockets();
+
+      sockets.forEach((socket) => {
+        if (isRevokedBy(event, socket.data.token)) {
+          endSession(socket, 'token_revoked');
+        }
+      });
+    } catch (error) {
+      console.error('Session enforcement error:', error);
+    }
+  });
+
+  console.log(`Subscribed to Redis channel: ${TOKEN_REVOCATION_CHANNEL}`);
+}
+
+module.exports = {
+  authenticateSocket,
+  socketHasPermission,
+  guardEvent,
+  initializeSessionEnforcement,
+};
@@ -0,0 +1,965 @@
+const express = require('express');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { revokeAllUserTokens } = require('../services/tokenService');
+const { recordAudit, auditContext } = require('../services/auditService');
+const { releaseLockout } = require('../services/loginThrottleService');
+const { disableTwoFactor } = require('../services/twoFactorService');
+const {
+  COUPON_FIELDS,
+  validateCoupon,
+  createCoupon,
+  formatCoupon,
+} = require('../services/couponService');
+const {
+  MODERATION_STATUSES,
+  parsePagination,
+  listModerationQueue,
+  moderateReview,
+  formatReview,
+} = require('../services/reviewService');
+
+const router = express.Router();
+
+// BACK-OFFICE: Admin API (Request/Response Pattern)
+// Pattern Choice: HTTP REST API, one permission per route (admin role by default)
+// Reasoning: Low-volume operator actions that need immediate confirmation and an audit trail
+// Announcement management lives at /api/announcements (also admin-only and audited)
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/admin/lockouts
+ * Login lockouts (support and admin). Active ones by default; ?active=false for history
+ */
+router.get(
+  '/lockouts',
+  requirePermission('lockouts:manage'),
+  async (req, res) => {
+    try {
+      const { active = 'true', email, page = 1, limit = 50 } = req.query;
+
+      let whereClause = 'WHERE 1=1';
+      const params = [];
+      let paramIndex = 1;
+
+      if (active === 'true') {
+        whereClause +=
+          ' AND ll.cleared_at IS NULL AND ll.locked_until > CURRENT_TIMESTAMP';
+      }
+
+      if (email) {
+        whereClause += ` AND ll.scope = 'email' AND ll.subject = $${paramIndex}`;
+        params.push(email.toLowerCase());
+        paramIndex++;
+      }
+
+      const offset = (page - 1) * limit;
+      const result = await query(
+        `SELECT ll.id, ll.scope, ll.subject, ll.user_id, ll.ip_address, ll.failed_attempts,
+              ll.locked_until, ll.cleared_at, ll.cleared_by, ll.created_at,
+              c.email as cleared_by_email
+       FROM login_lockouts ll
+       LEFT JOIN users c ON ll.cleared_by = c.id
+       ${whereClause}
+       ORDER BY ll.created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, parseInt(limit), offset]
+      );
+
+      res.json({
+        lockouts: result.rows.map((lockout) => ({
+          id: lockout.id,
+          scope: lockout.scope,
+          subject: lockout.subject,
+          userId: lockout.user_id,
+          ipAddress: lockout.ip_address,
+          failedAttempts: lockout.failed_attempts,
+          lockedUntil: lockout.locked_until,
+          clearedAt: lockout.cleared_at,
+          clearedBy: lockout.cleared_by_email,
+          createdAt: lockout.created_at,
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      console.error('Lockout fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch lockouts' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/lockouts/:lockoutId
+ * Clear a login lockout early (support and admin)
+ */
+router.delete(
+  '/lockouts/:lockoutId',
+  requirePermission('lockouts:manage'),
+  async (req, res) => {
+    try {
+      const { lockoutId } = req.params;
+
+      const result = await query(
+        `SELECT id, scope, subject FROM login_lockouts
+         WHERE id = $1 AND cleared_at IS NULL`,
+        [lockoutId]
+      );
+
+      if (result.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ error: 'Lockout not found or already cleared' });
+      }
+
+      const lockout = result.rows[0];
+      await releaseLockout(lockout.scope, lockout.subject, req.user.id);
+
+      await recordAudit({
+        ...auditContext(req),
+        action: 'lockout.clear',
+        targetType: 'login_lockout',
+        targetId: lockout.id,
+        details: { scope: lockout.scope, subject: lockout.subject },
+      });
+
+      res.json({
+        message: 'Lockout cleared',
+        lockoutId: lockout.id,
+      });
+    } catch (error) {
+      console.error('Lockout clear error:', error);
+      res.status(500).json({ error: 'Failed to clear lockout' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/users
+ * Search users by name/email, type and active flag
+ */
+router.get('/users', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { search, type, active, page = 1, limit = 20 } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (search) {
+      whereClause += ` AND (email ILIKE $${paramIndex} OR first_name || ' ' || last_name ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    if (type) {
+      whereClause += ` AND user_type = $${paramIndex}`;
+      params.push(type);
+      paramIndex++;
+    }
+
+    if (active !== undefined) {
+      whereClause += ` AND is_active = $${paramIndex}`;
+      params.push(active === 'true');
+      paramIndex++;
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM users ${whereClause}`,
+      params
+    );
+
+    const offset = (page - 1) * limit;
+    const result = await query(
+      `SELECT id, email, user_type, first_name, last_name, phone, is_active,
+              email_verified_at, created_at, updated_at
+       FROM users
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      users: result.rows.map(formatUser),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Admin user search error:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId
+ * User details with recent audit history
+ */
+router.get(
+  '/users/:userId',
+  requirePermission('users:read'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const result = await query(
+        `SELECT id, email, user_type, first_name, last_name, phone, is_active,
+              email_verified_at, created_at, updated_at
+       FROM users WHERE id = $1`,
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const historyResult = await query(
+        `SELECT al.action, al.details, al.created_at,
+              a.first_name || ' ' || a.last_name as actor_name
+       FROM audit_logs al
+       LEFT JOIN users a ON al.actor_id = a.id
+       WHERE al.target_type = 'user' AND al.target_id = $1
+       ORDER BY al.created_at DESC
+       LIMIT 20`,
+        [String(userId)]
+      );
+
+      res.json({
+        user: formatUser(result.rows[0]),
+        history: historyResult.rows.map((entry) => ({
+          action: entry.action,
+          actorName: entry.actor_name,
+          details: entry.details,
+          createdAt: entry.created_at,
+        })),
+      });
+    } catch (error) {
+      console.error('Admin user fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch user' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:userId/deactivate
+ * Deactivate an account and end all of its sessions immediately
+ */
+router.put(
+  '/users/:userId/deactivate',
+  requirePermission('users:manage'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+
+      if (String(userId) === String(req.user.id)) {
+        return res
+          .status(400)
+          .json({ error: 'You cannot deactivate your own account' });
+      }
+
+      const user = await transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND is_active = true
+         RETURNING id, email, user_type`,
+          [userId]
+        );
+
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action: 'user.deactivate',
+            targetType: 'user',
+            targetId: userId,
+            details: { reason },
+          },
+          client
+        );
+
+        return result.rows[0];
+      });
+
+      if (!user) {
+        return res
+          .status(404)
+          .json({ error: 'User not found or already deactivated' });
+      }
+
+      // Kills refresh tokens, access tokens and live sockets
+      await revokeAllUserTokens(user.id);
+
+      res.json({
+        message: 'User deactivated',
+        userId: user.id,
+        email: user.email,
+        isActive: false,
+      });
+    } catch (error) {
+      console.error('Admin deactivate error:', error);
+      res.status(500).json({ error: 'Failed to deactivate user' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:userId/reactivate
+ * Reactivate a deactivated account
+ */
+router.put(
+  '/users/:userId/reactivate',
+  requirePermission('users:manage'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE users SET is_active = true, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND is_active = false AND deleted_at IS NULL
+         RETURNING id, email`,
+          [userId]
+        );
+
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action: 'user.reactivate',
+            targetType: 'user',
+            targetId: userId,
+          },
+          client
+        );
+
+        return result.rows[0];
+      });
+
+      if (!user) {
+        return res
+          .status(404)
+          .json({ error: 'User not found, already active or deleted' });
+      }
+
+      res.json({
+        message: 'User reactivated',
+        userId: user.id,
+        email: user.email,
+        isActive: true,
+      });
+    } catch (error) {
+      console.error('Admin reactivate error:', error);
+      res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:userId/2fa
+ * Reset two-factor auth for a user who lost their device and recovery codes
+ * They re-enrol on next login if policy requires it.
+ */
+router.delete(
+  '/users/:userId/2fa',
+  requirePermission('users:manage'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const removed = await transaction(async (client) => {
+        const wasEnrolled = await disableTwoFactor(userId, client);
+        if (!wasEnrolled) {
+          return false;
+        }
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action: 'user.reset_2fa',
+            targetType: 'user',
+            targetId: userId,
+          },
+          client
+        );
+
+        return true;
+      });
+
+      if (!removed) {
+        return res
+          .status(404)
+          .json({ error: 'User not found or has no two-factor setup' });
+      }
+
+      res.json({
+        message: 'Two-factor authentication reset',
+        userId: parseInt(userId),
+      });
+    } catch (error) {
+      console.error('Admin 2FA reset error:', error);
+      res
+        .status(500)
+        .json({ error: 'Failed to reset two-factor authentication' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/restaurants
+ * List restaurants, optionally filtered by approval status
+ */
+router.get(
+  '/restaurants',
+  requirePermission('restaurants:review'),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+      const validStatuses = ['pending', 'approved', 'rejected'];
+
+      if (status && !validStatuses.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status', validStatuses });
+      }
+
+      const result = await query(
+        `SELECT r.id, r.name, r.cuisine_type, r.address, r.approval_status, r.approved_at,
+              r.is_active, r.created_at,
+              u.email as owner_email, u.first_name || ' ' || u.last_name as owner_name
+       FROM restaurants r
+       JOIN users u ON r.user_id = u.id
+       WHERE ($1::text IS NULL OR r.approval_status = $1)
+       ORDER BY r.created_at ASC`,
+        [status || null]
+      );
+
+      res.json({
+        restaurants: result.rows.map((restaurant) => ({
+          id: restaurant.id,
+          name: restaurant.name,
+          cuisineType: restaurant.cuisine_type,
+          address: restaurant.address,
+          approvalStatus: restaurant.approval_status,
+          approvedAt: restaurant.approved_at,
+          isActive: restaurant.is_active,
+          ownerName: restaurant.owner_name,
+          ownerEmail: restaurant.owner_email,
+          createdAt: restaurant.created_at,
+        })),
+        count: result.rows.length,
+      });
+    } catch (error) {
+      console.error('Admin restaurants fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch restaurants' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/restaurants/:restaurantId/approve
+ * Approve a restaurant so it can receive orders
+ */
+router.put(
+  '/restaurants/:restaurantId/approve',
+  requirePermission('restaurants:review'),
+  decideRestaurant('approved')
+);
+
+/**
+ * PUT /api/admin/restaurants/:restaurantId/reject
+ * Reject a restaurant application (reason required)
+ */
+router.put(
+  '/restaurants/:restaurantId/reject',
+  requirePermission('restaurants:review'),
+  decideRestaurant('rejected')
+);
+
+/**
+ * PUT /api/admin/chats/:chatId/assign
+ * Reassign a support chat to another agent (ignores agent capacity limits)
+ */
+router.put(
+  '/chats/:chatId/assign',
+  requirePermission('support:chats:assign'),
+  async (req, res) => {
+    try {
+      const { chatId } = req.params;
+      const { agentId, reason } = req.body;
+
+      if (!agentId) {
+        return res.status(400).json({ error: 'Agent ID is required' });
+      }
+
+      const agentResult = await query(
+        `SELECT id, first_name, last_name FROM users
+       WHERE id = $1 AND user_type = 'support' AND is_active = true`,
+        [agentId]
+      );
+
+      if (agentResult.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ error: 'Target agent not found or unavailable' });
+      }
+
+      const agent = agentResult.rows[0];
+
+      const chat = await transaction(async (client) => {
+        const current = await client.query(
+          `SELECT id, agent_id FROM support_chats
+         WHERE id = $1 AND status = 'active'
+         FOR UPDATE`,
+          [chatId]
+        );
+
+        if (current.rows.length === 0) {
+          return null;
+        }
+
+        await client.query(
+          `UPDATE support_chats SET agent_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+          [agentId, chatId]
+        );
+
+        await client.query(
+          `INSERT INTO chat_messages (chat_id, sender_id, message, message_type)
+         VALUES ($1, $2, $3, 'text')`,
+          [
+            chatId,
+            req.user.id,
+            `Chat reassigned to ${agent.first_name} ${agent.last_name}. Reason: ${
+              reason || 'No reason specified'
+            }`,
+          ]
+        );
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action: 'chat.reassign',
+            targetType: 'support_chat',
+            targetId: chatId,
+            details: {
+              fromAgentId: current.rows[0].agent_id,
+              toAgentId: agent.id,
+              reason,
+            },
+          },
+          client
+        );
+
+        return current.rows[0];
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Active chat not found' });
+      }
+
+      res.json({
+        message: 'Chat reassigned successfully',
+        chatId: chat.id,
+        previousAgentId: chat.agent_id,
+        agentId: agent.id,
+        agentName: `${agent.first_name} ${agent.last_name}`,
+      });
+    } catch (error) {
+      console.error('Admin chat reassign error:', error);
+      res.status(500).json({ error: 'Failed to reassign chat' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/coupons
+ * Coupons with their redemption counts; ?active=true for usable ones only
+ */
+router.get(
+  '/coupons',
+  requirePermission('coupons:manage'),
+  async (req, res) => {
+    try {
+      const { active } = req.query;
+
+      const result = await query(
+        `SELECT ${COUPON_FIELDS} FROM coupons
+       ${active === 'true' ? 'WHERE is_active = true AND (valid_until IS NULL OR valid_until > CURRENT_TIMESTAMP)' : ''}
+       ORDER BY created_at DESC`
+      );
+
+      res.json({ coupons: result.rows.map(formatCoupon) });
+    } catch (error) {
+      console.error('Admin coupons fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch coupons' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/coupons
+ * Create a platform coupon or a restaurant / cuisine promo code
+ */
+router.post(
+  '/coupons',
+  requirePermission('coupons:manage'),
+  async (req, res) => {
+    try {
+      const { coupon, error } = validateCoupon(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const created = await transaction(async (client) => {
+        const row = await createCoupon(coupon, req.user.id, client);
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action: 'coupon.create',
+            targetType: 'coupon',
+            targetId: row.id,
+            details: { code: row.code },
+          },
+          client
+        );
+
+        return row;
+      });
+
+      res.status(201).json({
+        message: 'Coupon created',
+        coupon: formatCoupon(created),
+      });
+    } catch (error) {
+      if (error.name === 'CouponError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      if (error.code === '23503') {
+        return res.status(400).json({ error: 'Restaurant not found' });
+      }
+
+      console.error('Admin coupon create error:', error);
+      res.status(500).json({ error: 'Failed to create coupon' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/coupons/:couponId/deactivate
+ * Stop a coupon from being redeemed (past redemptions are kept)
+ */
+router.put(
+  '/coupons/:couponId/deactivate',
+  requirePermission('coupons:manage'),
+  async (req, res) => {
+    try {
+      const { couponId } = req.params;
+
+      const coupon = await transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE coupons SET is_active = false, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND is_active = true
+           RETURNING ${COUPON_FIELDS}`,
+          [couponId]
+        );
+
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action: 'coupon.deactivate',
+            targetType: 'coupon',
+            targetId: couponId,
+            details: { code: result.rows[0].code },
+          },
+          client
+        );
+
+        return result.rows[0];
+      });
+
+      if (!coupon) {
+        return res
+          .status(404)
+          .json({ error: 'Coupon not found or already inactive' });
+      }
+
+      res.json({
+        message: 'Coupon deactivated',
+        coupon: formatCoupon(coupon),
+      });
+    } catch (error) {
+      console.error('Admin coupon deactivate error:', error);
+      res.status(500).json({ error: 'Failed to deactivate coupon' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/reviews
+ * Review moderation queue (support and admin): reported reviews by default,
+ * ?status=hidden or visible to browse the others
+ */
+router.get(
+  '/reviews',
+  requirePermission('reviews:moderate'),
+  async (req, res) => {
+    try {
+      const { status = 'reported' } = req.query;
+      const { page, limit } = parsePagination(req.query, 50);
+
+      if (!MODERATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${MODERATION_STATUSES.join(', ')}`,
+        });
+      }
+
+      const { reviews, totalCount } = await listModerationQueue({
+        status,
+        page,
+        limit,
+      });
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.json({
+        reviews: reviews.map((review) => ({
+          ...formatReview(review, 'moderator'),
+          restaurantName: review.restaurant_name,
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error('Admin reviews fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/reviews/:reviewId/moderation
+ * Hide an abusive review (with a reason) or restore it / dismiss its report:
+ * { action: 'hide' | 'restore', reason }. Hidden reviews leave the ratings.
+ */
+router.put(
+  '/reviews/:reviewId/moderation',
+  requirePermission('reviews:moderate'),
+  async (req, res) => {
+    try {
+      const { reviewId } = req.params;
+      const { action, reason } = req.body;
+
+      const review = await transaction(async (client) => {
+        const moderated = await moderateReview(client, {
+          reviewId,
+          action,
+          reason,
+          moderatedBy: req.user.id,
+        });
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action: `review.${action}`,
+            targetType: 'review',
+            targetId: reviewId,
+            details: { reason },
+          },
+          client
+        );
+
+        return moderated;
+      });
+
+      res.json({
+        message: action === 'hide' ? 'Review hidden' : 'Review restored',
+        review: formatReview(review, 'moderator'),
+      });
+    } catch (error) {
+      if (error.name === 'ReviewError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('Admin review moderation error:', error);
+      res.status(500).json({ error: 'Failed to moderate review' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/audit-logs
+ * Browse the audit trail
+ */
+router.get(
+  '/audit-logs',
+  requirePermission('audit_logs:read'),
+  async (req, res) => {
+    try {
+      const {
+        actorId,
+        action,
+        targetType,
+        targetId,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      let whereClause = 'WHERE 1=1';
+      const params = [];
+      let paramIndex = 1;
+
+      const filters = [
+        ['al.actor_id', actorId],
+        ['al.action', action],
+        ['al.target_type', targetType],
+        ['al.target_id', targetId],
+      ];
+      for (const [column, value] of filters) {
+        if (value !== undefined) {
+          whereClause += ` AND ${column} = $${paramIndex}`;
+          params.push(value);
+          paramIndex++;
+        }
+      }
+
+      const offset = (page - 1) * limit;
+      const result = await query(
+        `SELECT al.id, al.actor_id, al.action, al.target_type, al.target_id,
+              al.details, al.ip_address, al.created_at,
+              a.email as actor_email
+       FROM audit_logs al
+       LEFT JOIN users a ON al.actor_id = a.id
+       ${whereClause}
+       ORDER BY al.created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, parseInt(limit), offset]
+      );
+
+      res.json({
+        auditLogs: result.rows.map((entry) => ({
+          id: entry.id,
+          actorId: entry.actor_id,
+          actorEmail: entry.actor_email,
+          action: entry.action,
+          targetType: entry.target_type,
+          targetId: entry.target_id,
+          details: entry.details,
+          ipAddress: entry.ip_address,
+          createdAt: entry.created_at,
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      console.error('Audit log fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch audit logs' });
+    }
+  }
+);
+
+// Route handler factory for restaurant approval decisions
+function decideRestaurant(approvalStatus) {
+  return async (req, res) => {
+    try {
+      const { restaurantId } = req.params;
+      const { reason } = req.body;
+
+      if (approvalStatus === 'rejected' && !reason) {
+        return res.status(400).json({ error: 'Rejection reason is required' });
+      }
+
+      const restaurant = await transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE restaurants
+           SET approval_status = $1,
+               approved_at = CASE WHEN $1 = 'approved' THEN CURRENT_TIMESTAMP ELSE NULL END,
+               approved_by = $2,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $3
+           RETURNING id, name, approval_status, approved_at`,
+          [approvalStatus, req.user.id, restaurantId]
+        );
+
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        await recordAudit(
+          {
+            ...auditContext(req),
+            action:
+              approvalStatus === 'approved'
+                ? 'restaurant.approve'
+                : 'restaurant.reject',
+            targetType: 'restaurant',
+            targetId: restaurantId,
+            details: { reason },
+          },
+          client
+        );
+
+        return result.rows[0];
+      });
+
+      if (!restaurant) {
+        return res.status(404).json({ error: 'Restaurant not found' });
+      }
+
+      res.json({
+        message: `Restaurant ${approvalStatus}`,
+        restaurantId: restaurant.id,
+        name: restaurant.name,
+        approvalStatus: restaurant.approval_status,
+        approvedAt: restaurant.approved_at,
+      });
+    } catch (error) {
+      console.error('Admin restaurant decision error:', error);
+      res.status(500).json({ error: 'Failed to update restaurant' });
+    }
+  };
+}
+
+// Helper function to shape user rows for admin responses
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    userType: user.user_type,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    phone: user.phone,
+    isActive: user.is_active,
+    emailVerified: Boolean(user.email_verified_at),
+    createdAt: user.created_at,
+    updatedAt: user.updated_at,
+  };
+}
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { publish } = require('../config/redis');
+const { recordAudit, auditContext } = require('../services/auditService');
 
 const router = express.Router();
 
@@ -16,7 +17,7 @@ const router = express.Router();
 router.post(
   '/',
   authenticateToken,
-  authorize(['support']),
+  requirePermission('announcements:publish'),
   async (req, res) => {
     try {
       const {
@@ -68,6 +69,17 @@ router.post(
 
       const announcement = result.rows[0];
 
+      await recordAudit({
+        ...auditContext(req),
+        action: 'announcement.create',
+        targetType: 'announcement',
+        targetId: announcement.id,
+        details: {
+          title: announcement.title,
+          targetAudience: announcement.target_audience,
+        },
+      });
+
       // If not scheduled for later, broadcast immediately
       if (!scheduledAt || new Date(scheduledAt) <= new Date()) {
         await broadcastAnnouncement(announcement);
@@ -110,6 +122,10 @@ router.get('/active', authenticateToken, async (req, res) => {
          AND (target_audience = 'all' OR target_audience = $1)
          AND (scheduled_at IS NULL OR scheduled_at <= CURRENT_TIMESTAMP)
          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         AND NOT EXISTS (
+           SELECT 1 FROM announcement_dismissals ad
+           WHERE ad.announcement_id = announcements.id AND ad.user_id = $2
+         )
        ORDER BY 
          CASE announcement_type 
            WHEN 'urgent' THEN 1
@@ -118,7 +134,7 @@ router.get('/active', authenticateToken, async (req, res) => {
            ELSE 4
          END,
          created_at DESC`,
-      [userType]
+      [userType, req.user.id]
     );
 
     const announcements = result.rows.map((announcement) => ({
@@ -149,21 +165,35 @@ router.get('/active', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/announcements/:id/dismiss
- * Mark announcement as dismissed for user (optional feature)
+ * Mark announcement as dismissed for user
  */
 router.put('/:id/dismiss', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // In a full implementation, you might track dismissals per user
-    // For now, we'll just acknowledge the dismissal
+    const result = await query(
+      `INSERT INTO announcement_dismissals (announcement_id, user_id)
+       SELECT id, $2 FROM announcements WHERE id = $1
+       ON CONFLICT (announcement_id, user_id) DO NOTHING
+       RETURNING dismissed_at`,
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      const exists = await query('SELECT id FROM announcements WHERE id = $1', [
+        id,
+      ]);
+      if (exists.rows.length === 0) {
+        return res.status(404).json({ error: 'Announcement not found' });
+      }
+    }
 
     res.json({
       message: 'Announcement dismissed',
       announcementId: id,
       userId,
-      instruction: 'Announcement hidden on client side',
+      instruction: 'Dismissed announcements no longer appear in /active',
     });
   } catch (error) {
     console.error('Announcement dismiss error:', error);
@@ -175,78 +205,83 @@ router.put('/:id/dismiss', authenticateToken, async (req, res) => {
  * GET /api/announcements (admin only)
  * Get all announcements for management
  */
-router.get('/', authenticateToken, authorize(['support']), async (req, res) => {
-  try {
-    const { page = 1, limit = 20, type, audience, active } = req.query;
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission('announcements:manage'),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, type, audience, active } = req.query;
 
-    let whereClause = 'WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+      let whereClause = 'WHERE 1=1';
+      const params = [];
+      let paramIndex = 1;
 
-    if (type) {
-      whereClause += ` AND announcement_type = $${paramIndex}`;
-      params.push(type);
-      paramIndex++;
-    }
+      if (type) {
+        whereClause += ` AND announcement_type = $${paramIndex}`;
+        params.push(type);
+        paramIndex++;
+      }
 
-    if (audience) {
-      whereClause += ` AND target_audience = $${paramIndex}`;
-      params.push(audience);
-      paramIndex++;
-    }
+      if (audience) {
+        whereClause += ` AND target_audience = $${paramIndex}`;
+        params.push(audience);
+        paramIndex++;
+      }
 
-    if (active !== undefined) {
-      whereClause += ` AND is_active = $${paramIndex}`;
-      params.push(active === 'true');
-      paramIndex++;
-    }
+      if (active !== undefined) {
+        whereClause += ` AND is_active = $${paramIndex}`;
+        params.push(active === 'true');
+        paramIndex++;
+      }
 
-    const offset = (page - 1) * limit;
+      const offset = (page - 1) * limit;
 
-    // Add limit and offset parameters
-    const limitIndex = paramIndex;
-    params.push(parseInt(limit));
-    paramIndex++;
+      // Add limit and offset parameters
+      const limitIndex = paramIndex;
+      params.push(parseInt(limit));
+      paramIndex++;
 
-    const offsetIndex = paramIndex;
-    params.push(offset);
+      const offsetIndex = paramIndex;
+      params.push(offset);
 
-    const result = await query(
-      `SELECT id, title, message, announcement_type, target_audience, 
+      const result = await query(
+        `SELECT id, title, message, announcement_type, target_audience, 
               is_active, scheduled_at, expires_at, created_at
        FROM announcements 
        ${whereClause}
        ORDER BY created_at DESC
        LIMIT $${limitIndex} OFFSET $${offsetIndex}`,
-      params
-    );
+        params
+      );
 
-    // Get total count - create a copy of params without limit and offset
-    const countParams = params.slice(0, limitIndex - 1);
+      // Get total count - create a copy of params without limit and offset
+      const countParams = params.slice(0, limitIndex - 1);
 
-    const countResult = await query(
-      `SELECT COUNT(*) as total FROM announcements ${whereClause}`,
-      countParams
-    );
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM announcements ${whereClause}`,
+        countParams
+      );
 
-    const totalCount = parseInt(countResult.rows[0].total);
-    const totalPages = Math.ceil(totalCount / limit);
+      const totalCount = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(totalCount / limit);
 
-    res.json({
-      announcements: result.rows,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalCount,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-    });
-  } catch (error) {
-    console.error('Announcements fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch announcements' });
+      res.json({
+        announcements: result.rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error('Announcements fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch announcements' });
+    }
   }
-});
+);
 
 /**
  * DELETE /api/announcements/:id
@@ -255,7 +290,7 @@ router.get('/', authenticateToken, authorize(['support']), async (req, res) => {
 router.delete(
   '/:id',
   authenticateToken,
-  authorize(['support']),
+  requirePermission('announcements:manage'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -271,6 +306,14 @@ router.delete(
 
       const announcement = result.rows[0];
 
+      await recordAudit({
+        ...auditContext(req),
+        action: 'announcement.deactivate',
+        targetType: 'announcement',
+        targetId: announcement.id,
+        details: { title: announcement.title },
+      });
+
       res.json({
         message: 'Announcement deactivated successfully',
         announcementId: announcement.id,
@@ -1,7 +1,71 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, generateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requirePermission,
+  authorizeRestaurant,
+} = require('../middleware/auth');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+} = require('../services/tokenService');
+const {
+  createAccountToken,
+  consumeAccountToken,
+} = require('../services/accountTokenService');
+const { sendMail } = require('../services/mailService');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLockout,
+} = require('../services/loginThrottleService');
+const {
+  isTwoFactorAllowed,
+  isTwoFactorRequired,
+  getTwoFactor,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge,
+} = require('../services/twoFactorService');
+const {
+  sanitizePaymentMethod,
+  listPaymentMethods,
+  addPaymentMethod,
+  replacePaymentMethods,
+  removePaymentMethod,
+  setDefaultPaymentMethod,
+} = require('../services/paymentVaultService');
+const {
+  validateAddress,
+  listAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} = require('../services/addressService');
+const {
+  buildAccountExport,
+  buildExportArchive,
+  getDeletionBlocker,
+  anonymizeAccount,
+} = require('../services/accountDataService');
+const { forgetOrderStatuses } = require('../services/orderStatusService');
+const {
+  describeDevice,
+  listSessions,
+  revokeSession,
+} = require('../services/sessionService');
 
 const router = express.Router();
 
@@ -91,18 +155,33 @@ router.post('/register', async (req, res) => {
             'Restaurant name is required for restaurant accounts'
           );
         }
-        await client.query(
+        const restaurantResult = await client.query(
           `INSERT INTO restaurants (user_id, name, cuisine_type)
-           VALUES ($1, $2, $3)`,
+           VALUES ($1, $2, $3)
+           RETURNING id`,
           [newUser.id, restaurantName, cuisineType || null]
         );
+        await client.query(
+          `INSERT INTO restaurant_staff (restaurant_id, user_id, role)
+           VALUES ($1, $2, 'owner')`,
+          [restaurantResult.rows[0].id, newUser.id]
+        );
       }
 
       return newUser;
     });
 
-    // Generate JWT token
-    const token = generateToken(result);
+    // Issue access + refresh tokens
+    const tokens = await issueTokenPair(result, {
+      device: describeDevice(req),
+    });
+
+    // Verification mail failing shouldn't fail the signup; user can resend
+    try {
+      await sendVerificationEmail(result);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
       message: 'Account created successfully',
@@ -113,9 +192,9 @@ router.post('/register', async (req, res) => {
         firstName: result.first_name,
         lastName: result.last_name,
         createdAt: result.created_at,
+        emailVerified: false,
       },
-      token,
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      ...tokens,
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -140,48 +219,168 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const normalizedEmail = email.toLowerCase();
+
+    // Brute-force protection: refuse while locked out or inside a back-off delay
+    const blocked = await checkLoginAllowed(normalizedEmail, req.ip);
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
     // Get user from database
     const result = await query(
       `SELECT id, email, password_hash, user_type, first_name, last_name, is_active
        FROM users 
        WHERE email = $1`,
-      [email.toLowerCase()]
+      [normalizedEmail]
     );
 
-    if (result.rows.length === 0) {
+    // Unknown emails count as failures too, so they look the same as wrong passwords
+    const user = result.rows[0];
+    const validPassword = user
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
+
+    if (!validPassword) {
+      const lockout = await recordLoginFailure(
+        normalizedEmail,
+        req.ip,
+        user ? user.id : null
+      );
+      if (lockout) {
+        return sendLoginBlocked(res, lockout);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const user = result.rows[0];
-
     if (!user.is_active) {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
-    // Verify password
-    const validPassword = await bcrypt.compare(password, user.password_hash);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    await recordLoginSuccess(normalizedEmail);
+
+    // Second step: a TOTP code, or enrolment first when policy requires 2FA
+    const twoFactor = isTwoFactorAllowed(user.user_type)
+      ? await getTwoFactor(user.id)
+      : null;
+
+    if (twoFactor && twoFactor.enabled_at) {
+      const challenge = await createLoginChallenge(user.id, 'verify');
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        ...challenge,
+      });
+    }
+
+    if (isTwoFactorRequired(user.user_type)) {
+      const challenge = await createLoginChallenge(user.id, 'enroll');
+      return res.json({
+        message: 'Two-factor enrollment required before you can log in',
+        twoFactorSetupRequired: true,
+        ...challenge,
+      });
+    }
+
+    await sendLoginSuccess(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa/setup
+ * Get a TOTP secret during login when policy requires enrolment
+ */
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+
+    const challenge = challengeToken
+      ? await getLoginChallenge(challengeToken)
+      : null;
+    if (!challenge || challenge.purpose !== 'enroll') {
+      return res
+        .status(401)
+        .json({ error: 'Invalid or expired enrollment challenge' });
     }
 
-    // Generate JWT token
-    const token = generateToken(user);
+    const user = await loadLoginUser(challenge.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    const enrollment = await startEnrollment(user);
 
-    // Return immediate confirmation
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        userType: user.user_type,
-        firstName: user.first_name,
-        lastName: user.last_name,
-      },
-      token,
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      message:
+        'Scan the QR code, then confirm with a code at /api/auth/login/2fa',
+      ...enrollment,
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('2FA login setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: TOTP code (or recovery code) + challenge token
+ * Completes enrolment too when the challenge came from a required setup.
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Challenge token and a code or recovery code are required',
+      });
+    }
+
+    const challenge = await getLoginChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const user = await loadLoginUser(challenge.userId);
+    if (!user) {
+      await consumeLoginChallenge(challengeToken);
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    let recoveryCodes = null;
+    let verified;
+
+    if (challenge.purpose === 'enroll') {
+      recoveryCodes = await confirmEnrollment(user.id, code);
+      verified = recoveryCodes !== null;
+    } else {
+      verified = await verifySecondFactor(user.id, { code, recoveryCode });
+    }
+
+    if (!verified) {
+      const { attemptsRemaining } = await recordChallengeFailure(
+        challengeToken,
+        challenge
+      );
+      return res.status(401).json({
+        error: 'Invalid two-factor code',
+        attemptsRemaining,
+      });
+    }
+
+    await consumeLoginChallenge(challengeToken);
+
+    await sendLoginSuccess(
+      req,
+      res,
+      user,
+      recoveryCodes ? { recoveryCodes } : undefined
+    );
+  } catch (error) {
+    console.error('2FA login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
@@ -197,7 +396,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 
     // Get user info
     const userResult = await query(
-      `SELECT id, email, user_type, first_name, last_name, phone, created_at, updated_at
+      `SELECT id, email, user_type, first_name, last_name, phone, email_verified_at, created_at, updated_at
        FROM users WHERE id = $1`,
       [userId]
     );
@@ -212,19 +411,28 @@ router.get('/profile', authenticateToken, async (req, res) => {
     // Get type-specific profile data
     if (userType === 'customer') {
       const customerResult = await query(
-        'SELECT address, payment_info, preferences FROM customer_profiles WHERE user_id = $1',
+        'SELECT address, preferences FROM customer_profiles WHERE user_id = $1',
         [userId]
       );
       if (customerResult.rows.length > 0) {
-        profile.customerProfile = customerResult.rows[0];
+        profile.customerProfile = {
+          ...customerResult.rows[0],
+          paymentMethods: await listPaymentMethods(userId),
+          addresses: await listAddresses(userId),
+        };
       }
     } else if (userType === 'restaurant') {
       const restaurantResult = await query(
-        'SELECT name, address, phone, cuisine_type FROM restaurants WHERE user_id = $1',
+        `SELECT r.id, r.name, r.address, r.phone, r.cuisine_type, rs.role
+         FROM restaurant_staff rs
+         JOIN restaurants r ON rs.restaurant_id = r.id
+         WHERE rs.user_id = $1
+         ORDER BY rs.created_at ASC`,
         [userId]
       );
       if (restaurantResult.rows.length > 0) {
         profile.restaurantProfile = restaurantResult.rows[0];
+        profile.restaurants = restaurantResult.rows;
       }
     }
 
@@ -237,124 +445,1032 @@ router.get('/profile', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/auth/profile
- * Update user profile with immediate reflection
+ * Update user profile with immediate reflection. restaurantName and
+ * cuisineType update the staffer's restaurant (X-Restaurant-Id when they
+ * work at several) and need the restaurant:manage staff permission.
  */
-router.put('/profile', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const userType = req.user.user_type;
-    const { firstName, lastName, phone, address, restaurantName, cuisineType } =
-      req.body;
+router.put(
+  '/profile',
+  authenticateToken,
+  authorizeRestaurantDetails,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const userType = req.user.user_type;
+      const {
+        firstName,
+        lastName,
+        phone,
+        address,
+        restaurantName,
+        cuisineType,
+      } = req.body;
 
-    const updatedProfile = await transaction(async (client) => {
-      // Update user table
-      const userUpdateResult = await client.query(
-        `UPDATE users 
+      const updatedProfile = await transaction(async (client) => {
+        // Update user table
+        const userUpdateResult = await client.query(
+          `UPDATE users 
          SET first_name = COALESCE($1, first_name),
              last_name = COALESCE($2, last_name),
              phone = COALESCE($3, phone),
              updated_at = CURRENT_TIMESTAMP
          WHERE id = $4
          RETURNING id, email, user_type, first_name, last_name, phone, updated_at`,
-        [firstName, lastName, phone, userId]
-      );
+          [firstName, lastName, phone, userId]
+        );
 
-      const updatedUser = userUpdateResult.rows[0];
+        const updatedUser = userUpdateResult.rows[0];
 
-      // Update type-specific profile
-      if (userType === 'customer' && address !== undefined) {
-        await client.query(
-          `UPDATE customer_profiles 
+        // Update type-specific profile
+        if (userType === 'customer' && address !== undefined) {
+          await client.query(
+            `UPDATE customer_profiles 
            SET address = $1, updated_at = CURRENT_TIMESTAMP
            WHERE user_id = $2`,
-          [address, userId]
-        );
-      } else if (userType === 'restaurant') {
-        if (restaurantName !== undefined || cuisineType !== undefined) {
-          await client.query(
-            `UPDATE restaurants 
+            [address, userId]
+          );
+        } else if (userType === 'restaurant') {
+          if (restaurantName !== undefined || cuisineType !== undefined) {
+            await client.query(
+              `UPDATE restaurants 
              SET name = COALESCE($1, name),
                  cuisine_type = COALESCE($2, cuisine_type),
                  updated_at = CURRENT_TIMESTAMP
-             WHERE user_id = $3`,
-            [restaurantName, cuisineType, userId]
-          );
+             WHERE id = $3`,
+              [restaurantName, cuisineType, req.restaurant.id]
+            );
+          }
         }
+
+        return updatedUser;
+      });
+
+      // Return immediate confirmation of update
+      res.json({
+        message: 'Profile updated successfully',
+        user: updatedProfile,
+      });
+    } catch (error) {
+      console.error('Profile update error:', error);
+      res.status(500).json({ error: 'Profile update failed' });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/payment
+ * Manage payment methods (customer only)
+ */
+router.put(
+  '/payment',
+  authenticateToken,
+  requirePermission('account:payment_methods'),
+  async (req, res) => {
+    try {
+      const { paymentMethods } = req.body;
+
+      if (!paymentMethods || !Array.isArray(paymentMethods)) {
+        return res.status(400).json({ error: 'Invalid payment methods data' });
+      }
+
+      const sanitizedPaymentMethods = paymentMethods.map(sanitizePaymentMethod);
+      if (sanitizedPaymentMethods.includes(null)) {
+        return res.status(400).json({ error: 'Invalid payment methods data' });
+      }
+
+      // Replaces the whole set; stored encrypted in the payment vault
+      const savedPaymentMethods = await replacePaymentMethods(
+        req.user.id,
+        paymentMethods
+      );
+
+      res.json({
+        message: 'Payment methods updated successfully',
+        paymentMethods: savedPaymentMethods,
+      });
+    } catch (error) {
+      console.error('Payment update error:', error.message);
+      res.status(500).json({ error: 'Payment method update failed' });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/payment
+ * List saved payment methods (customer only)
+ */
+router.get(
+  '/payment',
+  authenticateToken,
+  requirePermission('account:payment_methods'),
+  async (req, res) => {
+    try {
+      const paymentMethods = await listPaymentMethods(req.user.id);
+
+      res.json({ paymentMethods });
+    } catch (error) {
+      console.error('Payment fetch error:', error.message);
+      res.status(500).json({ error: 'Failed to fetch payment methods' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/payment/methods
+ * Add a single payment method (customer only)
+ */
+router.post(
+  '/payment/methods',
+  authenticateToken,
+  requirePermission('account:payment_methods'),
+  async (req, res) => {
+    try {
+      if (!sanitizePaymentMethod(req.body)) {
+        return res.status(400).json({ error: 'Invalid payment method data' });
       }
 
-      return updatedUser;
+      const paymentMethod = await addPaymentMethod(req.user.id, req.body);
+
+      res.status(201).json({
+        message: 'Payment method added',
+        paymentMethod,
+      });
+    } catch (error) {
+      console.error('Payment method add error:', error.message);
+      res.status(500).json({ error: 'Failed to add payment method' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/payment/methods/:methodId
+ * Remove a payment method (customer only)
+ */
+router.delete(
+  '/payment/methods/:methodId',
+  authenticateToken,
+  requirePermission('account:payment_methods'),
+  async (req, res) => {
+    try {
+      const removed = await removePaymentMethod(
+        req.user.id,
+        req.params.methodId
+      );
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Payment method not found' });
+      }
+
+      res.json({
+        message: 'Payment method removed',
+        paymentMethods: await listPaymentMethods(req.user.id),
+      });
+    } catch (error) {
+      console.error('Payment method remove error:', error.message);
+      res.status(500).json({ error: 'Failed to remove payment method' });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/payment/methods/:methodId/default
+ * Make a payment method the default (customer only)
+ */
+router.put(
+  '/payment/methods/:methodId/default',
+  authenticateToken,
+  requirePermission('account:payment_methods'),
+  async (req, res) => {
+    try {
+      const updated = await setDefaultPaymentMethod(
+        req.user.id,
+        req.params.methodId
+      );
+
+      if (!updated) {
+        return res.status(404).json({ error: 'Payment method not found' });
+      }
+
+      res.json({
+        message: 'Default payment method updated',
+        paymentMethods: await listPaymentMethods(req.user.id),
+      });
+    } catch (error) {
+      console.error('Payment method default error:', error.message);
+      res
+        .status(500)
+        .json({ error: 'Failed to update default payment method' });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/addresses
+ * Saved delivery addresses (customer only)
+ */
+router.get(
+  '/addresses',
+  authenticateToken,
+  requirePermission('account:addresses'),
+  async (req, res) => {
+    try {
+      const addresses = await listAddresses(req.user.id);
+
+      res.json({ addresses });
+    } catch (error) {
+      console.error('Address fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch addresses' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/addresses
+ * Save a delivery address with coordinates (customer only)
+ */
+router.post(
+  '/addresses',
+  authenticateToken,
+  requirePermission('account:addresses'),
+  async (req, res) => {
+    try {
+      const { address, error } = validateAddress(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const savedAddress = await createAddress(req.user.id, address);
+
+      res.status(201).json({
+        message: 'Address saved',
+        address: savedAddress,
+      });
+    } catch (error) {
+      console.error('Address create error:', error);
+      res.status(500).json({ error: 'Failed to save address' });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/addresses/:addressId
+ * Update a saved address (customer only)
+ */
+router.put(
+  '/addresses/:addressId',
+  authenticateToken,
+  requirePermission('account:addresses'),
+  async (req, res) => {
+    try {
+      const { address, error } = validateAddress(req.body, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const updatedAddress = await updateAddress(
+        req.user.id,
+        req.params.addressId,
+        address
+      );
+
+      if (!updatedAddress) {
+        return res.status(404).json({ error: 'Address not found' });
+      }
+
+      res.json({
+        message: 'Address updated',
+        address: updatedAddress,
+      });
+    } catch (error) {
+      console.error('Address update error:', error);
+      res.status(500).json({ error: 'Failed to update address' });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/addresses/:addressId/default
+ * Make an address the default (customer only)
+ */
+router.put(
+  '/addresses/:addressId/default',
+  authenticateToken,
+  requirePermission('account:addresses'),
+  async (req, res) => {
+    try {
+      const updatedAddress = await updateAddress(
+        req.user.id,
+        req.params.addressId,
+        { isDefault: true }
+      );
+
+      if (!updatedAddress) {
+        return res.status(404).json({ error: 'Address not found' });
+      }
+
+      res.json({
+        message: 'Default address updated',
+        address: updatedAddress,
+      });
+    } catch (error) {
+      console.error('Address default error:', error);
+      res.status(500).json({ error: 'Failed to update default address' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/addresses/:addressId
+ * Delete a saved address; past orders keep their copy (customer only)
+ */
+router.delete(
+  '/addresses/:addressId',
+  authenticateToken,
+  requirePermission('account:addresses'),
+  async (req, res) => {
+    try {
+      const deleted = await deleteAddress(req.user.id, req.params.addressId);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Address not found' });
+      }
+
+      res.json({ message: 'Address deleted' });
+    } catch (error) {
+      console.error('Address delete error:', error);
+      res.status(500).json({ error: 'Failed to delete address' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const { tokens } = await rotateRefreshToken(refreshToken, {
+      ipAddress: req.ip,
     });
 
-    // Return immediate confirmation of update
     res.json({
-      message: 'Profile updated successfully',
-      user: updatedProfile,
+      message: 'Token refreshed successfully',
+      ...tokens,
     });
   } catch (error) {
-    console.error('Profile update error:', error);
-    res.status(500).json({ error: 'Profile update failed' });
+    if (error.name === 'RefreshTokenError') {
+      return res.status(401).json({ error: error.message });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
   }
 });
 
 /**
- * PUT /api/auth/payment
- * Manage payment methods (customer only)
+ * PUT /api/auth/password
+ * Change password and revoke every existing token for the account
+ */
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Current password and new password are required',
+      });
+    }
+
+    const result = await query(
+      'SELECT id, email, user_type, password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    const validPassword = await bcrypt.compare(
+      currentPassword,
+      user.password_hash
+    );
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    await query(
+      `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [passwordHash, user.id]
+    );
+
+    // Log out every device, then give this one a fresh pair
+    await revokeAllUserTokens(user.id);
+    const tokens = await issueTokenPair(user, {
+      device: describeDevice(req),
+    });
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens,
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Password change failed' });
+  }
+});
+
+/**
+ * POST /api/auth/password/forgot
+ * Email a one-time password reset link.
+ * Always answers the same way so it can't be used to probe for accounts.
  */
-router.put('/payment', authenticateToken, async (req, res) => {
+router.post('/password/forgot', async (req, res) => {
   try {
-    if (req.user.user_type !== 'customer') {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const result = await query(
+      'SELECT id, email, first_name FROM users WHERE email = $1 AND is_active = true',
+      [email.toLowerCase()]
+    );
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const { token, expiresInMinutes } = await createAccountToken(
+        user.id,
+        'password_reset'
+      );
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your FoodFast password',
+        text:
+          `Hi ${user.first_name || 'there'},\n\n` +
+          `Use the link below to choose a new password:\n` +
+          `${buildAppUrl('/reset-password', token)}\n\n` +
+          `The link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+          `If you didn't ask for this, you can ignore this email.`,
+      });
+    }
+
+    res.json({
+      message:
+        'If an account exists for that email, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Password forgot error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+/**
+ * POST /api/auth/password/reset
+ * Set a new password using a reset token. Logs out every existing session.
+ */
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        error: 'Token and new password are required',
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+
+    const reset = await transaction(async (client) => {
+      const tokenUserId = await consumeAccountToken(
+        token,
+        'password_reset',
+        client
+      );
+      if (!tokenUserId) {
+        return null;
+      }
+
+      const userResult = await client.query(
+        `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING email`,
+        [passwordHash, tokenUserId]
+      );
+
+      return { userId: tokenUserId, email: userResult.rows[0].email };
+    });
+
+    if (!reset) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    await revokeAllUserTokens(reset.userId);
+
+    // Proving ownership of the mailbox lifts any login lockout on it
+    await releaseLockout('email', reset.email);
+
+    res.json({
+      message: 'Password reset successfully',
+      instruction: 'Log in with your new password',
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+/**
+ * POST /api/auth/email/verify
+ * Confirm an email address using the token from the verification email
+ */
+router.post('/email/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const userId = await consumeAccountToken(token, 'email_verification');
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid or expired verification token' });
+    }
+
+    const result = await query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING email, email_verified_at`,
+      [userId]
+    );
+
+    res.json({
+      message: 'Email verified successfully',
+      email: result.rows[0].email,
+      emailVerifiedAt: result.rows[0].email_verified_at,
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+/**
+ * POST /api/auth/email/verify/resend
+ * Send a fresh verification email to the current user
+ */
+router.post('/email/verify/resend', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, email, first_name, email_verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (user.email_verified_at) {
+      return res.status(409).json({ error: 'Email already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Verification resend error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status for the current user
+ */
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactor(req.user.id);
+    const enabled = Boolean(twoFactor && twoFactor.enabled_at);
+
+    res.json({
+      available: isTwoFactorAllowed(req.user.user_type),
+      required: isTwoFactorRequired(req.user.user_type),
+      enabled,
+      enabledAt: enabled ? twoFactor.enabled_at : null,
+      recoveryCodesRemaining: enabled
+        ? await countRecoveryCodes(req.user.id)
+        : 0,
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start TOTP enrolment: returns the secret and an otpauth:// URI for the QR code
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (!isTwoFactorAllowed(req.user.user_type)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is not available for this account',
+      });
+    }
+
+    const twoFactor = await getTwoFactor(req.user.id);
+    if (twoFactor && twoFactor.enabled_at) {
       return res
-        .status(403)
-        .json({ error: 'Only customers can manage payment methods' });
+        .status(409)
+        .json({ error: 'Two-factor authentication is already enabled' });
     }
 
-    const { paymentMethods } = req.body;
+    const enrollment = await startEnrollment(req.user);
+
+    res.json({
+      message:
+        'Scan the QR code, then confirm with a code at /api/auth/2fa/enable',
+      ...enrollment,
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrolment with a code; returns recovery codes (shown once)
+ */
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
 
-    if (!paymentMethods || !Array.isArray(paymentMethods)) {
-      return res.status(400).json({ error: 'Invalid payment methods data' });
+    const recoveryCodes = await confirmEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid code, or no enrollment in progress',
+      });
     }
 
-    // In real app, you'd encrypt sensitive payment data
-    // For demo purposes, we'll store a sanitized version
-    const sanitizedPaymentMethods = paymentMethods.map((method) => ({
-      type: method.type, // 'credit', 'debit', 'paypal', etc.
-      lastFour: method.lastFour,
-      expiryMonth: method.expiryMonth,
-      expiryYear: method.expiryYear,
-      isDefault: method.isDefault || false,
-    }));
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      instruction:
+        'Store these recovery codes safely; they are shown only once',
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res
+      .status(500)
+      .json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
 
-    await query(
-      `UPDATE customer_profiles 
-       SET payment_info = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE user_id = $2`,
-      [JSON.stringify(sanitizedPaymentMethods), req.user.id]
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace recovery codes (requires a current TOTP code)
+ */
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const verified = await verifySecondFactor(req.user.id, { code });
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * DELETE /api/auth/2fa
+ * Turn off 2FA (needs a code or recovery code; not allowed where policy requires it)
+ */
+router.delete('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.user.user_type)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required for this account',
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res
+        .status(400)
+        .json({ error: 'A code or recovery code is required' });
+    }
+
+    const verified = await verifySecondFactor(req.user.id, {
+      code,
+      recoveryCode,
+    });
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await disableTwoFactor(req.user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res
+      .status(500)
+      .json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+/**
+ * GET /api/auth/export
+ * Download everything we hold about the current user (?format=json|zip)
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or zip' });
+    }
+
+    const data = await buildAccountExport(req.user);
+    const filename = `foodfast-export-${req.user.id}-${Date.now()}`;
+
+    if (format === 'zip') {
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}.zip"`,
+      });
+      return res.send(buildExportArchive(data));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Account export error:', error.message);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+/**
+ * DELETE /api/auth/account
+ * Delete the current account (password, plus a 2FA code when enabled)
+ * Orders and chats are kept but anonymised; everything else is removed.
+ */
+router.delete('/account', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const userResult = await query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const validPassword = await bcrypt.compare(
+      password,
+      userResult.rows[0].password_hash
     );
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const twoFactor = await getTwoFactor(req.user.id);
+    if (twoFactor && twoFactor.enabled_at) {
+      const verified = await verifySecondFactor(req.user.id, {
+        code,
+        recoveryCode,
+      });
+      if (!verified) {
+        return res
+          .status(401)
+          .json({ error: 'A valid two-factor code is required' });
+      }
+    }
+
+    const blocker = await getDeletionBlocker(req.user);
+    if (blocker) {
+      return res.status(409).json({ error: blocker });
+    }
+
+    // Sent first: anonymising purges everything queued for the address,
+    // and nothing may write it back afterwards
+    try {
+      await sendMail({
+        to: req.user.email,
+        subject: 'Your FoodFast account has been deleted',
+        text: [
+          `Hi ${req.user.first_name || ''},`,
+          '',
+          'Your FoodFast account and personal data have been deleted.',
+          'Past orders are kept without your personal details for our records.',
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      console.error('Account deletion email failed:', mailError);
+    }
+
+    const { orderIds } = await transaction((client) =>
+      anonymizeAccount(client, req.user)
+    );
+    // Only once committed, so a rollback or a poll in between can't leave
+    // an unscrubbed snapshot behind
+    await forgetOrderStatuses(orderIds);
+    await revokeAllUserTokens(req.user.id);
+
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    console.error('Account deletion error:', error.message);
+    res.status(500).json({ error: 'Account deletion failed' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Devices currently logged in to the account
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
 
     res.json({
-      message: 'Payment methods updated successfully',
-      paymentMethods: sanitizedPaymentMethods,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.token.fam,
+      })),
     });
   } catch (error) {
-    console.error('Payment update error:', error);
-    res.status(500).json({ error: 'Payment method update failed' });
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Log one device out: revokes its tokens and closes its live connections
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(req.user.id, sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      message: 'Session revoked successfully',
+      sessionId,
+      current: sessionId === req.token.fam,
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 });
 
 /**
  * POST /api/auth/logout
- * User logout (optional - mainly for client-side token removal)
+ * Revoke the current access token and its refresh token chain.
+ * Pass { allDevices: true } to log out of every session.
  */
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a more sophisticated system, you might:
-  // 1. Add token to blacklist in Redis
-  // 2. Log the logout event
-  // 3. Clear any server-side session data
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const { allDevices } = req.body;
+
+    if (allDevices) {
+      await revokeAllUserTokens(req.user.id);
+    } else {
+      await revokeTokenFamily(req.token.fam, req.user.id);
+    }
+    await revokeAccessToken(req.token);
+
+    res.json({
+      message: 'Logout successful',
+      revoked: allDevices ? 'all' : 'current',
+      instruction: 'Remove tokens from client storage',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
 
+// Helper function to build links into the client app
+function buildAppUrl(pathname, token) {
+  const baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Helper function to send the email verification link
+async function sendVerificationEmail(user) {
+  const { token, expiresInMinutes } = await createAccountToken(
+    user.id,
+    'email_verification'
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your FoodFast email address',
+    text:
+      `Hi ${user.first_name || 'there'},\n\n` +
+      `Please confirm your email address:\n` +
+      `${buildAppUrl('/verify-email', token)}\n\n` +
+      `The link expires in ${Math.round(expiresInMinutes / 60)} hours.`,
+  });
+}
+
+// Helper function to resolve the staffer's restaurant, only when a profile
+// update changes restaurant details
+function authorizeRestaurantDetails(req, res, next) {
+  const { restaurantName, cuisineType } = req.body;
+  if (
+    req.user.user_type !== 'restaurant' ||
+    (restaurantName === undefined && cuisineType === undefined)
+  ) {
+    return next();
+  }
+  return authorizeRestaurant('restaurant:manage')(req, res, next);
+}
+
+// Helper function to load an active user for the second login step
+async function loadLoginUser(userId) {
+  const result = await query(
+    `SELECT id, email, user_type, first_name, last_name, is_active
+     FROM users WHERE id = $1 AND is_active = true`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Helper function to issue tokens and answer a completed login
+async function sendLoginSuccess(req, res, user, extra = {}) {
+  // Issue access + refresh tokens (a new device session)
+  const tokens = await issueTokenPair(user, { device: describeDevice(req) });
+
+  // Return immediate confirmation
   res.json({
-    message: 'Logout successful',
-    instruction: 'Remove token from client storage',
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      userType: user.user_type,
+      firstName: user.first_name,
+      lastName: user.last_name,
+    },
+    ...tokens,
+    ...extra,
   });
-});
+}
+
+// Helper function to answer a throttled login (423 locked, 429 back-off)
+function sendLoginBlocked(res, blocked) {
+  res.set('Retry-After', String(blocked.retryAfterSeconds));
+
+  if (blocked.reason === 'locked') {
+    return res.status(423).json({
+      error:
+        blocked.scope === 'email'
+          ? 'Account temporarily locked after too many failed login attempts'
+          : 'Too many failed login attempts from this network',
+      lockedUntil: blocked.lockedUntil,
+      retryAfterSeconds: blocked.retryAfterSeconds,
+    });
+  }
+
+  return res.status(429).json({
+    error: 'Too many failed login attempts, please wait before retrying',
+    retryAfterSeconds: blocked.retryAfterSeconds,
+  });
+}
 
 module.exports = router;
@@ -1,7 +1,18 @@
 const express = require('express');
 const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { setWithExpiry, get } = require('../config/redis');
+const { formatDeliveryLocation } = require('../services/addressService');
+const { registerStream } = require('../services/sseService');
+const { publishEvent } = require('../services/eventDispatcher');
+const {
+  parsePagination,
+  listReviews,
+  getRatingSummary,
+  reportReview,
+  formatReview,
+} = require('../services/reviewService');
 
 const router = express.Router();
 
@@ -9,9 +20,6 @@ const router = express.Router();
 // Pattern Choice: Server-Sent Events (SSE)
 // Reasoning: One-way server-to-client updates, efficient, works over HTTP, handles mobile networks well
 
-// Store SSE connections for active deliveries
-const sseConnections = new Map(); // orderId -> Set of response objects
-
 /**
  * PUT /api/driver/location
  * Driver updates their location (called every 10-15 seconds)
@@ -19,7 +27,7 @@ const sseConnections = new Map(); // orderId -> Set of response objects
 router.put(
   '/location',
   authenticateToken,
-  authorize(['driver']),
+  requirePermission('deliveries:update_location'),
   async (req, res) => {
     try {
       const driverId = req.user.id;
@@ -82,29 +90,8 @@ router.put(
 
       await setWithExpiry(`driver_location:${orderId}`, locationData, 300); // 5 min cache
 
-      // Send location update via SSE to connected customers
-      const connections = sseConnections.get(orderId);
-      if (connections && connections.size > 0) {
-        const sseData = {
-          type: 'location_update',
-          data: {
-            latitude: locationData.latitude,
-            longitude: locationData.longitude,
-            timestamp: locationData.timestamp,
-            orderId,
-          },
-        };
-
-        // Send to all connected customers for this order
-        connections.forEach((res) => {
-          try {
-            res.write(`data: ${JSON.stringify(sseData)}\n\n`);
-          } catch (error) {
-            console.error('Failed to send SSE update:', error);
-            connections.delete(res);
-          }
-        });
-      }
+      // Fan out to customers following the order, on every instance
+      await publishEvent('driver.location_updated', locationData);
 
       res.json({
         message: 'Location updated successfully',
@@ -125,7 +112,7 @@ router.put(
 router.get(
   '/location/:orderId/stream',
   authenticateToken,
-  authorize(['customer']),
+  requirePermission('deliveries:follow'),
   async (req, res) => {
     try {
       const { orderId } = req.params;
@@ -178,21 +165,12 @@ router.get(
         );
       }
 
-      // Add this connection to the SSE connections map
-      if (!sseConnections.has(orderId)) {
-        sseConnections.set(orderId, new Set());
-      }
-      sseConnections.get(orderId).add(res);
+      // Receive this order's location and status events, and close the
+      // stream if the customer's session is revoked
+      registerStream(req, res, { orderId });
 
       // Handle client disconnect
       req.on('close', () => {
-        const connections = sseConnections.get(orderId);
-        if (connections) {
-          connections.delete(res);
-          if (connections.size === 0) {
-            sseConnections.delete(orderId);
-          }
-        }
         console.log(`SSE connection closed for order ${orderId}`);
       });
 
@@ -207,10 +185,6 @@ router.get(
           );
         } catch (error) {
           clearInterval(heartbeatInterval);
-          const connections = sseConnections.get(orderId);
-          if (connections) {
-            connections.delete(res);
-          }
         }
       }, 30000);
 
@@ -232,7 +206,7 @@ router.get(
 router.get(
   '/location/:orderId',
   authenticateToken,
-  authorize(['customer']),
+  requirePermission('deliveries:follow'),
   async (req, res) => {
     try {
       const { orderId } = req.params;
@@ -324,13 +298,14 @@ router.get(
 router.get(
   '/active-deliveries',
   authenticateToken,
-  authorize(['driver']),
+  requirePermission('deliveries:read'),
   async (req, res) => {
     try {
       const driverId = req.user.id;
 
       const result = await query(
-        `SELECT o.id, o.status, o.delivery_address, o.total_amount, o.created_at,
+        `SELECT o.id, o.status, o.delivery_address, o.delivery_latitude, o.delivery_longitude,
+              o.delivery_notes, o.total_amount, o.created_at,
               rest.name as restaurant_name, rest.address as restaurant_address,
               c.first_name || ' ' || c.last_name as customer_name
        FROM orders o
@@ -349,6 +324,8 @@ router.get(
         restaurantName: order.restaurant_name,
         restaurantAddress: order.restaurant_address,
         deliveryAddress: order.delivery_address,
+        deliveryLocation: formatDeliveryLocation(order),
+        deliveryNotes: order.delivery_notes,
         totalAmount: order.total_amount,
         createdAt: order.created_at,
         locationUpdateEndpoint: '/api/driver/location',
@@ -378,7 +355,8 @@ router.get(
 router.post(
   '/assign/:orderId',
   authenticateToken,
-  authorize(['driver']),
+  requirePermission('deliveries:claim'),
+  idempotent,
   async (req, res) => {
     try {
       const { orderId } = req.params;
@@ -386,9 +364,9 @@ router.post(
 
       const result = await query(
         `UPDATE orders 
-       SET driver_id = $1, updated_at = CURRENT_TIMESTAMP
+       SET driver_id = $1, version = version + 1, updated_at = CURRENT_TIMESTAMP
        WHERE id = $2 AND driver_id IS NULL AND status = 'ready'
-       RETURNING id, status, delivery_address`,
+       RETURNING id, customer_id, restaurant_id, status, delivery_address, delivery_latitude, delivery_longitude, delivery_notes`,
         [driverId, orderId]
       );
 
@@ -401,10 +379,20 @@ router.post(
 
       const order = result.rows[0];
 
+      // Customers polling or connected now see the driver
+      await publishEvent('order.driver_assigned', {
+        orderId: order.id,
+        customerId: order.customer_id,
+        restaurantId: order.restaurant_id,
+        driverId,
+      });
+
       res.json({
         message: 'Successfully assigned to order',
         orderId: order.id,
         deliveryAddress: order.delivery_address,
+        deliveryLocation: formatDeliveryLocation(order),
+        deliveryNotes: order.delivery_notes,
         nextSteps: [
           'Update status to "picked_up" when you collect the order',
           'Start sending location updates every 10-15 seconds',
@@ -425,11 +413,12 @@ router.post(
 router.get(
   '/available-orders',
   authenticateToken,
-  authorize(['driver']),
+  requirePermission('deliveries:read'),
   async (req, res) => {
     try {
       const result = await query(
-        `SELECT o.id, o.status, o.delivery_address, o.total_amount, o.created_at,
+        `SELECT o.id, o.status, o.delivery_address, o.delivery_latitude, o.delivery_longitude,
+              o.delivery_notes, o.total_amount, o.created_at,
               rest.name as restaurant_name, rest.address as restaurant_address,
               c.first_name || ' ' || c.last_name as customer_name
        FROM orders o
@@ -447,6 +436,8 @@ router.get(
         restaurantName: order.restaurant_name,
         restaurantAddress: order.restaurant_address,
         deliveryAddress: order.delivery_address,
+        deliveryLocation: formatDeliveryLocation(order),
+        deliveryNotes: order.delivery_notes,
         totalAmount: order.total_amount,
         createdAt: order.created_at,
         assignEndpoint: `/api/driver/assign/${order.id}`,
@@ -467,4 +458,75 @@ router.get(
   }
 );
 
+/**
+ * GET /api/driver/reviews
+ * Customers' reviews of the driver and their rating (hidden reviews left out)
+ */
+router.get(
+  '/reviews',
+  authenticateToken,
+  requirePermission('reviews:read_own'),
+  async (req, res) => {
+    try {
+      const { page, limit } = parsePagination(req.query, 20);
+
+      const { reviews, totalCount } = await listReviews({
+        subjectType: 'driver',
+        subjectId: req.user.id,
+        page,
+        limit,
+      });
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.json({
+        rating: await getRatingSummary('driver', req.user.id),
+        reviews: reviews.map((review) => formatReview(review, 'subject')),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error('Driver reviews fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+  }
+);
+
+/**
+ * POST /api/driver/reviews/:reviewId/report
+ * Report an abusive review to support
+ */
+router.post(
+  '/reviews/:reviewId/report',
+  authenticateToken,
+  requirePermission('reviews:read_own'),
+  async (req, res) => {
+    try {
+      const review = await reportReview({
+        reviewId: req.params.reviewId,
+        subjectType: 'driver',
+        subjectId: req.user.id,
+        reason: req.body.reason,
+        reportedBy: req.user.id,
+      });
+
+      res.json({
+        message: 'Review reported to support',
+        review: formatReview(review, 'subject'),
+      });
+    } catch (error) {
+      if (error.name === 'ReviewError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('Driver review report error:', error);
+      res.status(500).json({ error: 'Failed to report review' });
+    }
+  }
+);
+
 module.exports = router;
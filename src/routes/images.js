@@ -5,7 +5,11 @@ const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requirePermission,
+  authorizeRestaurant,
+} = require('../middleware/auth');
 const { setWithExpiry, get } = require('../config/redis');
 
 const router = express.Router();
@@ -43,12 +47,13 @@ const upload = multer({
 router.post(
   '/upload',
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('menu:images'),
   upload.single('image'),
   async (req, res) => {
     try {
       const { menuItemId } = req.body;
-      const userId = req.user.id;
+      const restaurantId = req.restaurant.id;
 
       if (!req.file) {
         return res.status(400).json({ error: 'No image file provided' });
@@ -63,8 +68,8 @@ router.post(
         `SELECT mi.id, mi.name, r.id as restaurant_id
        FROM menu_items mi
        JOIN restaurants r ON mi.restaurant_id = r.id
-       WHERE mi.id = $1 AND r.user_id = $2`,
-        [menuItemId, userId]
+       WHERE mi.id = $1 AND r.id = $2`,
+        [menuItemId, restaurantId]
       );
 
       if (menuItemCheck.rows.length === 0) {
@@ -139,11 +144,12 @@ router.post(
 router.get(
   '/status/:uploadId',
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('menu:images'),
   async (req, res) => {
     try {
       const { uploadId } = req.params;
-      const userId = req.user.id;
+      const restaurantId = req.restaurant.id;
       const timeout = parseInt(req.query.timeout) || 30000; // Default 30 second timeout
       const maxTimeout = 60000; // Maximum 60 seconds
 
@@ -152,8 +158,8 @@ router.get(
         `SELECT iu.id, iu.status, iu.progress, iu.error_message, iu.updated_at
        FROM image_uploads iu
        JOIN restaurants r ON iu.restaurant_id = r.id
-       WHERE iu.id = $1 AND r.user_id = $2`,
-        [uploadId, userId]
+       WHERE iu.id = $1 AND r.id = $2`,
+        [uploadId, restaurantId]
       );
 
       if (uploadCheck.rows.length === 0) {
@@ -265,14 +271,15 @@ router.get(
 router.get(
   '/uploads/restaurant',
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('menu:images'),
   async (req, res) => {
     try {
-      const userId = req.user.id;
+      const restaurantId = req.restaurant.id;
       const { status, page = 1, limit = 20 } = req.query;
 
-      let whereClause = 'WHERE r.user_id = $1';
-      const params = [userId];
+      let whereClause = 'WHERE r.id = $1';
+      const params = [restaurantId];
       let paramCount = 1;
 
       if (status) {
@@ -335,19 +342,20 @@ router.get(
 router.delete(
   '/:uploadId',
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('menu:images'),
   async (req, res) => {
     try {
       const { uploadId } = req.params;
-      const userId = req.user.id;
+      const restaurantId = req.restaurant.id;
 
       // Verify access and get upload info
       const uploadResult = await query(
         `SELECT iu.id, iu.status, iu.file_path
        FROM image_uploads iu
        JOIN restaurants r ON iu.restaurant_id = r.id
-       WHERE iu.id = $1 AND r.user_id = $2`,
-        [uploadId, userId]
+       WHERE iu.id = $1 AND r.id = $2`,
+        [uploadId, restaurantId]
       );
 
       if (uploadResult.rows.length === 0) {
@@ -1,10 +1,59 @@
 const express = require('express');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
-const { setWithExpiry, get } = require('../config/redis');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { getAddress, formatAddressLine } = require('../services/addressService');
+const {
+  actorFromRequest,
+  transitionOrder,
+  recordOrderEvent,
+  listOrderEvents,
+} = require('../services/orderLifecycleService');
+const { publishEvent } = require('../services/eventDispatcher');
+const {
+  getOrderStatus,
+  statusETag,
+  isNotModified,
+  formatOrderStatus,
+} = require('../services/orderStatusService');
+const {
+  pollingHint,
+  setPollingHeaders,
+} = require('../services/pollingService');
+const {
+  priceOrder,
+  formatPriceBreakdown,
+} = require('../services/pricingService');
+const { redeemCoupon } = require('../services/couponService');
+const { planScheduledDelivery } = require('../services/scheduledOrderService');
+const {
+  CANCELLATION_REASON_CODES,
+  cancellationTerms,
+} = require('../services/cancellationService');
+const {
+  REVIEW_TAGS,
+  validateReview,
+  getReviewStatus,
+  createReviews,
+  formatReview,
+} = require('../services/reviewService');
+const { hasPermission } = require('../config/permissions');
+const { getMembership } = require('../services/restaurantStaffService');
 
 const router = express.Router();
 
+// Order event metadata shown to customers and drivers on the timeline; the
+// restaurant's staff, support and admins see all of it
+const PUBLIC_EVENT_METADATA = [
+  'reason',
+  'reasonCode',
+  'estimatedPrepTime',
+  'estimatedTime',
+  'scheduledFor',
+  'cancellationFee',
+  'refundAmount',
+];
+
 // FEATURE 2: Order Tracking (Short Polling Pattern)
 // Pattern Choice: HTTP polling every 60 seconds
 // Reasoning: Battery efficient, handles poor networks well, slight delay acceptable
@@ -12,16 +61,31 @@ const router = express.Router();
 /**
  * POST /api/orders
  * Create a new order
+ * Items may pick modifiers by id: { menuItemId, quantity, modifiers: [3, 7] }
+ * An optional couponCode is redeemed with the order (400 if it doesn't apply)
+ * and tipCents adds a tip; prices come back as integer cents in priceBreakdown
+ * scheduledFor (ISO date-time) orders ahead: the order stays `scheduled` until
+ * the scheduler releases it to the restaurant ahead of that time
+ * Send an Idempotency-Key header so a retried request can't order twice
  */
 router.post(
   '/',
   authenticateToken,
-  authorize(['customer']),
+  requirePermission('orders:place'),
+  idempotent,
   async (req, res) => {
     try {
       const customerId = req.user.id;
-      const { restaurantId, items, deliveryAddress, specialInstructions } =
-        req.body;
+      const {
+        restaurantId,
+        items,
+        addressId,
+        deliveryAddress,
+        specialInstructions,
+        couponCode,
+        tipCents,
+        scheduledFor,
+      } = req.body;
 
       console.log('req.body:', req.body);
       if (
@@ -35,87 +99,199 @@ router.post(
         });
       }
 
-      if (!deliveryAddress) {
-        return res.status(400).json({ error: 'Delivery address is required' });
+      if (!addressId && !deliveryAddress) {
+        return res
+          .status(400)
+          .json({ error: 'Delivery address or addressId is required' });
+      }
+
+      // A saved address is copied onto the order so later edits don't change it
+      let delivery = {
+        addressId: null,
+        address: deliveryAddress,
+        latitude: null,
+        longitude: null,
+        notes: null,
+        city: null,
+      };
+
+      if (addressId) {
+        const savedAddress = await getAddress(customerId, addressId);
+        if (!savedAddress) {
+          return res.status(404).json({ error: 'Address not found' });
+        }
+
+        delivery = {
+          addressId: savedAddress.id,
+          address: formatAddressLine(savedAddress),
+          latitude: savedAddress.latitude,
+          longitude: savedAddress.longitude,
+          notes: savedAddress.delivery_notes,
+          city: savedAddress.city,
+        };
       }
 
       const newOrder = await transaction(async (client) => {
-        // Calculate total amount
-        let totalAmount = 0;
-        const validatedItems = [];
-
-        for (const item of items) {
-          const menuItemResult = await client.query(
-            'SELECT id, price, name FROM menu_items WHERE id = $1 AND is_available = true',
-            [item.menuItemId]
+        // Checked against the lead time and the restaurant's opening hours,
+        // which can't change until the order is in
+        let schedule = null;
+        if (scheduledFor) {
+          schedule = await planScheduledDelivery(
+            restaurantId,
+            scheduledFor,
+            client
           );
 
-          if (menuItemResult.rows.length === 0) {
-            throw new Error(
-              `Menu item ${item.menuItemId} not found or unavailable`
+          if (!schedule) {
+            throw scheduleError(
+              404,
+              'Restaurant not found or not accepting orders'
             );
           }
+          if (schedule.error) {
+            throw scheduleError(400, schedule.error, schedule.openingHours);
+          }
+        }
 
-          const menuItem = menuItemResult.rows[0];
-          const itemTotal = menuItem.price * item.quantity;
-          totalAmount += itemTotal;
+        // Same pricing as POST /api/orders/quote; tax follows the saved
+        // address's city (free-text addresses get the default rate)
+        const pricing = await priceOrder(
+          {
+            userId: customerId,
+            restaurantId,
+            items,
+            couponCode,
+            city: delivery.city,
+            tipCents: tipCents === undefined ? 0 : tipCents,
+          },
+          client
+        );
+        const { breakdown } = pricing;
 
-          validatedItems.push({
-            menuItemId: menuItem.id,
-            name: menuItem.name,
-            quantity: item.quantity,
-            pricePerItem: menuItem.price,
-            itemTotal,
-          });
+        if (pricing.couponError) {
+          throw pricingInputError(pricing.couponError);
         }
 
         // Create order
         const orderResult = await client.query(
-          `INSERT INTO orders (customer_id, restaurant_id, total_amount, delivery_address, special_instructions, status)
-         VALUES ($1, $2, $3, $4, $5, 'confirmed')
-         RETURNING id, customer_id, restaurant_id, total_amount, delivery_address, special_instructions, status, created_at`,
+          `INSERT INTO orders (customer_id, restaurant_id, total_amount, delivery_address,
+                             delivery_address_id, delivery_latitude, delivery_longitude, delivery_notes,
+                             special_instructions, subtotal_cents, delivery_fee_cents,
+                             service_fee_cents, tax_cents, tax_rate_percent, discount_cents,
+                             tip_cents, total_cents, scheduled_for, release_at, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+                 $18, $19, $20)
+         RETURNING id, customer_id, restaurant_id, total_amount, delivery_address,
+                   delivery_address_id, delivery_latitude, delivery_longitude, delivery_notes,
+                   special_instructions, scheduled_for, release_at, status, created_at`,
           [
             customerId,
-            restaurantId,
-            totalAmount,
-            deliveryAddress,
+            pricing.restaurant.id,
+            breakdown.totalCents / 100,
+            delivery.address,
+            delivery.addressId,
+            delivery.latitude,
+            delivery.longitude,
+            delivery.notes,
             specialInstructions,
+            breakdown.subtotalCents,
+            breakdown.deliveryFeeCents,
+            breakdown.serviceFeeCents,
+            breakdown.taxCents,
+            breakdown.taxRatePercent,
+            breakdown.discountCents,
+            breakdown.tipCents,
+            breakdown.totalCents,
+            schedule ? schedule.scheduledFor : null,
+            schedule ? schedule.releaseAt : null,
+            schedule ? 'scheduled' : 'confirmed',
           ]
         );
 
         const order = orderResult.rows[0];
 
-        // Create order items
-        for (const item of validatedItems) {
-          await client.query(
+        // Re-checks the coupon's caps under a lock; rolls the order back if
+        // someone else used the last redemption meanwhile
+        if (pricing.coupon) {
+          await redeemCoupon(client, {
+            coupon: pricing.coupon,
+            userId: customerId,
+            orderId: order.id,
+            discountCents: breakdown.discountCents,
+          });
+        }
+
+        // Create order items, with copies of their chosen modifiers
+        for (const item of pricing.items) {
+          const orderItemResult = await client.query(
             `INSERT INTO order_items (order_id, menu_item_id, quantity, price_per_item)
-           VALUES ($1, $2, $3, $4)`,
-            [order.id, item.menuItemId, item.quantity, item.pricePerItem]
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+            [
+              order.id,
+              item.menuItemId,
+              item.quantity,
+              item.unitPriceCents / 100,
+            ]
           );
+
+          for (const modifier of item.modifiers) {
+            await client.query(
+              `INSERT INTO order_item_modifiers (order_item_id, modifier_id, group_name, modifier_name, price_delta)
+             VALUES ($1, $2, $3, $4, $5)`,
+              [
+                orderItemResult.rows[0].id,
+                modifier.modifierId,
+                modifier.groupName,
+                modifier.name,
+                modifier.priceDelta,
+              ]
+            );
+          }
         }
 
-        // Cache order status for polling
-        await setWithExpiry(
-          `order_status:${order.id}`,
-          {
-            orderId: order.id,
-            status: order.status,
-            lastUpdated: new Date().toISOString(),
-            estimatedDelivery: new Date(
-              Date.now() + 45 * 60 * 1000
-            ).toISOString(), // 45 min estimate
-          },
-          3600
-        ); // Cache for 1 hour
+        // First entry of the order's timeline
+        await recordOrderEvent(client, {
+          orderId: order.id,
+          fromStatus: null,
+          toStatus: order.status,
+          actor: actorFromRequest(req),
+        });
 
-        return { ...order, items: validatedItems };
+        return {
+          ...order,
+          items: pricing.items,
+          priceBreakdown: breakdown,
+          couponCode: pricing.coupon ? pricing.coupon.code : null,
+        };
+      });
+
+      // Caches the status snapshot and alerts the restaurant's staff
+      // (scheduled orders only once they're released)
+      await publishEvent('order.created', {
+        orderId: newOrder.id,
+        customerId: newOrder.customer_id,
+        restaurantId: newOrder.restaurant_id,
+        status: newOrder.status,
       });
 
       res.status(201).json({
-        message: 'Order created successfully',
+        message: newOrder.scheduled_for
+          ? 'Order scheduled successfully'
+          : 'Order created successfully',
         order: newOrder,
       });
     } catch (error) {
+      if (error.name === 'PricingError' || error.name === 'CouponError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      if (error.name === 'ScheduleError') {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          openingHours: error.openingHours,
+        });
+      }
+
       console.error('Order creation error:', error);
       res.status(500).json({
         error: 'Failed to create order',
@@ -125,117 +301,112 @@ router.post(
   }
 );
 
+/**
+ * POST /api/orders/quote
+ * Price a basket without ordering: items (with modifiers) and the same
+ * integer-cent breakdown the order would store. Pass addressId for the
+ * delivery city's tax rate; couponError says why a couponCode doesn't apply
+ */
+router.post(
+  '/quote',
+  authenticateToken,
+  requirePermission('orders:place'),
+  async (req, res) => {
+    try {
+      const { restaurantId, items, couponCode, addressId, tipCents } = req.body;
+
+      let city = null;
+      if (addressId) {
+        const savedAddress = await getAddress(req.user.id, addressId);
+        if (!savedAddress) {
+          return res.status(404).json({ error: 'Address not found' });
+        }
+        city = savedAddress.city;
+      }
+
+      const pricing = await priceOrder({
+        userId: req.user.id,
+        restaurantId,
+        items,
+        couponCode,
+        city,
+        tipCents: tipCents === undefined ? 0 : tipCents,
+      });
+
+      res.json({
+        restaurantId: pricing.restaurant.id,
+        restaurantName: pricing.restaurant.name,
+        items: pricing.items,
+        priceBreakdown: pricing.breakdown,
+        coupon: pricing.coupon
+          ? {
+              code: pricing.coupon.code,
+              description: pricing.coupon.description,
+            }
+          : null,
+        couponError: pricing.couponError,
+      });
+    } catch (error) {
+      if (error.name === 'PricingError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('Order quote error:', error);
+      res.status(500).json({ error: 'Failed to price order' });
+    }
+  }
+);
+
 /**
  * GET /api/orders/:orderId/status
  * Short polling endpoint for order status tracking
- * Clients should poll this every 60 seconds
+ * Clients poll again after Retry-After (polling.nextPollInMs), sending back
+ * the ETag as If-None-Match; an unchanged order answers 304 straight from
+ * Redis. polling.stopPolling means the order is finished.
  */
-
 router.get('/:orderId/status', authenticateToken, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const userId = req.user.id;
-    const userType = req.user.user_type;
-
-    // First check Redis cache for quick response
-    const cachedStatus = await get(`order_status:${orderId}`);
-    let orderStatus;
-    let fromCache = false;
-
-    if (cachedStatus && cachedStatus.lastUpdated) {
-      const cacheAge =
-        Date.now() - new Date(cachedStatus.lastUpdated).getTime();
-
-      // Use cache if it's less than 30 seconds old
-      if (cacheAge < 30000) {
-        orderStatus = cachedStatus;
-        fromCache = true;
-      }
-    }
-
-    // If not in cache or cache is stale, fetch from database
-    if (!orderStatus) {
-      const result = await query(
-        `SELECT o.id, o.customer_id, o.restaurant_id, o.driver_id, o.status, 
-                o.total_amount, o.delivery_address, o.created_at, o.updated_at,
-                rest.name as restaurant_name,
-                CASE 
-                  WHEN d.first_name IS NOT NULL 
-                  THEN d.first_name || ' ' || d.last_name 
-                  ELSE NULL 
-                END as driver_name
-         FROM orders o
-         LEFT JOIN restaurants rest ON o.restaurant_id = rest.id
-         LEFT JOIN users r ON rest.user_id = r.id
-         LEFT JOIN users d ON o.driver_id = d.id
-         WHERE o.id = $1`,
-        [orderId]
-      );
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Order not found' });
-      }
+    // Served from the Redis snapshot, kept current on every order change
+    const { snapshot, fromCache } = await getOrderStatus(orderId);
 
-      const order = result.rows[0];
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
 
-      // Authorization check
-      if (userType === 'customer' && order.customer_id !== userId) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-      if (userType === 'restaurant') {
-        const restaurantCheck = await query(
-          'SELECT id FROM restaurants WHERE user_id = $1 AND id = $2',
-          [userId, order.restaurant_id]
-        );
-        if (restaurantCheck.rows.length === 0) {
-          return res.status(403).json({ error: 'Access denied' });
-        }
-      }
+    // Authorization check (customers are answered without Postgres)
+    const order = {
+      customer_id: snapshot.access.customerId,
+      restaurant_id: snapshot.access.restaurantId,
+      driver_id: snapshot.access.driverId,
+    };
+    if (
+      order.customer_id !== req.user.id &&
+      !(await canViewOrder(req.user, order))
+    ) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-      // Calculate estimated delivery time based on status
-      let estimatedDelivery = null;
-      const orderTime = new Date(order.created_at);
-
-      switch (order.status) {
-        case 'confirmed':
-          estimatedDelivery = new Date(orderTime.getTime() + 45 * 60 * 1000);
-          break;
-        case 'preparing':
-          estimatedDelivery = new Date(orderTime.getTime() + 40 * 60 * 1000);
-          break;
-        case 'ready':
-          estimatedDelivery = new Date(orderTime.getTime() + 25 * 60 * 1000);
-          break;
-        case 'picked_up':
-          estimatedDelivery = new Date(orderTime.getTime() + 15 * 60 * 1000);
-          break;
-        case 'delivered':
-          estimatedDelivery = order.updated_at;
-          break;
-      }
+    // When to poll next (Retry-After), or stop once the order is finished
+    const hint = pollingHint(snapshot);
 
-      orderStatus = {
-        orderId: order.id,
-        status: order.status,
-        restaurantName: order.restaurant_name,
-        driverName: order.driver_name,
-        totalAmount: order.total_amount,
-        deliveryAddress: order.delivery_address,
-        estimatedDelivery: estimatedDelivery?.toISOString(),
-        lastUpdated: new Date().toISOString(),
-        createdAt: order.created_at,
-        updatedAt: order.updated_at,
-      };
+    res.set({
+      ETag: statusETag(snapshot),
+      'Last-Modified': new Date(snapshot.updatedAt).toUTCString(),
+      'Cache-Control': 'private, no-cache',
+    });
+    setPollingHeaders(res, hint);
 
-      // Cache the result
-      await setWithExpiry(`order_status:${orderId}`, orderStatus, 3600);
+    if (isNotModified(req, snapshot)) {
+      return res.status(304).end();
     }
 
     // Add polling instructions to response
     res.json({
-      ...orderStatus,
+      ...formatOrderStatus(snapshot),
       polling: {
-        nextPollIn: 60, // seconds
+        ...hint,
         endpoint: `/api/orders/${orderId}/status`,
         fromCache,
       },
@@ -249,112 +420,287 @@ router.get('/:orderId/status', authenticateToken, async (req, res) => {
 /**
  * PUT /api/orders/:orderId/status
  * Update order status (restaurant/driver use)
+ * Transitions and who may take them are defined in orderLifecycleService
  */
 router.put('/:orderId/status', authenticateToken, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
-    const userId = req.user.id;
-    const userType = req.user.user_type;
-
-    const validStatuses = [
-      'confirmed',
-      'preparing',
-      'ready',
-      'picked_up',
-      'delivered',
-      'cancelled',
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        error: 'Invalid status',
-        validStatuses,
+    const { status, reason } = req.body;
+
+    const { order } = await transitionOrder({
+      orderId,
+      toStatus: status,
+      actor: actorFromRequest(req),
+      metadata: { reason },
+    });
+
+    res.json({
+      message: 'Order status updated successfully',
+      orderId: order.id,
+      status: order.status,
+      updatedAt: order.updated_at,
+    });
+  } catch (error) {
+    if (error.name === 'OrderTransitionError') {
+      return res
+        .status(error.statusCode)
+        .json({ error: error.message, ...error.details });
+    }
+
+    console.error('Order status update error:', error);
+    res.status(500).json({ error: 'Failed to update order status' });
+  }
+});
+
+/**
+ * GET /api/orders/:orderId/cancellation
+ * What cancelling the customer's order would cost right now
+ */
+router.get(
+  '/:orderId/cancellation',
+  authenticateToken,
+  requirePermission('orders:cancel_own'),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+
+      const result = await query(
+        `SELECT id, status, total_cents FROM orders
+         WHERE id = $1 AND customer_id = $2`,
+        [orderId, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const order = result.rows[0];
+      const terms = cancellationTerms(order);
+
+      res.json({
+        orderId: order.id,
+        status: order.status,
+        cancellable: Boolean(terms),
+        ...terms,
+        reasonCodes: CANCELLATION_REASON_CODES,
       });
+    } catch (error) {
+      console.error('Cancellation terms error:', error);
+      res.status(500).json({ error: 'Failed to fetch cancellation terms' });
     }
+  }
+);
 
-    // Authorization and status transition logic
-    let updateQuery;
-    let updateParams;
+/**
+ * POST /api/orders/:orderId/cancel
+ * Customer cancels their own order: free while confirmed, a fee once the
+ * restaurant is preparing it, not possible after pickup
+ */
+router.post(
+  '/:orderId/cancel',
+  authenticateToken,
+  requirePermission('orders:cancel_own'),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { reasonCode, note } = req.body;
+
+      // The lifecycle applies the cancellation policy and notifies the
+      // restaurant room and any assigned driver
+      const { order, metadata } = await transitionOrder({
+        orderId,
+        toStatus: 'cancelled',
+        actor: actorFromRequest(req),
+        metadata: { reasonCode, note, reason: note || reasonCode },
+      });
 
-    if (userType === 'restaurant') {
-      // Restaurants can update: confirmed -> preparing -> ready
-      if (!['preparing', 'ready'].includes(status)) {
-        return res.status(400).json({
-          error: 'Restaurants can only set status to preparing or ready',
-        });
+      res.json({
+        message: 'Order cancelled successfully',
+        orderId: order.id,
+        status: order.status,
+        reasonCode: metadata.reasonCode,
+        cancellationFee: metadata.cancellationFee,
+        refundAmount: metadata.refundAmount,
+      });
+    } catch (error) {
+      if (error.name === 'OrderTransitionError') {
+        return res
+          .status(error.statusCode)
+          .json({ error: error.message, ...error.details });
       }
 
-      updateQuery = `
-        UPDATE orders 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP
-        FROM restaurants r
-        WHERE orders.id = $2 AND orders.restaurant_id = r.id AND r.user_id = $3
-        RETURNING orders.id, orders.status, orders.updated_at`;
-      updateParams = [status, orderId, userId];
-    } else if (userType === 'driver') {
-      // Drivers can update: ready -> picked_up -> delivered
-      if (!['picked_up', 'delivered'].includes(status)) {
-        return res.status(400).json({
-          error: 'Drivers can only set status to picked_up or delivered',
-        });
+      console.error('Order cancellation error:', error);
+      res.status(500).json({ error: 'Failed to cancel order' });
+    }
+  }
+);
+
+/**
+ * GET /api/orders/:orderId/reviews
+ * The customer's reviews of a delivered order, and what they can still rate
+ */
+router.get(
+  '/:orderId/reviews',
+  authenticateToken,
+  requirePermission('reviews:write'),
+  async (req, res) => {
+    try {
+      const status = await getReviewStatus(req.params.orderId, req.user.id);
+
+      if (!status) {
+        return res.status(404).json({ error: 'Order not found' });
       }
 
-      updateQuery = `
-        UPDATE orders 
-        SET status = $1, driver_id = $2, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $3 AND (driver_id IS NULL OR driver_id = $2)
-        RETURNING id, status, updated_at`;
-      updateParams = [status, userId, orderId];
-    } else {
-      return res.status(403).json({
-        error: 'Only restaurants and drivers can update order status',
+      res.json({
+        orderId: status.order.id,
+        reviewableUntil: status.reviewableUntil,
+        canReview: {
+          food: status.canReview.restaurant,
+          driver: status.canReview.driver,
+        },
+        tags: { food: REVIEW_TAGS.restaurant, driver: REVIEW_TAGS.driver },
+        reviews: status.reviews.map((review) => formatReview(review)),
       });
+    } catch (error) {
+      console.error('Order reviews fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch order reviews' });
     }
+  }
+);
 
-    const result = await query(updateQuery, updateParams);
+/**
+ * POST /api/orders/:orderId/reviews
+ * Rate a delivered order's food and/or driver, separately:
+ * { food: { rating, tags, comment }, driver: { rating, tags, comment } }
+ * Each can be rated once, within REVIEW_WINDOW_DAYS of delivery
+ */
+router.post(
+  '/:orderId/reviews',
+  authenticateToken,
+  requirePermission('reviews:write'),
+  async (req, res) => {
+    try {
+      const { food, driver } = req.body;
 
-    if (result.rows.length === 0) {
-      return res
-        .status(404)
-        .json({ error: 'Order not found or access denied' });
+      if (!food && !driver) {
+        return res
+          .status(400)
+          .json({ error: 'Rate the food, the driver or both' });
+      }
+
+      const reviews = {};
+      for (const [subjectType, input] of [
+        ['restaurant', food],
+        ['driver', driver],
+      ]) {
+        if (!input) continue;
+
+        const { review, error } = validateReview(input, subjectType);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        reviews[subjectType] = review;
+      }
+
+      const created = await transaction((client) =>
+        createReviews(client, {
+          orderId: req.params.orderId,
+          customerId: req.user.id,
+          reviews,
+        })
+      );
+
+      res.status(201).json({
+        message: 'Thanks for your review',
+        reviews: created.map((review) => formatReview(review)),
+      });
+    } catch (error) {
+      if (error.name === 'ReviewError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('Order review error:', error);
+      res.status(500).json({ error: 'Failed to save review' });
+    }
+  }
+);
+
+/**
+ * GET /api/orders/:orderId/timeline
+ * Every status change of an order, oldest first
+ * (the customer, the restaurant's staff, the assigned driver and support;
+ * customers and drivers get a subset of each event's metadata)
+ */
+router.get('/:orderId/timeline', authenticateToken, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const orderResult = await query(
+      `SELECT id, customer_id, restaurant_id, driver_id, status, created_at, updated_at
+       FROM orders WHERE id = $1`,
+      [orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
     }
 
-    const updatedOrder = result.rows[0];
+    const order = orderResult.rows[0];
+    const isCustomer = order.customer_id === req.user.id;
+    const seesDetails = await canViewOrderDetails(req.user, order);
 
-    // Update cache
-    const cachedStatus = await get(`order_status:${orderId}`);
-    if (cachedStatus) {
-      cachedStatus.status = updatedOrder.status;
-      cachedStatus.lastUpdated = new Date().toISOString();
-      await setWithExpiry(`order_status:${orderId}`, cachedStatus, 3600);
+    if (!isCustomer && !seesDetails && order.driver_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
+    const events = await listOrderEvents(order.id);
+
     res.json({
-      message: 'Order status updated successfully',
-      orderId: updatedOrder.id,
-      status: updatedOrder.status,
-      updatedAt: updatedOrder.updated_at,
+      orderId: order.id,
+      status: order.status,
+      createdAt: order.created_at,
+      updatedAt: order.updated_at,
+      events: events.map((event) => ({
+        id: event.id,
+        fromStatus: event.from_status,
+        toStatus: event.to_status,
+        actorType: event.actor_type,
+        // Customers see who acted by role, not by name
+        actorName: isCustomer ? undefined : event.actor_name,
+        metadata: seesDetails
+          ? event.metadata
+          : publicEventMetadata(event.metadata),
+        createdAt: event.created_at,
+      })),
     });
   } catch (error) {
-    console.error('Order status update error:', error);
-    res.status(500).json({ error: 'Failed to update order status' });
+    console.error('Order timeline error:', error);
+    res.status(500).json({ error: 'Failed to fetch order timeline' });
   }
 });
 
 /**
  * GET /api/orders/customer/active
- * Get customer's active orders for polling
+ * Get customer's active orders for polling (scheduled ones included, with
+ * their scheduledFor time)
  */
 router.get(
   '/customer/active',
   authenticateToken,
-  authorize(['customer']),
+  requirePermission('orders:track'),
   async (req, res) => {
     try {
       const customerId = req.user.id;
 
       const result = await query(
-        `SELECT o.id, o.status, o.total_amount, o.created_at, rest.name as restaurant_name
+        `SELECT o.id, o.status, o.total_amount, o.subtotal_cents, o.delivery_fee_cents,
+              o.service_fee_cents, o.tax_cents, o.tax_rate_percent, o.discount_cents,
+              o.tip_cents, o.total_cents, o.scheduled_for, o.release_at,
+              o.created_at, o.updated_at,
+              rest.name as restaurant_name,
+              (SELECT e.metadata->>'estimatedPrepTime' FROM order_events e
+               WHERE e.order_id = o.id AND e.to_status = 'preparing'
+               ORDER BY e.id DESC LIMIT 1) as estimated_prep_time
        FROM orders o
        JOIN restaurants rest ON o.restaurant_id = rest.id
        JOIN users r ON rest.user_id = r.id
@@ -368,15 +714,34 @@ router.get(
         status: order.status,
         restaurantName: order.restaurant_name,
         totalAmount: order.total_amount,
+        priceBreakdown: formatPriceBreakdown(order),
+        scheduledFor: order.scheduled_for,
         createdAt: order.created_at,
         trackingUrl: `/api/orders/${order.id}/status`,
+        polling: pollingHint({
+          status: order.status,
+          updatedAt: order.updated_at,
+          estimatedPrepTime: order.estimated_prep_time,
+          releaseAt: order.release_at,
+        }),
       }));
 
+      // Come back when the soonest order is due; nothing active, nothing to poll
+      const hint = activeOrders.length
+        ? activeOrders
+            .map((order) => order.polling)
+            .reduce((soonest, next) =>
+              next.nextPollInMs < soonest.nextPollInMs ? next : soonest
+            )
+        : { stopPolling: true, nextPollInMs: null };
+      setPollingHeaders(res, hint);
+
       res.json({
         activeOrders,
         count: activeOrders.length,
         polling: {
-          recommendedInterval: 60, // seconds
+          stopPolling: hint.stopPolling,
+          nextPollInMs: hint.nextPollInMs,
           instruction: 'Poll individual order status endpoints',
         },
       });
@@ -387,4 +752,114 @@ router.get(
   }
 );
 
+/**
+ * GET /api/orders/customer/history
+ * Customer's delivered and cancelled orders, newest first, with each order's
+ * stored price breakdown
+ */
+router.get(
+  '/customer/history',
+  authenticateToken,
+  requirePermission('orders:track'),
+  async (req, res) => {
+    try {
+      const customerId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM orders
+         WHERE customer_id = $1 AND status IN ('delivered', 'cancelled')`,
+        [customerId]
+      );
+
+      const offset = (page - 1) * limit;
+      const result = await query(
+        `SELECT o.id, o.status, o.total_amount, o.subtotal_cents, o.delivery_fee_cents,
+              o.service_fee_cents, o.tax_cents, o.tax_rate_percent, o.discount_cents,
+              o.tip_cents, o.total_cents, o.delivery_address, o.created_at, o.updated_at,
+              rest.name as restaurant_name
+       FROM orders o
+       JOIN restaurants rest ON o.restaurant_id = rest.id
+       WHERE o.customer_id = $1 AND o.status IN ('delivered', 'cancelled')
+       ORDER BY o.created_at DESC
+       LIMIT $2 OFFSET $3`,
+        [customerId, parseInt(limit), offset]
+      );
+
+      const totalCount = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.json({
+        orders: result.rows.map((order) => ({
+          id: order.id,
+          status: order.status,
+          restaurantName: order.restaurant_name,
+          deliveryAddress: order.delivery_address,
+          totalAmount: order.total_amount,
+          priceBreakdown: formatPriceBreakdown(order),
+          createdAt: order.created_at,
+          updatedAt: order.updated_at,
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error('Order history fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch order history' });
+    }
+  }
+);
+
+// Helper function to check staff, driver or support access to an order
+async function canViewOrder(user, order) {
+  if (order.driver_id === user.id) {
+    return true;
+  }
+  return canViewOrderDetails(user, order);
+}
+
+// Helper function to check access to an order's internal details (the
+// restaurant's staff, support and admins)
+async function canViewOrderDetails(user, order) {
+  if (hasPermission(user.user_type, 'orders:read_any')) {
+    return true;
+  }
+  if (hasPermission(user.user_type, 'restaurant:access')) {
+    return Boolean(await getMembership(user.id, order.restaurant_id));
+  }
+  return false;
+}
+
+// Helper function to keep only the timeline metadata meant for customers
+// and drivers (no staff notes or internal fields)
+function publicEventMetadata(metadata) {
+  return Object.fromEntries(
+    Object.entries(metadata || {}).filter(([key]) =>
+      PUBLIC_EVENT_METADATA.includes(key)
+    )
+  );
+}
+
+// Helper function to reject an order whose coupon doesn't apply
+function pricingInputError(message) {
+  const error = new Error(message);
+  error.name = 'PricingError';
+  error.statusCode = 400;
+  return error;
+}
+
+// Helper function to reject a scheduled delivery time (with the opening
+// hours when the restaurant is closed then)
+function scheduleError(statusCode, message, openingHours) {
+  const error = new Error(message);
+  error.name = 'ScheduleError';
+  error.statusCode = statusCode;
+  error.openingHours = openingHours;
+  return error;
+}
+
 module.exports = router;
@@ -1,6 +1,51 @@
 const express = require('express');
-const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const bcrypt = require('bcryptjs');
+const { query, transaction } = require('../config/database');
+const {
+  allowApiKey,
+  authenticateToken,
+  requirePermission,
+  authorizeRestaurant,
+} = require('../middleware/auth');
+const {
+  STAFF_ROLES,
+  canManageRole,
+  createInvite,
+  consumeInvite,
+} = require('../services/restaurantStaffService');
+const { sendMail } = require('../services/mailService');
+const { publishEvent } = require('../services/eventDispatcher');
+const {
+  actorFromRequest,
+  transitionOrder,
+} = require('../services/orderLifecycleService');
+const {
+  ORDER_ITEM_MODIFIERS_JSON,
+  validateOptionGroups,
+  lowestPriceDelta,
+  getOptionGroups,
+  replaceOptionGroups,
+} = require('../services/menuOptionService');
+const {
+  validateHours,
+  getOpeningHours,
+  replaceOpeningHours,
+} = require('../services/restaurantHoursService');
+const {
+  parsePagination,
+  listReviews,
+  getRatingSummary,
+  replyToReview,
+  reportReview,
+  formatReview,
+} = require('../services/reviewService');
+const {
+  API_KEY_SCOPES,
+  API_KEY_MODES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} = require('../services/apiKeyService');
 
 const router = express.Router();
 
@@ -14,28 +59,18 @@ const router = express.Router();
  */
 router.get(
   '/orders/pending',
+  allowApiKey('orders:read'),
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('orders:read'),
   async (req, res) => {
     try {
-      const userId = req.user.id;
-
-      // Get restaurant ID for this user
-      const restaurantResult = await query(
-        'SELECT id FROM restaurants WHERE user_id = $1',
-        [userId]
-      );
-
-      if (restaurantResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Restaurant not found' });
-      }
-
-      const restaurantId = restaurantResult.rows[0].id;
+      const restaurantId = req.restaurant.id;
 
       // Get pending orders
       const ordersResult = await query(
         `SELECT o.id, o.customer_id, o.total_amount, o.delivery_address, 
-              o.special_instructions, o.status, o.created_at,
+              o.special_instructions, o.status, o.scheduled_for, o.release_at, o.created_at,
               c.first_name || ' ' || c.last_name as customer_name,
               c.phone as customer_phone,
               COALESCE(
@@ -43,7 +78,8 @@ router.get(
                   json_build_object(
                     'name', mi.name,
                     'quantity', oi.quantity,
-                    'price_per_item', oi.price_per_item
+                    'price_per_item', oi.price_per_item,
+                    'modifiers', ${ORDER_ITEM_MODIFIERS_JSON}
                   )
                 ) FILTER (WHERE mi.id IS NOT NULL), 
                 '[]'
@@ -54,7 +90,7 @@ router.get(
        LEFT JOIN menu_items mi ON oi.menu_item_id = mi.id
        WHERE o.restaurant_id = $1 AND o.status IN ('confirmed', 'preparing')
        GROUP BY o.id, c.first_name, c.last_name, c.phone
-       ORDER BY o.created_at ASC`,
+       ORDER BY COALESCE(o.release_at, o.created_at) ASC`,
         [restaurantId]
       );
 
@@ -67,9 +103,13 @@ router.get(
         specialInstructions: order.special_instructions,
         status: order.status,
         items: order.items,
+        scheduledFor: order.scheduled_for,
         createdAt: order.created_at,
+        // Scheduled orders count from when they reached the kitchen
         timeElapsed: Math.floor(
-          (Date.now() - new Date(order.created_at).getTime()) / 1000
+          (Date.now() -
+            new Date(order.release_at || order.created_at).getTime()) /
+            1000
         ),
       }));
 
@@ -97,42 +137,38 @@ router.get(
  */
 router.put(
   '/orders/:orderId/accept',
+  allowApiKey('orders:write'),
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('orders:update_status:kitchen'),
   async (req, res) => {
     try {
       const { orderId } = req.params;
       const { estimatedPrepTime } = req.body; // in minutes
-      const userId = req.user.id;
-
-      // Verify restaurant owns this order
-      const result = await query(
-        `UPDATE orders 
-       SET status = 'preparing', updated_at = CURRENT_TIMESTAMP
-       FROM restaurants r
-       WHERE orders.id = $1 AND orders.restaurant_id = r.id AND r.user_id = $2 AND orders.status = 'confirmed'
-       RETURNING orders.id, orders.customer_id, orders.total_amount`,
-        [orderId, userId]
-      );
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          error: 'Order not found, access denied, or already processed',
-        });
-      }
-
-      const order = result.rows[0];
-
-      // Emit status update via WebSocket (handled in socket handler)
-      // The socket handler will emit to the customer
+      // The lifecycle checks this restaurant owns the order and it's confirmed
+      const { order } = await transitionOrder({
+        orderId,
+        toStatus: 'preparing',
+        actor: actorFromRequest(req),
+        metadata: { estimatedPrepTime },
+        dryRun: isSandbox(req),
+      });
 
       res.json({
         message: 'Order accepted and preparation started',
         orderId: order.id,
         status: 'preparing',
         estimatedPrepTime: estimatedPrepTime || 25, // default 25 minutes
+        ...sandboxFlag(req),
       });
     } catch (error) {
+      if (error.name === 'OrderTransitionError') {
+        return res
+          .status(error.statusCode)
+          .json({ error: error.message, ...error.details });
+      }
+
       console.error('Order accept error:', error);
       res.status(500).json({ error: 'Failed to accept order' });
     }
@@ -145,38 +181,36 @@ router.put(
  */
 router.put(
   '/orders/:orderId/ready',
+  allowApiKey('orders:write'),
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('orders:update_status:kitchen'),
   async (req, res) => {
     try {
       const { orderId } = req.params;
-      const userId = req.user.id;
 
-      // Verify restaurant owns this order and it's in preparing state
-      const result = await query(
-        `UPDATE orders 
-       SET status = 'ready', updated_at = CURRENT_TIMESTAMP
-       FROM restaurants r
-       WHERE orders.id = $1 AND orders.restaurant_id = r.id AND r.user_id = $2 AND orders.status = 'preparing'
-       RETURNING orders.id, orders.customer_id, orders.total_amount`,
-        [orderId, userId]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          error: 'Order not found, access denied, or not in preparing state',
-        });
-      }
-
-      const order = result.rows[0];
+      // The lifecycle checks this restaurant owns the order and it's preparing
+      const { order } = await transitionOrder({
+        orderId,
+        toStatus: 'ready',
+        actor: actorFromRequest(req),
+        dryRun: isSandbox(req),
+      });
 
       res.json({
         message: 'Order marked as ready for pickup',
         orderId: order.id,
         status: 'ready',
         instruction: 'Order is now available for driver pickup',
+        ...sandboxFlag(req),
       });
     } catch (error) {
+      if (error.name === 'OrderTransitionError') {
+        return res
+          .status(error.statusCode)
+          .json({ error: error.message, ...error.details });
+      }
+
       console.error('Order ready error:', error);
       res.status(500).json({ error: 'Failed to mark order as ready' });
     }
@@ -189,13 +223,14 @@ router.put(
  */
 router.put(
   '/orders/:orderId/cancel',
+  allowApiKey('orders:write'),
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('orders:cancel'),
   async (req, res) => {
     try {
       const { orderId } = req.params;
       const { reason } = req.body;
-      const userId = req.user.id;
 
       if (!reason) {
         return res
@@ -203,25 +238,14 @@ router.put(
           .json({ error: 'Cancellation reason is required' });
       }
 
-      // Verify restaurant owns this order and it's not yet picked up
-      const result = await query(
-        `UPDATE orders 
-       SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
-       FROM restaurants r
-       WHERE orders.id = $1 AND orders.restaurant_id = r.id AND r.user_id = $2 
-         AND orders.status IN ('confirmed', 'preparing', 'ready')
-       RETURNING orders.id, orders.customer_id, orders.total_amount`,
-        [orderId, userId]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          error:
-            'Order not found, access denied, or cannot be cancelled (already picked up/delivered)',
-        });
-      }
-
-      const order = result.rows[0];
+      // The lifecycle only allows cancelling before pickup
+      const { order } = await transitionOrder({
+        orderId,
+        toStatus: 'cancelled',
+        actor: actorFromRequest(req),
+        metadata: { reason },
+        dryRun: isSandbox(req),
+      });
 
       res.json({
         message: 'Order cancelled successfully',
@@ -229,8 +253,15 @@ router.put(
         status: 'cancelled',
         reason,
         instruction: 'Customer will be notified of cancellation',
+        ...sandboxFlag(req),
       });
     } catch (error) {
+      if (error.name === 'OrderTransitionError') {
+        return res
+          .status(error.statusCode)
+          .json({ error: error.message, ...error.details });
+      }
+
       console.error('Order cancel error:', error);
       res.status(500).json({ error: 'Failed to cancel order' });
     }
@@ -243,19 +274,19 @@ router.put(
  */
 router.get(
   '/dashboard',
+  allowApiKey('orders:read'),
   authenticateToken,
-  authorize(['restaurant']),
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('restaurant:dashboard'),
   async (req, res) => {
     try {
-      const userId = req.user.id;
-
       // Get restaurant info
       const restaurantResult = await query(
         `SELECT r.id, r.name, r.cuisine_type, u.first_name || ' ' || u.last_name as owner_name
        FROM restaurants r
        JOIN users u ON r.user_id = u.id
-       WHERE r.user_id = $1`,
-        [userId]
+       WHERE r.id = $1`,
+        [req.restaurant.id]
       );
 
       if (restaurantResult.rows.length === 0) {
@@ -300,6 +331,8 @@ router.get(
           name: restaurant.name,
           cuisineType: restaurant.cuisine_type,
           ownerName: restaurant.owner_name,
+          yourRole: req.restaurant.role,
+          rating: await getRatingSummary('restaurant', restaurant.id),
         },
         statistics: {
           newOrders: parseInt(stats.new_orders),
@@ -328,4 +361,837 @@ router.get(
   }
 );
 
+/**
+ * GET /api/restaurant/staff
+ * List staff members and pending invites
+ */
+router.get(
+  '/staff',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('staff:manage'),
+  async (req, res) => {
+    try {
+      const staffResult = await query(
+        `SELECT rs.user_id, rs.role, rs.created_at,
+              u.email, u.first_name || ' ' || u.last_name as name, u.is_active
+       FROM restaurant_staff rs
+       JOIN users u ON rs.user_id = u.id
+       WHERE rs.restaurant_id = $1
+       ORDER BY rs.created_at ASC`,
+        [req.restaurant.id]
+      );
+
+      const invitesResult = await query(
+        `SELECT id, email, role, expires_at, created_at
+       FROM restaurant_staff_invites
+       WHERE restaurant_id = $1 AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY created_at DESC`,
+        [req.restaurant.id]
+      );
+
+      res.json({
+        restaurantId: req.restaurant.id,
+        staff: staffResult.rows.map((member) => ({
+          userId: member.user_id,
+          name: member.name,
+          email: member.email,
+          role: member.role,
+          isActive: member.is_active,
+          joinedAt: member.created_at,
+        })),
+        pendingInvites: invitesResult.rows.map((invite) => ({
+          id: invite.id,
+          email: invite.email,
+          role: invite.role,
+          expiresAt: invite.expires_at,
+          createdAt: invite.created_at,
+        })),
+        roles: STAFF_ROLES,
+      });
+    } catch (error) {
+      console.error('Staff list error:', error);
+      res.status(500).json({ error: 'Failed to fetch staff' });
+    }
+  }
+);
+
+/**
+ * POST /api/restaurant/staff/invites
+ * Invite a staff member by email
+ */
+router.post(
+  '/staff/invites',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('staff:manage'),
+  async (req, res) => {
+    try {
+      const { email, role } = req.body;
+
+      if (!email || !role) {
+        return res.status(400).json({ error: 'Email and role are required' });
+      }
+
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: 'Invalid role',
+          validRoles: STAFF_ROLES,
+        });
+      }
+
+      if (!canManageRole(req.restaurant.role, role)) {
+        return res.status(403).json({
+          error: `A ${req.restaurant.role} cannot invite a ${role}`,
+        });
+      }
+
+      const normalizedEmail = email.toLowerCase();
+
+      const existingMember = await query(
+        `SELECT rs.id FROM restaurant_staff rs
+       JOIN users u ON rs.user_id = u.id
+       WHERE rs.restaurant_id = $1 AND u.email = $2`,
+        [req.restaurant.id, normalizedEmail]
+      );
+      if (existingMember.rows.length > 0) {
+        return res.status(409).json({ error: 'Already a staff member' });
+      }
+
+      const { invite, token } = await createInvite({
+        restaurantId: req.restaurant.id,
+        email: normalizedEmail,
+        role,
+        invitedBy: req.user.id,
+      });
+
+      const baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+      await sendMail({
+        to: normalizedEmail,
+        subject: `You've been invited to ${req.restaurant.name} on FoodFast`,
+        text:
+          `${req.user.first_name} invited you to join ${req.restaurant.name} as ${role}.\n\n` +
+          `Accept the invite:\n${baseUrl}/staff-invite?token=${encodeURIComponent(token)}\n\n` +
+          `The invite expires at ${new Date(invite.expires_at).toISOString()}.`,
+      });
+
+      res.status(201).json({
+        message: 'Invite sent',
+        invite: {
+          id: invite.id,
+          email: invite.email,
+          role: invite.role,
+          expiresAt: invite.expires_at,
+          createdAt: invite.created_at,
+        },
+      });
+    } catch (error) {
+      console.error('Staff invite error:', error);
+      res.status(500).json({ error: 'Failed to send invite' });
+    }
+  }
+);
+
+/**
+ * POST /api/restaurant/staff/invites/accept
+ * Accept an invite. Creates a restaurant login when the email has none,
+ * so every staffer has their own credentials.
+ */
+router.post('/staff/invites/accept', async (req, res) => {
+  try {
+    const { token, password, firstName, lastName, phone } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invite token is required' });
+    }
+
+    const outcome = await transaction(async (client) => {
+      const invite = await consumeInvite(client, token);
+      if (!invite) {
+        return { status: 400, error: 'Invalid or expired invite' };
+      }
+
+      const userResult = await client.query(
+        'SELECT id, user_type FROM users WHERE email = $1',
+        [invite.email]
+      );
+
+      let userId;
+      let accountCreated = false;
+
+      if (userResult.rows.length > 0) {
+        if (userResult.rows[0].user_type !== 'restaurant') {
+          throw inviteError(409, 'Email belongs to a non-restaurant account');
+        }
+        userId = userResult.rows[0].id;
+      } else {
+        if (!password || !firstName || !lastName) {
+          throw inviteError(400, 'Missing required fields for new account');
+        }
+
+        const passwordHash = await bcrypt.hash(password, 12);
+        const newUser = await client.query(
+          `INSERT INTO users (email, password_hash, user_type, first_name, last_name, phone, email_verified_at)
+         VALUES ($1, $2, 'restaurant', $3, $4, $5, CURRENT_TIMESTAMP)
+         RETURNING id`,
+          [invite.email, passwordHash, firstName, lastName, phone]
+        );
+        userId = newUser.rows[0].id;
+        accountCreated = true;
+      }
+
+      await client.query(
+        `INSERT INTO restaurant_staff (restaurant_id, user_id, role, invited_by)
+       SELECT restaurant_id, $2, role, invited_by
+       FROM restaurant_staff_invites WHERE id = $1
+       ON CONFLICT (restaurant_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+        [invite.id, userId]
+      );
+
+      return { invite, userId, accountCreated };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.status(201).json({
+      message: 'Invite accepted',
+      restaurantId: outcome.invite.restaurant_id,
+      role: outcome.invite.role,
+      userId: outcome.userId,
+      accountCreated: outcome.accountCreated,
+      instruction: 'Log in with your own email and password',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Staff invite accept error:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+/**
+ * PUT /api/restaurant/staff/:userId
+ * Change a staff member's role
+ */
+router.put(
+  '/staff/:userId',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('staff:manage'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: 'Invalid role',
+          validRoles: STAFF_ROLES,
+        });
+      }
+
+      const memberResult = await query(
+        'SELECT role FROM restaurant_staff WHERE restaurant_id = $1 AND user_id = $2',
+        [req.restaurant.id, userId]
+      );
+      if (memberResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Staff member not found' });
+      }
+
+      const currentRole = memberResult.rows[0].role;
+      if (
+        !canManageRole(req.restaurant.role, currentRole) ||
+        !canManageRole(req.restaurant.role, role)
+      ) {
+        return res.status(403).json({
+          error: `A ${req.restaurant.role} cannot change a ${currentRole} to ${role}`,
+        });
+      }
+
+      if (
+        currentRole === 'owner' &&
+        role !== 'owner' &&
+        (await countOwners(req.restaurant.id)) <= 1
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'A restaurant must keep at least one owner' });
+      }
+
+      await query(
+        'UPDATE restaurant_staff SET role = $1 WHERE restaurant_id = $2 AND user_id = $3',
+        [role, req.restaurant.id, userId]
+      );
+
+      // Sockets already in the restaurant room switch to the new role
+      await publishEvent('restaurant.staff_role_changed', {
+        restaurantId: req.restaurant.id,
+        userId: parseInt(userId),
+        role,
+      });
+
+      res.json({
+        message: 'Staff role updated',
+        userId: parseInt(userId),
+        role,
+      });
+    } catch (error) {
+      console.error('Staff role update error:', error);
+      res.status(500).json({ error: 'Failed to update staff role' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/restaurant/staff/:userId
+ * Remove a staff member from the restaurant
+ */
+router.delete(
+  '/staff/:userId',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('staff:manage'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const memberResult = await query(
+        'SELECT role FROM restaurant_staff WHERE restaurant_id = $1 AND user_id = $2',
+        [req.restaurant.id, userId]
+      );
+      if (memberResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Staff member not found' });
+      }
+
+      const role = memberResult.rows[0].role;
+      if (!canManageRole(req.restaurant.role, role)) {
+        return res.status(403).json({
+          error: `A ${req.restaurant.role} cannot remove a ${role}`,
+        });
+      }
+
+      if (role === 'owner' && (await countOwners(req.restaurant.id)) <= 1) {
+        return res
+          .status(400)
+          .json({ error: 'A restaurant must keep at least one owner' });
+      }
+
+      await query(
+        'DELETE FROM restaurant_staff WHERE restaurant_id = $1 AND user_id = $2',
+        [req.restaurant.id, userId]
+      );
+
+      // Every instance drops the user's sockets from the restaurant room
+      await publishEvent('restaurant.staff_removed', {
+        restaurantId: req.restaurant.id,
+        userId: parseInt(userId),
+      });
+
+      res.json({
+        message: 'Staff member removed',
+        userId: parseInt(userId),
+        restaurantId: req.restaurant.id,
+      });
+    } catch (error) {
+      console.error('Staff removal error:', error);
+      res.status(500).json({ error: 'Failed to remove staff member' });
+    }
+  }
+);
+
+/**
+ * GET /api/restaurant/menu
+ * Menu items for the restaurant (staff, or API keys with menu:read)
+ */
+router.get(
+  '/menu',
+  allowApiKey('menu:read'),
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('menu:read'),
+  async (req, res) => {
+    try {
+      const result = await query(
+        `SELECT id, name, description, price, image_url, is_available, updated_at
+         FROM menu_items
+         WHERE restaurant_id = $1
+         ORDER BY name ASC`,
+        [req.restaurant.id]
+      );
+
+      const optionGroups = await getOptionGroups(
+        result.rows.map((item) => item.id)
+      );
+
+      res.json({
+        restaurantId: req.restaurant.id,
+        menuItems: result.rows.map((item) => ({
+          id: item.id,
+          name: item.name,
+          description: item.description,
+          price: parseFloat(item.price),
+          imageUrl: item.image_url,
+          isAvailable: item.is_available,
+          optionGroups: optionGroups.get(item.id) || [],
+          updatedAt: item.updated_at,
+        })),
+      });
+    } catch (error) {
+      console.error('Menu fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch menu' });
+    }
+  }
+);
+
+/**
+ * PUT /api/restaurant/menu/:itemId/availability
+ * Mark a menu item available / sold out (staff, or API keys with menu:write)
+ */
+router.put(
+  '/menu/:itemId/availability',
+  allowApiKey('menu:write'),
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('menu:update_availability'),
+  async (req, res) => {
+    try {
+      const { itemId } = req.params;
+      const { isAvailable } = req.body;
+
+      if (typeof isAvailable !== 'boolean') {
+        return res.status(400).json({ error: 'isAvailable must be a boolean' });
+      }
+
+      const result = await runWrite(
+        req,
+        `UPDATE menu_items SET is_available = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND restaurant_id = $3
+         RETURNING id, name, is_available`,
+        [isAvailable, itemId, req.restaurant.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Menu item not found' });
+      }
+
+      const item = result.rows[0];
+
+      res.json({
+        message: item.is_available
+          ? 'Menu item available'
+          : 'Menu item marked sold out',
+        menuItem: {
+          id: item.id,
+          name: item.name,
+          isAvailable: item.is_available,
+        },
+        ...sandboxFlag(req),
+      });
+    } catch (error) {
+      console.error('Menu availability error:', error);
+      res.status(500).json({ error: 'Failed to update menu item' });
+    }
+  }
+);
+
+/**
+ * PUT /api/restaurant/menu/:itemId/options
+ * Replace a menu item's option groups and modifiers (owner/manager, or API
+ * keys with menu:write). An empty list removes all options.
+ */
+router.put(
+  '/menu/:itemId/options',
+  allowApiKey('menu:write'),
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('menu:update_options'),
+  async (req, res) => {
+    try {
+      const { itemId } = req.params;
+
+      const { groups, error } = validateOptionGroups(req.body.optionGroups);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const optionGroups = await transaction(
+        async (client) => {
+          const itemResult = await client.query(
+            `UPDATE menu_items SET updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND restaurant_id = $2
+             RETURNING id, name, price`,
+            [itemId, req.restaurant.id]
+          );
+
+          if (itemResult.rows.length === 0) {
+            return null;
+          }
+
+          const menuItem = itemResult.rows[0];
+          const lowestPriceCents =
+            Math.round(parseFloat(menuItem.price) * 100) +
+            Math.round(lowestPriceDelta(groups) * 100);
+          if (lowestPriceCents < 0) {
+            throw menuOptionError(
+              `These options could take ${menuItem.name} below 0; its price is ${menuItem.price}`
+            );
+          }
+
+          const menuItemId = menuItem.id;
+          await replaceOptionGroups(client, menuItemId, groups);
+
+          const saved = await getOptionGroups([menuItemId], client);
+          return saved.get(menuItemId) || [];
+        },
+        { dryRun: isSandbox(req) }
+      );
+
+      if (!optionGroups) {
+        return res.status(404).json({ error: 'Menu item not found' });
+      }
+
+      res.json({
+        message: 'Menu item options updated',
+        menuItemId: parseInt(itemId),
+        optionGroups,
+        ...sandboxFlag(req),
+      });
+    } catch (error) {
+      if (error.name === 'MenuOptionError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Menu options update error:', error);
+      res.status(500).json({ error: 'Failed to update menu item options' });
+    }
+  }
+);
+
+/**
+ * GET /api/restaurant/reviews
+ * Customers' food reviews and the restaurant's rating (hidden reviews left out)
+ */
+router.get(
+  '/reviews',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('reviews:read'),
+  async (req, res) => {
+    try {
+      const { page, limit } = parsePagination(req.query, 20);
+
+      const { reviews, totalCount } = await listReviews({
+        subjectType: 'restaurant',
+        subjectId: req.restaurant.id,
+        page,
+        limit,
+      });
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.json({
+        restaurantId: req.restaurant.id,
+        rating: await getRatingSummary('restaurant', req.restaurant.id),
+        reviews: reviews.map((review) => formatReview(review, 'subject')),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error('Restaurant reviews fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+  }
+);
+
+/**
+ * PUT /api/restaurant/reviews/:reviewId/reply
+ * Reply publicly to a review (owner/manager); replying again replaces it
+ */
+router.put(
+  '/reviews/:reviewId/reply',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('reviews:reply'),
+  async (req, res) => {
+    try {
+      const review = await replyToReview({
+        reviewId: req.params.reviewId,
+        restaurantId: req.restaurant.id,
+        reply: req.body.reply,
+        repliedBy: req.user.id,
+      });
+
+      res.json({
+        message: 'Reply saved',
+        review: formatReview(review, 'subject'),
+      });
+    } catch (error) {
+      if (error.name === 'ReviewError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('Review reply error:', error);
+      res.status(500).json({ error: 'Failed to save reply' });
+    }
+  }
+);
+
+/**
+ * POST /api/restaurant/reviews/:reviewId/report
+ * Report an abusive review to support (owner/manager)
+ */
+router.post(
+  '/reviews/:reviewId/report',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('reviews:reply'),
+  async (req, res) => {
+    try {
+      const review = await reportReview({
+        reviewId: req.params.reviewId,
+        subjectType: 'restaurant',
+        subjectId: req.restaurant.id,
+        reason: req.body.reason,
+        reportedBy: req.user.id,
+      });
+
+      res.json({
+        message: 'Review reported to support',
+        review: formatReview(review, 'subject'),
+      });
+    } catch (error) {
+      if (error.name === 'ReviewError') {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('Review report error:', error);
+      res.status(500).json({ error: 'Failed to report review' });
+    }
+  }
+);
+
+/**
+ * GET /api/restaurant/hours
+ * The restaurant's time zone and weekly opening windows
+ */
+router.get(
+  '/hours',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('hours:read'),
+  async (req, res) => {
+    try {
+      const openingHours = await getOpeningHours(req.restaurant.id);
+
+      res.json({ restaurantId: req.restaurant.id, ...openingHours });
+    } catch (error) {
+      console.error('Opening hours fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch opening hours' });
+    }
+  }
+);
+
+/**
+ * PUT /api/restaurant/hours
+ * Replace the opening hours (owner/manager). Scheduled orders must fall
+ * inside them; an empty list means always open.
+ */
+router.put(
+  '/hours',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('hours:update'),
+  async (req, res) => {
+    try {
+      const { timezone, hours, error } = validateHours(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const openingHours = await transaction(async (client) => {
+        await replaceOpeningHours(client, req.restaurant.id, {
+          timezone,
+          hours,
+        });
+        return getOpeningHours(req.restaurant.id, client);
+      });
+
+      res.json({
+        message: 'Opening hours updated',
+        restaurantId: req.restaurant.id,
+        ...openingHours,
+      });
+    } catch (error) {
+      console.error('Opening hours update error:', error);
+      res.status(500).json({ error: 'Failed to update opening hours' });
+    }
+  }
+);
+
+/**
+ * GET /api/restaurant/api-keys
+ * List the restaurant's API keys (owner/manager)
+ */
+router.get(
+  '/api-keys',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('api_keys:manage'),
+  async (req, res) => {
+    try {
+      const apiKeys = await listApiKeys(req.restaurant.id);
+
+      res.json({
+        apiKeys,
+        availableScopes: API_KEY_SCOPES,
+      });
+    } catch (error) {
+      console.error('API key list error:', error);
+      res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+  }
+);
+
+/**
+ * POST /api/restaurant/api-keys
+ * Create an API key for a POS/integration (owner/manager)
+ * The raw key is returned once; only its hash is stored.
+ */
+router.post(
+  '/api-keys',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('api_keys:manage'),
+  async (req, res) => {
+    try {
+      const { name, scopes, mode = 'live' } = req.body;
+
+      if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        return res
+          .status(400)
+          .json({ error: 'Name and at least one scope are required' });
+      }
+
+      const invalidScopes = scopes.filter(
+        (scope) => !API_KEY_SCOPES.includes(scope)
+      );
+      if (invalidScopes.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid scopes',
+          invalidScopes,
+          availableScopes: API_KEY_SCOPES,
+        });
+      }
+
+      if (!API_KEY_MODES.includes(mode)) {
+        return res
+          .status(400)
+          .json({ error: `Mode must be one of: ${API_KEY_MODES.join(', ')}` });
+      }
+
+      const { apiKey, rawKey } = await createApiKey({
+        restaurantId: req.restaurant.id,
+        name,
+        scopes: [...new Set(scopes)],
+        mode,
+        createdBy: req.user.id,
+      });
+
+      res.status(201).json({
+        message: 'API key created',
+        apiKey,
+        key: rawKey,
+        instruction:
+          'Store this key now - it cannot be shown again. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+      });
+    } catch (error) {
+      console.error('API key create error:', error);
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/restaurant/api-keys/:keyId
+ * Revoke an API key (owner/manager)
+ */
+router.delete(
+  '/api-keys/:keyId',
+  authenticateToken,
+  requirePermission('restaurant:access'),
+  authorizeRestaurant('api_keys:manage'),
+  async (req, res) => {
+    try {
+      const revoked = await revokeApiKey(
+        req.restaurant.id,
+        req.params.keyId,
+        req.user.id
+      );
+
+      if (!revoked) {
+        return res
+          .status(404)
+          .json({ error: 'API key not found or already revoked' });
+      }
+
+      res.json({
+        message: 'API key revoked',
+        keyId: parseInt(req.params.keyId),
+      });
+    } catch (error) {
+      console.error('API key revoke error:', error);
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  }
+);
+
+// Helper function to tell whether a request uses a test (sandbox) API key
+function isSandbox(req) {
+  return Boolean(req.apiKey && req.apiKey.mode === 'test');
+}
+
+// Helper function to flag sandbox responses
+function sandboxFlag(req) {
+  return isSandbox(req) ? { sandbox: true } : {};
+}
+
+// Helper function to run a write; test API keys get a rolled-back dry run
+function runWrite(req, text, params) {
+  return transaction((client) => client.query(text, params), {
+    dryRun: isSandbox(req),
+  });
+}
+
+// Helper function to count owners (a restaurant can't lose its last one)
+async function countOwners(restaurantId) {
+  const result = await query(
+    `SELECT COUNT(*) as owners FROM restaurant_staff
+     WHERE restaurant_id = $1 AND role = 'owner'`,
+    [restaurantId]
+  );
+  return parseInt(result.rows[0].owners);
+}
+
+// Helper function to abort the invite transaction with an HTTP status
+function inviteError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Helper function to abort the menu options transaction with a 400
+function menuOptionError(message) {
+  const error = new Error(message);
+  error.name = 'MenuOptionError';
+  error.statusCode = 400;
+  return error;
+}
+
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { hasPermission } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -15,7 +17,8 @@ const router = express.Router();
 router.post(
   '/chat/start',
   authenticateToken,
-  authorize(['customer']),
+  requirePermission('support:chats:own'),
+  idempotent,
   async (req, res) => {
     try {
       const customerId = req.user.id;
@@ -79,12 +82,12 @@ router.get('/chat/:chatId/messages', authenticateToken, async (req, res) => {
 
     // Verify access to chat
     let accessQuery;
-    if (userType === 'customer') {
-      accessQuery =
-        'SELECT id FROM support_chats WHERE id = $1 AND customer_id = $2';
-    } else if (userType === 'support') {
+    if (hasPermission(userType, 'support:chats:handle')) {
       accessQuery =
         'SELECT id FROM support_chats WHERE id = $1 AND (agent_id = $2 OR agent_id IS NULL)';
+    } else if (hasPermission(userType, 'support:chats:own')) {
+      accessQuery =
+        'SELECT id FROM support_chats WHERE id = $1 AND customer_id = $2';
     } else {
       return res.status(403).json({ error: 'Access denied' });
     }
@@ -148,7 +151,7 @@ router.get('/chat/:chatId/messages', authenticateToken, async (req, res) => {
 router.get(
   '/chat/customer/active',
   authenticateToken,
-  authorize(['customer']),
+  requirePermission('support:chats:own'),
   async (req, res) => {
     try {
       const customerId = req.user.id;
@@ -211,7 +214,7 @@ router.get(
 router.get(
   '/agent/queue',
   authenticateToken,
-  authorize(['support']),
+  requirePermission('support:chats:handle'),
   async (req, res) => {
     try {
       const agentId = req.user.id;
@@ -295,7 +298,7 @@ router.get(
 router.post(
   '/agent/take/:chatId',
   authenticateToken,
-  authorize(['support']),
+  requirePermission('support:chats:handle'),
   async (req, res) => {
     try {
       const { chatId } = req.params;
@@ -361,9 +364,10 @@ router.put('/chat/:chatId/close', authenticateToken, async (req, res) => {
 
     // Verify access and close chat
     let updateQuery;
-    if (userType === 'support') {
+    const isAgent = hasPermission(userType, 'support:chats:handle');
+    if (isAgent) {
       updateQuery = `UPDATE support_chats SET status = 'resolved', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND agent_id = $2`;
-    } else if (userType === 'customer') {
+    } else if (hasPermission(userType, 'support:chats:own')) {
       updateQuery = `UPDATE support_chats SET status = 'closed', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND customer_id = $2`;
     } else {
       return res.status(403).json({ error: 'Access denied' });
@@ -387,7 +391,7 @@ router.put('/chat/:chatId/close', authenticateToken, async (req, res) => {
     res.json({
       message: 'Chat closed successfully',
       chatId,
-      status: userType === 'support' ? 'resolved' : 'closed',
+      status: isAgent ? 'resolved' : 'closed',
       resolution,
       rating: rating ? parseInt(rating) : null,
     });
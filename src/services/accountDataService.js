@@ -0,0 +1,322 @@
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { listPaymentMethods } = require('./paymentVaultService');
+const { listAddresses } = require('./addressService');
+const { ORDER_ITEM_MODIFIERS_JSON } = require('./menuOptionService');
+const { purgeMailTo } = require('./mailService');
+
+// Account data export and right-to-be-forgotten deletion
+// Deleting an account keeps the users row (orders, chats and deliveries
+// reference it) but scrubs everything that identifies the person.
+
+// Orders/deliveries still in progress block deletion
+const ACTIVE_ORDER_STATUSES = [
+  'scheduled',
+  'confirmed',
+  'preparing',
+  'ready',
+  'picked_up',
+];
+
+// Only accounts without business obligations can delete themselves
+const SELF_DELETABLE_USER_TYPES = ['customer', 'driver'];
+
+const REDACTED_TEXT = '[deleted]';
+
+/**
+ * Everything we hold about a user, grouped by section
+ */
+async function buildAccountExport(user) {
+  const userResult = await query(
+    `SELECT id, email, user_type, first_name, last_name, phone, email_verified_at, created_at, updated_at
+     FROM users WHERE id = $1`,
+    [user.id]
+  );
+
+  const profile = { account: userResult.rows[0] };
+
+  if (user.user_type === 'customer') {
+    const customerResult = await query(
+      'SELECT address, preferences, created_at, updated_at FROM customer_profiles WHERE user_id = $1',
+      [user.id]
+    );
+    profile.customerProfile = customerResult.rows[0] || null;
+    profile.addresses = await listAddresses(user.id);
+    profile.paymentMethods = await listPaymentMethods(user.id);
+  }
+
+  const twoFactorResult = await query(
+    'SELECT enabled_at FROM user_two_factor WHERE user_id = $1',
+    [user.id]
+  );
+  profile.twoFactorEnabledAt = twoFactorResult.rows[0]
+    ? twoFactorResult.rows[0].enabled_at
+    : null;
+
+  const ordersResult = await query(
+    `SELECT o.id, o.status, o.total_amount, o.subtotal_cents, o.delivery_fee_cents,
+            o.service_fee_cents, o.tax_cents, o.tax_rate_percent, o.discount_cents,
+            o.tip_cents, o.total_cents, o.delivery_address, o.delivery_latitude,
+            o.delivery_longitude, o.delivery_notes, o.special_instructions, o.scheduled_for,
+            o.created_at, o.updated_at, rest.name as restaurant_name,
+            CASE WHEN o.customer_id = $1 THEN 'customer' ELSE 'driver' END as role,
+            COALESCE(
+              json_agg(json_build_object(
+                'name', mi.name, 'quantity', oi.quantity, 'pricePerItem', oi.price_per_item,
+                'modifiers', ${ORDER_ITEM_MODIFIERS_JSON}
+              )) FILTER (WHERE oi.id IS NOT NULL),
+              '[]'
+            ) as items
+     FROM orders o
+     JOIN restaurants rest ON o.restaurant_id = rest.id
+     LEFT JOIN order_items oi ON oi.order_id = o.id
+     LEFT JOIN menu_items mi ON oi.menu_item_id = mi.id
+     WHERE o.customer_id = $1 OR o.driver_id = $1
+     GROUP BY o.id, rest.name
+     ORDER BY o.created_at DESC`,
+    [user.id]
+  );
+
+  const chatsResult = await query(
+    `SELECT sc.id, sc.status, sc.created_at, sc.updated_at,
+            COALESCE(
+              json_agg(json_build_object(
+                'fromMe', cm.sender_id = $1, 'message', cm.message,
+                'type', cm.message_type, 'sentAt', cm.created_at
+              ) ORDER BY cm.created_at) FILTER (WHERE cm.id IS NOT NULL),
+              '[]'
+            ) as messages
+     FROM support_chats sc
+     LEFT JOIN chat_messages cm ON cm.chat_id = sc.id
+     WHERE sc.customer_id = $1
+     GROUP BY sc.id
+     ORDER BY sc.created_at DESC`,
+    [user.id]
+  );
+
+  const reviewsResult = await query(
+    `SELECT r.order_id, r.subject_type, r.rating, r.tags, r.comment, r.reply,
+            r.moderation_status, r.created_at
+     FROM reviews r
+     WHERE r.customer_id = $1
+     ORDER BY r.created_at DESC`,
+    [user.id]
+  );
+
+  const dismissedResult = await query(
+    `SELECT a.id, a.title, a.announcement_type, ad.dismissed_at
+     FROM announcement_dismissals ad
+     JOIN announcements a ON ad.announcement_id = a.id
+     WHERE ad.user_id = $1
+     ORDER BY ad.dismissed_at DESC`,
+    [user.id]
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    orders: ordersResult.rows,
+    chats: chatsResult.rows,
+    reviews: reviewsResult.rows,
+    announcementsDismissed: dismissedResult.rows,
+  };
+}
+
+/**
+ * Package an export as a ZIP archive with one JSON file per section
+ */
+function buildExportArchive(data) {
+  const files = [
+    ['profile.json', { exportedAt: data.exportedAt, ...data.profile }],
+    ['orders.json', data.orders],
+    ['chats.json', data.chats],
+    ['reviews.json', data.reviews],
+    ['announcements_dismissed.json', data.announcementsDismissed],
+  ].map(([name, content]) => ({
+    name,
+    data: Buffer.from(JSON.stringify(content, null, 2)),
+  }));
+
+  return createZip(files);
+}
+
+/**
+ * Why an account can't be deleted right now, or null when it can
+ */
+async function getDeletionBlocker(user) {
+  if (!SELF_DELETABLE_USER_TYPES.includes(user.user_type)) {
+    // No endpoint deletes these accounts; deactivation is the admin's tool
+    return `Only ${SELF_DELETABLE_USER_TYPES.join(' and ')} accounts can be deleted; ask an admin to deactivate this account instead`;
+  }
+
+  const result = await query(
+    `SELECT COUNT(*) as count FROM orders
+     WHERE (customer_id = $1 OR driver_id = $1) AND status = ANY($2)`,
+    [user.id, ACTIVE_ORDER_STATUSES]
+  );
+
+  if (parseInt(result.rows[0].count) > 0) {
+    return 'Finish or cancel your active orders before deleting your account';
+  }
+
+  return null;
+}
+
+/**
+ * Scrub a user's personal data inside the caller's transaction.
+ * Orders and chat messages stay (for the restaurants' and support's records)
+ * but lose their personal details; the user row becomes a tombstone.
+ * Returns { orderIds } - the orders whose cached status snapshots still hold
+ * the address; clear them once the transaction has committed.
+ */
+async function anonymizeAccount(client, user) {
+  const orders = await client.query(
+    `UPDATE orders
+     SET delivery_address = $2, delivery_address_id = NULL, delivery_latitude = NULL,
+         delivery_longitude = NULL, delivery_notes = NULL, special_instructions = NULL,
+         version = version + 1
+     WHERE customer_id = $1
+     RETURNING id`,
+    [user.id, REDACTED_TEXT]
+  );
+
+  await client.query(
+    'UPDATE chat_messages SET message = $2 WHERE sender_id = $1',
+    [user.id, REDACTED_TEXT]
+  );
+
+  // Star ratings stay in the restaurants' and drivers' scores
+  await client.query(
+    `UPDATE reviews SET comment = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $1 AND comment IS NOT NULL`,
+    [user.id, REDACTED_TEXT]
+  );
+
+  const ownedTables = [
+    'driver_locations',
+    'customer_addresses',
+    'payment_methods',
+    'customer_profiles',
+    'announcement_dismissals',
+    'refresh_tokens',
+    'user_sessions',
+    'idempotency_keys',
+    'account_tokens',
+    'two_factor_recovery_codes',
+    'user_two_factor',
+  ];
+  for (const table of ownedTables) {
+    const column = table === 'driver_locations' ? 'driver_id' : 'user_id';
+    await client.query(`DELETE FROM ${table} WHERE ${column} = $1`, [user.id]);
+  }
+
+  await client.query(
+    `DELETE FROM login_lockouts WHERE user_id = $1 OR (scope = 'email' AND subject = $2)`,
+    [user.id, user.email]
+  );
+
+  // Unusable password hash + unique placeholder email
+  await client.query(
+    `UPDATE users
+     SET email = $2, password_hash = $3, first_name = 'Deleted', last_name = 'User',
+         phone = NULL, email_verified_at = NULL, is_active = false,
+         deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [
+      user.id,
+      `deleted-user-${user.id}@deleted.invalid`,
+      `deleted:${crypto.randomBytes(16).toString('hex')}`,
+    ]
+  );
+
+  // Queued mail (resets, verifications, invites) holds the address, the
+  // name and one-time tokens
+  await purgeMailTo(user.email, client);
+
+  return { orderIds: orders.rows.map((order) => order.id) };
+}
+
+// Helper function to build a ZIP archive (deflate, no external dependency)
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // MS-DOS time/date fields
+  const now = new Date();
+  const dosTime =
+    (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate =
+    ((now.getFullYear() - 1980) << 9) |
+    ((now.getMonth() + 1) << 5) |
+    now.getDate();
+
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const compressed = zlib.deflateRawSync(file.data);
+    const crc = crc32(file.data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(20, 4); // version needed
+    localHeader.writeUInt16LE(0, 6); // flags
+    localHeader.writeUInt16LE(8, 8); // deflate
+    localHeader.writeUInt16LE(dosTime, 10);
+    localHeader.writeUInt16LE(dosDate, 12);
+    localHeader.writeUInt32LE(crc, 14);
+    localHeader.writeUInt32LE(compressed.length, 18);
+    localHeader.writeUInt32LE(file.data.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28);
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(20, 4); // version made by
+    centralHeader.writeUInt16LE(20, 6); // version needed
+    centralHeader.writeUInt16LE(0, 8);
+    centralHeader.writeUInt16LE(8, 10);
+    centralHeader.writeUInt16LE(dosTime, 12);
+    centralHeader.writeUInt16LE(dosDate, 14);
+    centralHeader.writeUInt32LE(crc, 16);
+    centralHeader.writeUInt32LE(compressed.length, 20);
+    centralHeader.writeUInt32LE(file.data.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, name, compressed);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Helper function to compute a CRC-32 checksum (as used by ZIP)
+function crc32(buffer) {
+  let crc = 0xffffffff;
+
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+  buildAccountExport,
+  buildExportArchive,
+  getDeletionBlocker,
+  anonymizeAccount,
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// One-time, expiring tokens for account flows (password reset, email verification)
+// Only a SHA-256 hash is stored; the raw token only ever exists in the email.
+
+const TOKEN_PURPOSES = {
+  password_reset: { ttlMinutes: 60 },
+  email_verification: { ttlMinutes: 24 * 60 },
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a token for `purpose`, invalidating any earlier unused ones
+ */
+async function createAccountToken(userId, purpose) {
+  const { ttlMinutes } = TOKEN_PURPOSES[purpose];
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await query(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' minutes')::interval)`,
+    [userId, purpose, hashToken(token), ttlMinutes]
+  );
+
+  return { token, expiresInMinutes: ttlMinutes };
+}
+
+/**
+ * Atomically mark a token used. Returns the user id, or null when the token
+ * is unknown, expired or already used.
+ */
+async function consumeAccountToken(token, purpose, client) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const result = await runQuery(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2
+       AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+};
@@ -0,0 +1,272 @@
+const { query, transaction } = require('../config/database');
+
+// Customer address book
+// Saved delivery addresses with coordinates. Orders copy the chosen address
+// (text, coordinates, notes) so later edits don't rewrite order history.
+
+const ADDRESS_FIELDS = `id, user_id, label, line1, line2, city, postal_code,
+  latitude, longitude, delivery_notes, is_default, created_at, updated_at`;
+
+/**
+ * Validate and normalise address input. Returns { address } or { error }.
+ * With partial = true only the fields present are checked (for updates).
+ */
+function validateAddress(input, { partial = false } = {}) {
+  const address = {};
+  const has = (field) => input[field] !== undefined;
+
+  for (const field of ['label', 'line1', 'city']) {
+    if (has(field) || !partial) {
+      if (typeof input[field] !== 'string' || !input[field].trim()) {
+        return { error: `${field} is required` };
+      }
+      address[field] = input[field].trim();
+    }
+  }
+
+  for (const field of ['line2', 'postalCode', 'deliveryNotes']) {
+    if (has(field)) {
+      address[field] = input[field] ? String(input[field]).trim() : null;
+    }
+  }
+
+  if (has('latitude') || has('longitude') || !partial) {
+    const latitude = parseFloat(input.latitude);
+    const longitude = parseFloat(input.longitude);
+
+    if (
+      Number.isNaN(latitude) ||
+      Number.isNaN(longitude) ||
+      latitude < -90 ||
+      latitude > 90 ||
+      longitude < -180 ||
+      longitude > 180
+    ) {
+      return { error: 'Valid latitude and longitude are required' };
+    }
+    address.latitude = latitude;
+    address.longitude = longitude;
+  }
+
+  if (has('isDefault')) {
+    address.isDefault = Boolean(input.isDefault);
+  }
+
+  return { address };
+}
+
+/**
+ * All saved addresses for a customer, default first
+ */
+async function listAddresses(userId) {
+  const result = await query(
+    `SELECT ${ADDRESS_FIELDS} FROM customer_addresses
+     WHERE user_id = $1
+     ORDER BY is_default DESC, created_at ASC`,
+    [userId]
+  );
+
+  return result.rows.map(formatAddress);
+}
+
+/**
+ * One of the customer's addresses (raw row), or null
+ */
+async function getAddress(userId, addressId, client) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const result = await runQuery(
+    `SELECT ${ADDRESS_FIELDS} FROM customer_addresses
+     WHERE id = $1 AND user_id = $2`,
+    [addressId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Save a new address. The first one (or isDefault) becomes the default.
+ */
+async function createAddress(userId, address) {
+  return transaction(async (client) => {
+    const existing = await client.query(
+      'SELECT COUNT(*) as count FROM customer_addresses WHERE user_id = $1',
+      [userId]
+    );
+    const makeDefault =
+      Boolean(address.isDefault) || parseInt(existing.rows[0].count) === 0;
+
+    if (makeDefault) {
+      await clearDefault(client, userId);
+    }
+
+    const result = await client.query(
+      `INSERT INTO customer_addresses
+         (user_id, label, line1, line2, city, postal_code, latitude, longitude, delivery_notes, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING ${ADDRESS_FIELDS}`,
+      [
+        userId,
+        address.label,
+        address.line1,
+        address.line2 || null,
+        address.city,
+        address.postalCode || null,
+        address.latitude,
+        address.longitude,
+        address.deliveryNotes || null,
+        makeDefault,
+      ]
+    );
+
+    return formatAddress(result.rows[0]);
+  });
+}
+
+/**
+ * Update some fields of an address. Returns null when it isn't the user's.
+ */
+async function updateAddress(userId, addressId, address) {
+  const columns = {
+    label: 'label',
+    line1: 'line1',
+    line2: 'line2',
+    city: 'city',
+    postalCode: 'postal_code',
+    latitude: 'latitude',
+    longitude: 'longitude',
+    deliveryNotes: 'delivery_notes',
+  };
+
+  return transaction(async (client) => {
+    if (!(await getAddress(userId, addressId, client))) {
+      return null;
+    }
+
+    if (address.isDefault) {
+      await clearDefault(client, userId);
+    }
+
+    const updateFields = [];
+    const updateValues = [];
+    let paramIndex = 1;
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (address[field] !== undefined) {
+        updateFields.push(`${column} = $${paramIndex}`);
+        updateValues.push(address[field]);
+        paramIndex++;
+      }
+    }
+
+    if (address.isDefault) {
+      updateFields.push('is_default = true');
+    }
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    updateValues.push(addressId, userId);
+
+    const result = await client.query(
+      `UPDATE customer_addresses SET ${updateFields.join(', ')}
+       WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
+       RETURNING ${ADDRESS_FIELDS}`,
+      updateValues
+    );
+
+    return formatAddress(result.rows[0]);
+  });
+}
+
+/**
+ * Delete an address; the oldest remaining one becomes the default.
+ * Past orders keep their snapshot. Returns false when it isn't the user's.
+ */
+async function deleteAddress(userId, addressId) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `DELETE FROM customer_addresses WHERE id = $1 AND user_id = $2
+       RETURNING is_default`,
+      [addressId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    if (result.rows[0].is_default) {
+      await client.query(
+        `UPDATE customer_addresses SET is_default = true
+         WHERE id = (
+           SELECT id FROM customer_addresses WHERE user_id = $1
+           ORDER BY created_at ASC LIMIT 1
+         )`,
+        [userId]
+      );
+    }
+
+    return true;
+  });
+}
+
+/**
+ * One-line text form of an address, as stored in orders.delivery_address
+ */
+function formatAddressLine(row) {
+  return [row.line1, row.line2, row.city, row.postal_code]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Shape an address row for API responses
+ */
+function formatAddress(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    line1: row.line1,
+    line2: row.line2,
+    city: row.city,
+    postalCode: row.postal_code,
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude),
+    deliveryNotes: row.delivery_notes,
+    isDefault: row.is_default,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Coordinates snapshotted onto an order, or null for free-text addresses
+ */
+function formatDeliveryLocation(order) {
+  if (order.delivery_latitude == null) {
+    return null;
+  }
+
+  return {
+    latitude: parseFloat(order.delivery_latitude),
+    longitude: parseFloat(order.delivery_longitude),
+  };
+}
+
+// Helper function to unset the current default address
+async function clearDefault(client, userId) {
+  await client.query(
+    'UPDATE customer_addresses SET is_default = false WHERE user_id = $1 AND is_default = true',
+    [userId]
+  );
+}
+
+module.exports = {
+  validateAddress,
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  formatAddressLine,
+  formatAddress,
+  formatDeliveryLocation,
+};
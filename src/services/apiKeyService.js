@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Restaurant API keys (POS and machine-to-machine integrations)
+// A key belongs to one restaurant, carries a list of scopes and is either
+// live or test (sandbox: writes are dry runs). Only a SHA-256 hash is stored;
+// the raw key is shown once at creation.
+//
+// Format: ffk_<live|test>_<random>
+
+const API_KEY_SCOPES = [
+  'orders:read',
+  'orders:write',
+  'menu:read',
+  'menu:write',
+];
+const API_KEY_MODES = ['live', 'test'];
+const API_KEY_PATTERN = /^ffk_(live|test)_[A-Za-z0-9_-]{20,}$/;
+
+// Don't write last_used_at on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+const hashKey = (rawKey) =>
+  crypto.createHash('sha256').update(rawKey).digest('hex');
+
+const isApiKey = (credential) =>
+  typeof credential === 'string' && credential.startsWith('ffk_');
+
+/**
+ * Create a key and return it with the raw value (only time it's available)
+ */
+async function createApiKey({ restaurantId, name, scopes, mode, createdBy }) {
+  const rawKey = `ffk_${mode}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const result = await query(
+    `INSERT INTO api_keys (restaurant_id, name, key_prefix, key_hash, scopes, mode, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, restaurant_id, name, key_prefix, scopes, mode, created_at`,
+    [
+      restaurantId,
+      name,
+      rawKey.slice(0, 16),
+      hashKey(rawKey),
+      scopes,
+      mode,
+      createdBy,
+    ]
+  );
+
+  return { apiKey: formatApiKey(result.rows[0]), rawKey };
+}
+
+/**
+ * A restaurant's keys, newest first (revoked ones included)
+ */
+async function listApiKeys(restaurantId) {
+  const result = await query(
+    `SELECT id, restaurant_id, name, key_prefix, scopes, mode, last_used_at, last_used_ip,
+            revoked_at, created_at
+     FROM api_keys
+     WHERE restaurant_id = $1
+     ORDER BY created_at DESC`,
+    [restaurantId]
+  );
+
+  return result.rows.map(formatApiKey);
+}
+
+/**
+ * Revoke a key. Returns false when it isn't the restaurant's or is already revoked.
+ */
+async function revokeApiKey(restaurantId, keyId, revokedBy) {
+  const result = await query(
+    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $3
+     WHERE id = $1 AND restaurant_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [keyId, restaurantId, revokedBy]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Resolve a raw key to its record, or null when unknown/revoked or the
+ * restaurant is no longer active. Records last use.
+ */
+async function authenticateApiKey(rawKey, ipAddress) {
+  if (!API_KEY_PATTERN.test(rawKey)) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT k.id, k.restaurant_id, k.name, k.scopes, k.mode, k.last_used_at,
+            r.name as restaurant_name
+     FROM api_keys k
+     JOIN restaurants r ON k.restaurant_id = r.id
+     WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND r.is_active = true`,
+    [hashKey(rawKey)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const key = result.rows[0];
+
+  const lastUsedAge = key.last_used_at
+    ? (Date.now() - new Date(key.last_used_at).getTime()) / 1000
+    : Infinity;
+  if (lastUsedAge > LAST_USED_RESOLUTION_SECONDS) {
+    await query(
+      `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+       WHERE id = $1`,
+      [key.id, ipAddress]
+    );
+  }
+
+  return {
+    id: key.id,
+    name: key.name,
+    restaurantId: key.restaurant_id,
+    restaurantName: key.restaurant_name,
+    scopes: key.scopes,
+    mode: key.mode,
+  };
+}
+
+// Helper function to shape a key row for API responses
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: row.scopes,
+    mode: row.mode,
+    lastUsedAt: row.last_used_at || null,
+    lastUsedIp: row.last_used_ip || null,
+    revokedAt: row.revoked_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_MODES,
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+};
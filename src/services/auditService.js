@@ -0,0 +1,41 @@
+const { query } = require('../config/database');
+
+// Audit trail for back-office actions
+// Every admin action writes one row: who did what to which record.
+
+/**
+ * Record an audit entry. Pass a transaction client to make the entry
+ * part of the same transaction as the change it describes.
+ */
+async function recordAudit(
+  { actorId, action, targetType, targetId, details, ipAddress },
+  client
+) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  await runQuery(
+    `INSERT INTO audit_logs (actor_id, action, target_type, target_id, details, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      actorId,
+      action,
+      targetType,
+      targetId != null ? String(targetId) : null,
+      details ? JSON.stringify(details) : null,
+      ipAddress || null,
+    ]
+  );
+}
+
+/**
+ * Audit fields taken from an authenticated request
+ */
+const auditContext = (req) => ({
+  actorId: req.user.id,
+  ipAddress: req.ip,
+});
+
+module.exports = {
+  recordAudit,
+  auditContext,
+};
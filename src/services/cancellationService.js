@@ -0,0 +1,69 @@
+// Customer cancellation policy
+// Customers may cancel their own order until it's picked up (the lifecycle
+// has no cancelled edge after that). Cancelling is free while the order is
+// only scheduled or confirmed; once the kitchen has started, part of the total is kept
+// as a cancellation fee. Percentages are configurable per status.
+
+const CANCELLATION_FEE_PERCENT = {
+  scheduled: 0,
+  confirmed: 0,
+  preparing: parsePercent(process.env.CANCELLATION_FEE_PREPARING_PERCENT, 50),
+  ready: parsePercent(process.env.CANCELLATION_FEE_READY_PERCENT, 80),
+};
+
+// Why a customer cancelled ('other' needs a note)
+const CANCELLATION_REASON_CODES = [
+  'ordered_by_mistake',
+  'changed_mind',
+  'duplicate_order',
+  'wrong_address',
+  'taking_too_long',
+  'other',
+];
+
+/**
+ * What cancelling an order costs the customer right now, or null when
+ * customers can no longer cancel it
+ */
+function cancellationTerms(order) {
+  const feePercent = CANCELLATION_FEE_PERCENT[order.status];
+  if (feePercent === undefined) {
+    return null;
+  }
+
+  // Fee + refund always add up to the total
+  const totalCents = order.total_cents;
+  const feeCents = Math.round((totalCents * feePercent) / 100);
+
+  return {
+    feePercent,
+    cancellationFee: feeCents / 100,
+    refundAmount: (totalCents - feeCents) / 100,
+  };
+}
+
+/**
+ * Problem with a customer's cancellation reason, or null when it's valid
+ */
+function reasonCodeError(reasonCode, note) {
+  if (!CANCELLATION_REASON_CODES.includes(reasonCode)) {
+    return 'A valid reasonCode is required';
+  }
+  if (reasonCode === 'other' && !note) {
+    return 'A note is required when reasonCode is other';
+  }
+  return null;
+}
+
+// Helper function to read a 0-100 percentage from the environment
+function parsePercent(value, fallback) {
+  const percent = parseFloat(value);
+  return percent >= 0 && percent <= 100 ? percent : fallback;
+}
+
+module.exports = {
+  CANCELLATION_FEE_PERCENT,
+  CANCELLATION_REASON_CODES,
+  cancellationTerms,
+  reasonCodeError,
+};
@@ -0,0 +1,330 @@
+const { query } = require('../config/database');
+const { toCents } = require('./pricingService');
+
+// Coupons (promo codes)
+// A coupon takes a percentage (optionally capped) or a fixed amount off the
+// basket subtotal. It can be limited to one restaurant or one cuisine, a
+// validity window, a minimum basket, and total / per-customer redemption
+// caps. Quotes only evaluate a coupon; order creation redeems it inside the
+// order's transaction, re-checking the caps under a row lock.
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const COUPON_FIELDS = `id, code, description, discount_type, discount_value, max_discount,
+  min_subtotal, restaurant_id, cuisine_type, max_redemptions, max_redemptions_per_user,
+  times_redeemed, valid_from, valid_until, is_active, created_at`;
+
+function couponError(statusCode, message) {
+  const error = new Error(message);
+  error.name = 'CouponError';
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Validate and normalise coupon input from the back office.
+ * Returns { coupon } or { error }.
+ */
+function validateCoupon(input) {
+  const code = typeof input.code === 'string' ? normaliseCode(input.code) : '';
+  if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+    return {
+      error: 'code must be 3-50 letters, digits, dashes or underscores',
+    };
+  }
+
+  if (!DISCOUNT_TYPES.includes(input.discountType)) {
+    return {
+      error: `discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`,
+    };
+  }
+
+  const discountValue = Number(input.discountValue);
+  if (
+    !Number.isFinite(discountValue) ||
+    discountValue <= 0 ||
+    (input.discountType === 'percentage' && discountValue > 100)
+  ) {
+    return {
+      error: 'discountValue must be positive (and at most 100 for percentages)',
+    };
+  }
+
+  const amounts = { maxDiscount: null, minSubtotal: 0 };
+  for (const field of ['maxDiscount', 'minSubtotal']) {
+    if (input[field] === undefined || input[field] === null) continue;
+    const amount = Number(input[field]);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { error: `${field} must be a non-negative amount` };
+    }
+    amounts[field] = amount;
+  }
+
+  // One use per customer unless stated otherwise
+  const caps = { maxRedemptions: null, maxRedemptionsPerUser: 1 };
+  for (const field of ['maxRedemptions', 'maxRedemptionsPerUser']) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (!Number.isInteger(input[field]) || input[field] < 1) {
+      return { error: `${field} must be a positive integer` };
+    }
+    caps[field] = input[field];
+  }
+
+  const validFrom = input.validFrom ? new Date(input.validFrom) : new Date();
+  const validUntil = input.validUntil ? new Date(input.validUntil) : null;
+  if (
+    Number.isNaN(validFrom.getTime()) ||
+    (validUntil && Number.isNaN(validUntil.getTime()))
+  ) {
+    return { error: 'validFrom and validUntil must be dates' };
+  }
+  if (validUntil && validUntil <= validFrom) {
+    return { error: 'validUntil must be after validFrom' };
+  }
+
+  return {
+    coupon: {
+      code,
+      description: input.description ? String(input.description) : null,
+      discountType: input.discountType,
+      discountValue,
+      maxDiscount: amounts.maxDiscount,
+      minSubtotal: amounts.minSubtotal,
+      restaurantId: input.restaurantId ? parseInt(input.restaurantId) : null,
+      cuisineType: input.cuisineType ? String(input.cuisineType).trim() : null,
+      maxRedemptions: caps.maxRedemptions,
+      maxRedemptionsPerUser: caps.maxRedemptionsPerUser,
+      validFrom,
+      validUntil,
+    },
+  };
+}
+
+/**
+ * Create a coupon. Throws a CouponError (409) when the code is taken.
+ */
+async function createCoupon(coupon, createdBy, client) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  try {
+    const result = await runQuery(
+      `INSERT INTO coupons (code, description, discount_type, discount_value, max_discount,
+                            min_subtotal, restaurant_id, cuisine_type, max_redemptions,
+                            max_redemptions_per_user, valid_from, valid_until, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING ${COUPON_FIELDS}`,
+      [
+        coupon.code,
+        coupon.description,
+        coupon.discountType,
+        coupon.discountValue,
+        coupon.maxDiscount,
+        coupon.minSubtotal,
+        coupon.restaurantId,
+        coupon.cuisineType,
+        coupon.maxRedemptions,
+        coupon.maxRedemptionsPerUser,
+        coupon.validFrom,
+        coupon.validUntil,
+        createdBy,
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    // unique_violation on code
+    if (error.code === '23505') {
+      throw couponError(409, 'A coupon with this code already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * What a coupon takes off a basket, for a customer at a restaurant.
+ * Returns { coupon, discountCents } or { error }.
+ */
+async function evaluateCoupon(
+  { code, userId, restaurant, subtotalCents },
+  client
+) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const result = await runQuery(
+    `SELECT ${COUPON_FIELDS},
+            valid_from > CURRENT_TIMESTAMP as not_started,
+            valid_until IS NOT NULL AND valid_until <= CURRENT_TIMESTAMP as expired,
+            (SELECT COUNT(*) FROM coupon_redemptions r
+             WHERE r.coupon_id = coupons.id AND r.user_id = $2) as user_redemptions
+     FROM coupons
+     WHERE code = $1 AND is_active = true`,
+    [normaliseCode(String(code)), userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Coupon code not found' };
+  }
+
+  const coupon = result.rows[0];
+
+  if (coupon.not_started) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (coupon.expired) {
+    return { error: 'This coupon has expired' };
+  }
+  if (
+    coupon.restaurant_id &&
+    String(coupon.restaurant_id) !== String(restaurant.id)
+  ) {
+    return { error: 'This coupon is not valid at this restaurant' };
+  }
+  if (
+    coupon.cuisine_type &&
+    (restaurant.cuisine_type || '').toLowerCase() !==
+      coupon.cuisine_type.toLowerCase()
+  ) {
+    return {
+      error: `This coupon is only valid at ${coupon.cuisine_type} restaurants`,
+    };
+  }
+  if (subtotalCents < toCents(coupon.min_subtotal)) {
+    return {
+      error: `This coupon needs a subtotal of at least ${parseFloat(coupon.min_subtotal).toFixed(2)}`,
+    };
+  }
+  if (
+    coupon.max_redemptions !== null &&
+    coupon.times_redeemed >= coupon.max_redemptions
+  ) {
+    return { error: 'This coupon has been fully redeemed' };
+  }
+  if (
+    coupon.max_redemptions_per_user !== null &&
+    parseInt(coupon.user_redemptions) >= coupon.max_redemptions_per_user
+  ) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  return { coupon, discountCents: discountFor(coupon, subtotalCents) };
+}
+
+/**
+ * Record a redemption inside the order's transaction. Locks the coupon row
+ * so concurrent checkouts can't overrun the caps; throws a CouponError (409)
+ * if one was reached since the coupon was evaluated.
+ */
+async function redeemCoupon(
+  client,
+  { coupon, userId, orderId, discountCents }
+) {
+  const claimed = await client.query(
+    `UPDATE coupons SET times_redeemed = times_redeemed + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND (max_redemptions IS NULL OR times_redeemed < max_redemptions)
+     RETURNING max_redemptions_per_user`,
+    [coupon.id]
+  );
+
+  if (claimed.rows.length === 0) {
+    throw couponError(409, 'This coupon has been fully redeemed');
+  }
+
+  // Counted under the coupon row lock, so it includes concurrent checkouts
+  const perUser = claimed.rows[0].max_redemptions_per_user;
+  if (perUser !== null) {
+    const used = await client.query(
+      `SELECT COUNT(*) as count FROM coupon_redemptions
+       WHERE coupon_id = $1 AND user_id = $2`,
+      [coupon.id, userId]
+    );
+    if (parseInt(used.rows[0].count) >= perUser) {
+      throw couponError(409, 'You have already used this coupon');
+    }
+  }
+
+  await client.query(
+    `INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount_cents)
+     VALUES ($1, $2, $3, $4)`,
+    [coupon.id, userId, orderId, discountCents]
+  );
+}
+
+/**
+ * Undo an order's redemption inside the cancelling transaction, so the
+ * customer can use the coupon again and it stops counting towards the cap.
+ * Does nothing for orders without a coupon.
+ */
+async function releaseCouponRedemption(client, orderId) {
+  const released = await client.query(
+    'DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING coupon_id',
+    [orderId]
+  );
+
+  if (released.rows.length > 0) {
+    await client.query(
+      `UPDATE coupons SET times_redeemed = GREATEST(times_redeemed - 1, 0),
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [released.rows[0].coupon_id]
+    );
+  }
+}
+
+/**
+ * Shape a coupon row for API responses
+ */
+function formatCoupon(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    discountType: row.discount_type,
+    discountValue: parseFloat(row.discount_value),
+    maxDiscount:
+      row.max_discount === null ? null : parseFloat(row.max_discount),
+    minSubtotal: parseFloat(row.min_subtotal),
+    restaurantId: row.restaurant_id,
+    cuisineType: row.cuisine_type,
+    maxRedemptions: row.max_redemptions,
+    maxRedemptionsPerUser: row.max_redemptions_per_user,
+    timesRedeemed: row.times_redeemed,
+    validFrom: row.valid_from,
+    validUntil: row.valid_until,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+  };
+}
+
+// Helper function to compute a coupon's discount in cents (never more than
+// the subtotal)
+function discountFor(coupon, subtotalCents) {
+  let discountCents;
+
+  if (coupon.discount_type === 'percentage') {
+    discountCents = Math.round(
+      (subtotalCents * parseFloat(coupon.discount_value)) / 100
+    );
+    if (coupon.max_discount !== null) {
+      discountCents = Math.min(discountCents, toCents(coupon.max_discount));
+    }
+  } else {
+    discountCents = toCents(coupon.discount_value);
+  }
+
+  return Math.min(discountCents, subtotalCents);
+}
+
+// Helper function to compare codes case-insensitively
+function normaliseCode(code) {
+  return code.trim().toUpperCase();
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  COUPON_FIELDS,
+  validateCoupon,
+  createCoupon,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCouponRedemption,
+  formatCoupon,
+};
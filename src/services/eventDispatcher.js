@@ -0,0 +1,59 @@
+const { publish } = require('../config/redis');
+const { refreshOrderStatus } = require('./orderStatusService');
+
+// Domain event dispatcher
+// Routes and the order lifecycle say what happened (order.created,
+// order.status_changed, ...) instead of notifying clients themselves. The
+// dispatcher rewrites the order's status snapshot once, then broadcasts the
+// event over Redis so every instance delivers it to its own Socket.IO rooms
+// and SSE streams (sockets/orderEventHandler.js).
+
+const DOMAIN_EVENTS_CHANNEL = 'domain-events';
+
+const EVENT_TYPES = [
+  'order.created',
+  'order.status_changed',
+  'order.driver_assigned',
+  'driver.location_updated',
+  'restaurant.staff_removed',
+  'restaurant.staff_role_changed',
+];
+
+// Events that change what GET /api/orders/:orderId/status returns
+const STATUS_EVENTS = [
+  'order.created',
+  'order.status_changed',
+  'order.driver_assigned',
+];
+
+/**
+ * Publish a domain event (about an order, or a restaurant's staff). Call it
+ * after the change is committed; delivery is best effort and never fails
+ * the caller.
+ */
+async function publishEvent(type, data) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown domain event: ${type}`);
+  }
+
+  try {
+    // Pollers see the change before anyone is told to look
+    if (STATUS_EVENTS.includes(type)) {
+      await refreshOrderStatus(data.orderId);
+    }
+
+    await publish(DOMAIN_EVENTS_CHANNEL, {
+      type,
+      data,
+      occurredAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`Failed to dispatch ${type} event:`, error);
+  }
+}
+
+module.exports = {
+  DOMAIN_EVENTS_CHANNEL,
+  EVENT_TYPES,
+  publishEvent,
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { setWithExpiry, get, del } = require('../config/redis');
+
+// Idempotency keys for unsafe POSTs
+// A client sends `Idempotency-Key: <random string>` and reuses it when it
+// retries. The first request claims the key in Postgres (so two concurrent
+// retries can't both run), its response is stored against the key, and
+// every repeat gets that response back instead of running again. Completed
+// responses are also cached in Redis so replays don't touch Postgres.
+//
+// A claim is a lease: the request holding it renews it (renewClaim) while it
+// runs, so however slow it is, a retry gets 409. Only a claim whose owner
+// stopped renewing (a crashed instance) can be taken over. The claim token
+// makes sure a taken-over owner can't overwrite its successor.
+
+const KEY_TTL_HOURS = 24;
+const KEY_MAX_LENGTH = 255;
+
+// How long a claim lives without being renewed; owners renew it every
+// CLAIM_RENEW_MS while their request runs
+const CLAIM_LEASE_SECONDS = 30;
+const CLAIM_RENEW_MS = 10000;
+
+// Requests still running after this long are treated as hung and stop
+// renewing, so their key frees up eventually
+const CLAIM_MAX_RENEW_MS = 10 * 60 * 1000;
+
+const cacheKey = (userId, key) => `idempotency:${userId}:${key}`;
+
+function idempotencyError(statusCode, message) {
+  const error = new Error(message);
+  error.name = 'IdempotencyError';
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * SHA-256 over the method, path and body, so a key can't be reused for a
+ * different request. Body keys are sorted so their order doesn't matter.
+ */
+function requestFingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      `${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`
+    )
+    .digest('hex');
+}
+
+/**
+ * Claim a key for a request, or find the response it already produced.
+ * Returns { replay: null, claimToken } when the caller should run the
+ * request, or { replay: { statusCode, contentType, body } } for a repeat. Throws an IdempotencyError
+ * (400 bad key, 409 still running, 422 key used for a different request).
+ */
+async function beginRequest({ userId, key, fingerprint }) {
+  if (!key || key.length > KEY_MAX_LENGTH) {
+    throw idempotencyError(
+      400,
+      `Idempotency-Key must be 1-${KEY_MAX_LENGTH} characters`
+    );
+  }
+
+  const cached = await get(cacheKey(userId, key));
+  if (cached) {
+    checkFingerprint(cached, fingerprint);
+    return { replay: replayOf(cached) };
+  }
+
+  // New key, an expired one, or an abandoned claim for the same request
+  const claimToken = uuidv4();
+  const claim = await query(
+    `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, claim_token, lease_expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '${CLAIM_LEASE_SECONDS} seconds')
+     ON CONFLICT (user_id, idempotency_key) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash, claim_token = EXCLUDED.claim_token,
+           lease_expires_at = EXCLUDED.lease_expires_at, status_code = NULL,
+           content_type = NULL, response_body = NULL, completed_at = NULL,
+           created_at = CURRENT_TIMESTAMP
+       WHERE idempotency_keys.created_at < CURRENT_TIMESTAMP - INTERVAL '${KEY_TTL_HOURS} hours'
+          OR (idempotency_keys.completed_at IS NULL
+              AND idempotency_keys.request_hash = EXCLUDED.request_hash
+              AND idempotency_keys.lease_expires_at < CURRENT_TIMESTAMP)
+     RETURNING user_id`,
+    [userId, key, fingerprint, claimToken]
+  );
+
+  if (claim.rows.length > 0) {
+    return { replay: null, claimToken };
+  }
+
+  const existing = await query(
+    `SELECT request_hash, status_code, content_type, response_body, completed_at, created_at
+     FROM idempotency_keys
+     WHERE user_id = $1 AND idempotency_key = $2`,
+    [userId, key]
+  );
+
+  // Released between the claim and this read; let the client retry
+  if (existing.rows.length === 0) {
+    throw idempotencyError(
+      409,
+      'A request with this Idempotency-Key is in progress'
+    );
+  }
+
+  const record = existing.rows[0];
+  checkFingerprint({ fingerprint: record.request_hash }, fingerprint);
+
+  if (!record.completed_at) {
+    throw idempotencyError(
+      409,
+      'A request with this Idempotency-Key is in progress'
+    );
+  }
+
+  const stored = {
+    fingerprint: record.request_hash,
+    statusCode: record.status_code,
+    contentType: record.content_type,
+    body: record.response_body,
+  };
+  await setWithExpiry(cacheKey(userId, key), stored, remainingTtl(record));
+
+  return { replay: replayOf(stored) };
+}
+
+/**
+ * Extend a claim while its request is still running. Returns false when the
+ * claim is no longer ours.
+ */
+async function renewClaim({ userId, key, claimToken }) {
+  const result = await query(
+    `UPDATE idempotency_keys
+     SET lease_expires_at = CURRENT_TIMESTAMP + INTERVAL '${CLAIM_LEASE_SECONDS} seconds'
+     WHERE user_id = $1 AND idempotency_key = $2 AND claim_token = $3
+       AND completed_at IS NULL
+     RETURNING user_id`,
+    [userId, key, claimToken]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Store the response a claimed key produced. contentType is null for JSON
+ * bodies; anything else is stored as text (or null for empty responses).
+ */
+async function completeRequest({
+  userId,
+  key,
+  claimToken,
+  fingerprint,
+  statusCode,
+  contentType = null,
+  body,
+}) {
+  const result = await query(
+    `UPDATE idempotency_keys
+     SET status_code = $4, content_type = $5, response_body = $6,
+         completed_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND idempotency_key = $2 AND claim_token = $3
+     RETURNING created_at`,
+    [
+      userId,
+      key,
+      claimToken,
+      statusCode,
+      contentType,
+      JSON.stringify(body === undefined ? null : body),
+    ]
+  );
+
+  if (result.rows.length > 0) {
+    await setWithExpiry(
+      cacheKey(userId, key),
+      { fingerprint, statusCode, contentType, body },
+      remainingTtl(result.rows[0])
+    );
+  }
+}
+
+/**
+ * Give up a claim (the request failed on our side), so a retry runs again
+ */
+async function releaseRequest({ userId, key, claimToken }) {
+  await query(
+    `DELETE FROM idempotency_keys
+     WHERE user_id = $1 AND idempotency_key = $2 AND claim_token = $3
+       AND completed_at IS NULL`,
+    [userId, key, claimToken]
+  );
+  await del(cacheKey(userId, key));
+}
+
+// Helper function to shape a stored response for replaying
+function replayOf(stored) {
+  return {
+    statusCode: stored.statusCode,
+    contentType: stored.contentType || null,
+    body: stored.body,
+  };
+}
+
+// Helper function to reject a key reused with a different request
+function checkFingerprint(stored, fingerprint) {
+  if (stored.fingerprint !== fingerprint) {
+    throw idempotencyError(
+      422,
+      'Idempotency-Key was already used for a different request'
+    );
+  }
+}
+
+// Helper function to cache a stored response only as long as its key lives
+function remainingTtl(record) {
+  const expiresAt =
+    new Date(record.created_at).getTime() + KEY_TTL_HOURS * 60 * 60 * 1000;
+  return Math.max(Math.floor((expiresAt - Date.now()) / 1000), 1);
+}
+
+// Helper function to serialize JSON with sorted object keys
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+  CLAIM_RENEW_MS,
+  CLAIM_MAX_RENEW_MS,
+  requestFingerprint,
+  beginRequest,
+  renewClaim,
+  completeRequest,
+  releaseRequest,
+};
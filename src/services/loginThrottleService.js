@@ -0,0 +1,179 @@
+const { query } = require('../config/database');
+const { client, get, del } = require('../config/redis');
+
+// Login brute-force protection
+// Failed attempts are counted in Redis per email and per IP. Repeated
+// failures add a growing delay before the next attempt is accepted, and
+// crossing the limit locks that email (or IP) for a while. Each lockout is
+// also recorded in login_lockouts so support can find and clear it.
+
+const MAX_EMAIL_FAILURES =
+  parseInt(process.env.LOGIN_MAX_FAILURES_PER_EMAIL) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const FAILURE_WINDOW_SECONDS =
+  (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60;
+const LOCKOUT_SECONDS =
+  (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+
+// Delay kicks in from the second failure: 1s, 2s, 4s ... capped at 30s
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+const SCOPES = {
+  email: { maxFailures: MAX_EMAIL_FAILURES },
+  ip: { maxFailures: MAX_IP_FAILURES },
+};
+
+const failuresKey = (scope, subject) => `login_failures:${scope}:${subject}`;
+const delayKey = (scope, subject) => `login_delay:${scope}:${subject}`;
+const lockoutKey = (scope, subject) => `login_lockout:${scope}:${subject}`;
+
+const progressiveDelayMs = (failures) =>
+  failures < 2
+    ? 0
+    : Math.min(BASE_DELAY_MS * 2 ** (failures - 2), MAX_DELAY_MS);
+
+/**
+ * Decide whether a login attempt may proceed.
+ * Returns null when allowed, otherwise
+ *   { reason: 'locked', scope, lockedUntil, retryAfterSeconds } or
+ *   { reason: 'delayed', scope, retryAfterSeconds }
+ */
+async function checkLoginAllowed(email, ipAddress) {
+  const subjects = [
+    ['email', email],
+    ['ip', ipAddress],
+  ];
+
+  for (const [scope, subject] of subjects) {
+    const lockout = await get(lockoutKey(scope, subject));
+    if (lockout) {
+      return {
+        reason: 'locked',
+        scope,
+        lockedUntil: lockout.lockedUntil,
+        retryAfterSeconds: Math.max(
+          1,
+          Math.ceil((new Date(lockout.lockedUntil) - Date.now()) / 1000)
+        ),
+      };
+    }
+  }
+
+  for (const [scope, subject] of subjects) {
+    const remainingMs = await client.pTTL(delayKey(scope, subject));
+    if (remainingMs > 0) {
+      return {
+        reason: 'delayed',
+        scope,
+        retryAfterSeconds: Math.ceil(remainingMs / 1000),
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Count a failed attempt against both the email and the IP.
+ * Returns the lockout that was just started (same shape as
+ * checkLoginAllowed), or null.
+ */
+async function recordLoginFailure(email, ipAddress, userId = null) {
+  let lockout = null;
+
+  for (const [scope, subject] of [
+    ['email', email],
+    ['ip', ipAddress],
+  ]) {
+    const key = failuresKey(scope, subject);
+    const failures = await client.incr(key);
+    if (failures === 1) {
+      await client.expire(key, FAILURE_WINDOW_SECONDS);
+    }
+
+    if (failures >= SCOPES[scope].maxFailures) {
+      const started = await startLockout(scope, subject, {
+        failures,
+        userId: scope === 'email' ? userId : null,
+        ipAddress,
+      });
+      lockout = lockout || started;
+      continue;
+    }
+
+    const delayMs = progressiveDelayMs(failures);
+    if (delayMs > 0) {
+      await client.set(delayKey(scope, subject), '1', { PX: delayMs });
+    }
+  }
+
+  return lockout;
+}
+
+/**
+ * A successful login resets the email's counters (the IP keeps its count)
+ */
+async function recordLoginSuccess(email) {
+  await del(failuresKey('email', email));
+  await del(delayKey('email', email));
+}
+
+/**
+ * Lift a lockout early and mark its events cleared.
+ * Used by the admin API (clearedBy = staff user) and by password reset.
+ */
+async function releaseLockout(scope, subject, clearedBy = null) {
+  await del(lockoutKey(scope, subject));
+  await del(failuresKey(scope, subject));
+  await del(delayKey(scope, subject));
+
+  await query(
+    `UPDATE login_lockouts SET cleared_at = CURRENT_TIMESTAMP, cleared_by = $3
+     WHERE scope = $1 AND subject = $2 AND cleared_at IS NULL`,
+    [scope, subject, clearedBy]
+  );
+}
+
+// Helper function to lock a subject and record the lockout event
+async function startLockout(scope, subject, { failures, userId, ipAddress }) {
+  const lockedUntil = new Date(Date.now() + LOCKOUT_SECONDS * 1000);
+
+  // Another request may have locked it first; keep the original lockout
+  const acquired = await client.set(
+    lockoutKey(scope, subject),
+    JSON.stringify({ lockedUntil: lockedUntil.toISOString() }),
+    { EX: LOCKOUT_SECONDS, NX: true }
+  );
+  if (!acquired) {
+    return null;
+  }
+
+  await del(failuresKey(scope, subject));
+  await del(delayKey(scope, subject));
+
+  const result = await query(
+    `INSERT INTO login_lockouts (scope, subject, user_id, ip_address, failed_attempts, locked_until)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [scope, subject, userId, ipAddress, failures, lockedUntil]
+  );
+  console.warn(
+    `Login lockout (${scope}) for ${subject} until ${lockedUntil.toISOString()}`
+  );
+
+  return {
+    reason: 'locked',
+    scope,
+    lockoutId: result.rows[0].id,
+    lockedUntil: lockedUntil.toISOString(),
+    retryAfterSeconds: LOCKOUT_SECONDS,
+  };
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLockout,
+};
@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+
+// Mail outbox
+// Routes call sendMail(); the configured transport decides where it goes.
+// The default transports keep everything local so the app works offline;
+// an SMTP (or provider API) transport can be registered later without
+// touching callers. Transports that keep messages also implement
+// purge(address, client) so deleted accounts leave nothing behind.
+
+const transports = {
+  // One JSON file per message in MAIL_OUTBOX_DIR
+  file: {
+    async send(message) {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || './mail-outbox';
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const filename = `${Date.now()}-${message.id}.json`;
+      await fs.writeFile(
+        path.join(outboxDir, filename),
+        JSON.stringify(message, null, 2)
+      );
+
+      return { location: path.join(outboxDir, filename) };
+    },
+
+    // Files can't join a transaction; they're removed right away
+    async purge(address) {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || './mail-outbox';
+
+      let filenames;
+      try {
+        filenames = await fs.readdir(outboxDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const filename of filenames) {
+        if (!filename.endsWith('.json')) continue;
+
+        const file = path.join(outboxDir, filename);
+        const message = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (isSameAddress(message.to, address)) {
+          await fs.unlink(file);
+        }
+      }
+    },
+  },
+
+  // Rows in the mail_outbox table
+  database: {
+    async send(message) {
+      const result = await query(
+        `INSERT INTO mail_outbox (message_id, to_address, from_address, subject, body)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [message.id, message.to, message.from, message.subject, message.text]
+      );
+
+      return { location: `mail_outbox:${result.rows[0].id}` };
+    },
+
+    async purge(address, client) {
+      const runQuery = client ? client.query.bind(client) : query;
+      await runQuery(
+        'DELETE FROM mail_outbox WHERE LOWER(to_address) = LOWER($1)',
+        [address]
+      );
+    },
+  },
+};
+
+/**
+ * Register a transport, e.g. registerTransport('smtp', { send: async (message) => ... })
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Queue a message through the configured transport (MAIL_TRANSPORT)
+ */
+async function sendMail({ to, subject, text }) {
+  const transportName = process.env.MAIL_TRANSPORT || 'file';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    id: uuidv4(),
+    to,
+    from: process.env.MAIL_FROM || 'FoodFast <no-reply@foodfast.local>',
+    subject,
+    text,
+    createdAt: new Date().toISOString(),
+  };
+
+  const result = await transport.send(message);
+  console.log(`Mail "${subject}" to ${to} queued via ${transportName}`);
+
+  return { messageId: message.id, ...result };
+}
+
+/**
+ * Remove every queued message addressed to `address` from each transport
+ * that keeps them (account deletion). Database rows go inside `client`'s
+ * transaction when one is given.
+ */
+async function purgeMailTo(address, client) {
+  for (const transport of Object.values(transports)) {
+    if (typeof transport.purge === 'function') {
+      await transport.purge(address, client);
+    }
+  }
+}
+
+// Helper function to compare email addresses case-insensitively
+function isSameAddress(a, b) {
+  return (
+    typeof a === 'string' &&
+    typeof b === 'string' &&
+    a.trim().toLowerCase() === b.trim().toLowerCase()
+  );
+}
+
+module.exports = {
+  sendMail,
+  purgeMailTo,
+  registerTransport,
+};
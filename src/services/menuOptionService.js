@@ -0,0 +1,296 @@
+const { query } = require('../config/database');
+
+// Menu item options
+// A menu item can have option groups (Size, Extra toppings, Remove, ...),
+// each with modifiers that adjust the item's price (priceDelta may be 0 or
+// negative). An order must pick between minSelections and maxSelections
+// modifiers from every group; required groups need at least one. Orders copy
+// the chosen modifiers' names and prices into order_item_modifiers, so later
+// menu edits don't rewrite order history.
+
+const NAME_MAX_LENGTH = 100;
+const MAX_PRICE_DELTA = 1000;
+
+// SQL for an order item's chosen modifiers as a JSON array, for queries
+// that join order_items as oi
+const ORDER_ITEM_MODIFIERS_JSON = `COALESCE(
+  (SELECT json_agg(json_build_object(
+            'group', oim.group_name,
+            'name', oim.modifier_name,
+            'price_delta', oim.price_delta
+          ) ORDER BY oim.id)
+   FROM order_item_modifiers oim
+   WHERE oim.order_item_id = oi.id),
+  '[]'
+)`;
+
+/**
+ * Validate and normalise an item's option groups. Returns { groups } or
+ * { error }.
+ */
+function validateOptionGroups(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'optionGroups must be an array' };
+  }
+
+  const groups = [];
+
+  for (const [index, group] of input.entries()) {
+    const label = `optionGroups[${index}]`;
+
+    if (!isName(group && group.name)) {
+      return { error: `${label}.name is required` };
+    }
+    if (!Array.isArray(group.modifiers) || group.modifiers.length === 0) {
+      return { error: `${label}.modifiers must list at least one modifier` };
+    }
+
+    const modifiers = [];
+    for (const modifier of group.modifiers) {
+      if (!isName(modifier && modifier.name)) {
+        return { error: `${label}: every modifier needs a name` };
+      }
+
+      const priceDelta = Number(modifier.priceDelta || 0);
+      if (
+        !Number.isFinite(priceDelta) ||
+        Math.abs(priceDelta) >= MAX_PRICE_DELTA ||
+        Math.abs(Math.round(priceDelta * 100) - priceDelta * 100) > 1e-6
+      ) {
+        return {
+          error: `${label}: priceDelta must be an amount with at most 2 decimals`,
+        };
+      }
+
+      modifiers.push({
+        name: modifier.name.trim(),
+        priceDelta,
+        isAvailable: modifier.isAvailable !== false,
+      });
+    }
+
+    const isRequired = Boolean(group.isRequired);
+    const minSelections =
+      group.minSelections === undefined
+        ? Number(isRequired)
+        : group.minSelections;
+    const maxSelections =
+      group.maxSelections === undefined ? 1 : group.maxSelections;
+
+    if (
+      !Number.isInteger(minSelections) ||
+      !Number.isInteger(maxSelections) ||
+      minSelections < 0 ||
+      maxSelections < 1 ||
+      minSelections > maxSelections ||
+      maxSelections > modifiers.length
+    ) {
+      return {
+        error: `${label}: need 0 <= minSelections <= maxSelections <= number of modifiers`,
+      };
+    }
+    if (isRequired && minSelections < 1) {
+      return { error: `${label}: a required group needs minSelections >= 1` };
+    }
+
+    groups.push({
+      name: group.name.trim(),
+      isRequired,
+      minSelections,
+      maxSelections,
+      modifiers,
+    });
+  }
+
+  return { groups };
+}
+
+/**
+ * Option groups (with modifiers) for menu items, as a Map keyed by
+ * menu item id. Items without options are missing from the map.
+ */
+async function getOptionGroups(menuItemIds, client) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const result = await runQuery(
+    `SELECT g.id as group_id, g.menu_item_id, g.name as group_name, g.is_required,
+            g.min_selections, g.max_selections,
+            m.id as modifier_id, m.name as modifier_name, m.price_delta, m.is_available
+     FROM menu_option_groups g
+     JOIN menu_modifiers m ON m.option_group_id = g.id
+     WHERE g.menu_item_id = ANY($1::int[])
+     ORDER BY g.menu_item_id, g.sort_order, g.id, m.sort_order, m.id`,
+    [menuItemIds.map((id) => parseInt(id)).filter(Number.isInteger)]
+  );
+
+  const byItem = new Map();
+  const byGroup = new Map();
+
+  for (const row of result.rows) {
+    if (!byGroup.has(row.group_id)) {
+      const group = {
+        id: row.group_id,
+        name: row.group_name,
+        isRequired: row.is_required,
+        minSelections: row.min_selections,
+        maxSelections: row.max_selections,
+        modifiers: [],
+      };
+      byGroup.set(row.group_id, group);
+
+      if (!byItem.has(row.menu_item_id)) {
+        byItem.set(row.menu_item_id, []);
+      }
+      byItem.get(row.menu_item_id).push(group);
+    }
+
+    byGroup.get(row.group_id).modifiers.push({
+      id: row.modifier_id,
+      name: row.modifier_name,
+      priceDelta: parseFloat(row.price_delta),
+      isAvailable: row.is_available,
+    });
+  }
+
+  return byItem;
+}
+
+/**
+ * Replace a menu item's option groups (inside the caller's transaction).
+ * Past orders keep their copied modifiers.
+ */
+async function replaceOptionGroups(client, menuItemId, groups) {
+  await client.query('DELETE FROM menu_option_groups WHERE menu_item_id = $1', [
+    menuItemId,
+  ]);
+
+  for (const [groupIndex, group] of groups.entries()) {
+    const groupResult = await client.query(
+      `INSERT INTO menu_option_groups
+         (menu_item_id, name, is_required, min_selections, max_selections, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [
+        menuItemId,
+        group.name,
+        group.isRequired,
+        group.minSelections,
+        group.maxSelections,
+        groupIndex,
+      ]
+    );
+
+    for (const [modifierIndex, modifier] of group.modifiers.entries()) {
+      await client.query(
+        `INSERT INTO menu_modifiers (option_group_id, name, price_delta, is_available, sort_order)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          groupResult.rows[0].id,
+          modifier.name,
+          modifier.priceDelta,
+          modifier.isAvailable,
+          modifierIndex,
+        ]
+      );
+    }
+  }
+}
+
+/**
+ * Check a selection of modifier ids against an item's option groups and
+ * price it. Returns { modifiers, priceDelta } or { error }.
+ */
+function priceSelection(optionGroups, modifierIds = []) {
+  if (!Array.isArray(modifierIds)) {
+    return { error: 'modifiers must be an array of modifier ids' };
+  }
+
+  const selected = new Set(modifierIds.map((id) => parseInt(id)));
+  if (selected.size !== modifierIds.length) {
+    return { error: 'each modifier can only be chosen once' };
+  }
+
+  const modifiers = [];
+  let priceDeltaCents = 0;
+
+  for (const group of optionGroups) {
+    const chosen = group.modifiers.filter((modifier) =>
+      selected.has(modifier.id)
+    );
+
+    const unavailable = chosen.find((modifier) => !modifier.isAvailable);
+    if (unavailable) {
+      return { error: `${unavailable.name} is unavailable` };
+    }
+    if (chosen.length < group.minSelections) {
+      return {
+        error: `choose at least ${group.minSelections} from ${group.name}`,
+      };
+    }
+    if (chosen.length > group.maxSelections) {
+      return {
+        error: `choose at most ${group.maxSelections} from ${group.name}`,
+      };
+    }
+
+    for (const modifier of chosen) {
+      selected.delete(modifier.id);
+      priceDeltaCents += Math.round(modifier.priceDelta * 100);
+      modifiers.push({
+        modifierId: modifier.id,
+        groupName: group.name,
+        name: modifier.name,
+        priceDelta: modifier.priceDelta,
+      });
+    }
+  }
+
+  // Anything left over isn't an option of this item
+  if (selected.size > 0) {
+    return { error: `unknown modifier ${[...selected][0]}` };
+  }
+
+  return { modifiers, priceDelta: priceDeltaCents / 100 };
+}
+
+/**
+ * The cheapest priceDelta any allowed selection can reach: each group's
+ * minSelections cheapest modifiers plus any further discounts up to
+ * maxSelections. Availability is ignored, since sold-out modifiers can come
+ * back. Used to keep an item's price from going below 0.
+ */
+function lowestPriceDelta(optionGroups) {
+  let lowestCents = 0;
+
+  for (const group of optionGroups) {
+    const deltas = group.modifiers
+      .map((modifier) => Math.round(modifier.priceDelta * 100))
+      .sort((a, b) => a - b);
+
+    deltas.slice(0, group.maxSelections).forEach((deltaCents, index) => {
+      if (index < group.minSelections || deltaCents < 0) {
+        lowestCents += deltaCents;
+      }
+    });
+  }
+
+  return lowestCents / 100;
+}
+
+// Helper function to check a display name
+function isName(value) {
+  return (
+    typeof value === 'string' &&
+    value.trim().length > 0 &&
+    value.trim().length <= NAME_MAX_LENGTH
+  );
+}
+
+module.exports = {
+  ORDER_ITEM_MODIFIERS_JSON,
+  validateOptionGroups,
+  getOptionGroups,
+  replaceOptionGroups,
+  priceSelection,
+  lowestPriceDelta,
+};
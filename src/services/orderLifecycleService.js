@@ -0,0 +1,431 @@
+const { query, transaction } = require('../config/database');
+const { del } = require('../config/redis');
+const {
+  hasPermission,
+  hasStaffPermission,
+  isStaffPermission,
+} = require('../config/permissions');
+const { getMembership } = require('./restaurantStaffService');
+const { publishEvent } = require('./eventDispatcher');
+const { releaseCouponRedemption } = require('./couponService');
+const {
+  CANCELLATION_REASON_CODES,
+  cancellationTerms,
+  reasonCodeError,
+} = require('./cancellationService');
+
+// Order lifecycle (state machine)
+// Every status change - REST or socket - goes through transitionOrder(), so
+// an order can only move along these edges:
+//
+//   scheduled -> confirmed -> preparing -> ready -> picked_up -> delivered
+//        \____________\____________\_________\--> cancelled (restaurant or
+//                                                 customer, before pickup)
+//
+// Scheduled orders are released to confirmed by the order scheduler
+// (services/scheduledOrderService.js), acting as the system.
+//
+// Each edge names the permission it needs (config/permissions.js), the
+// fields it requires and whether only the assigned driver may take it.
+// Cancel edges also have a customer variant: the order's own customer may
+// take it with a reason code, paying the fee from the cancellation policy
+// (services/cancellationService.js).
+// Every change is appended to order_events (the order's timeline) and
+// published as an order.status_changed domain event.
+
+const ORDER_STATUSES = [
+  'scheduled',
+  'confirmed',
+  'preparing',
+  'ready',
+  'picked_up',
+  'delivered',
+  'cancelled',
+];
+
+const TERMINAL_STATUSES = ['delivered', 'cancelled'];
+
+const CANCEL = {
+  permission: 'orders:cancel',
+  requires: ['reason'],
+  byCustomer: {
+    permission: 'orders:cancel_own',
+    customerOnly: true,
+    requires: ['reasonCode'],
+  },
+};
+
+const TRANSITIONS = {
+  scheduled: {
+    confirmed: { permission: 'orders:release_scheduled' },
+    cancelled: CANCEL,
+  },
+  confirmed: {
+    preparing: { permission: 'orders:update_status:kitchen' },
+    cancelled: CANCEL,
+  },
+  preparing: {
+    ready: { permission: 'orders:update_status:kitchen' },
+    cancelled: CANCEL,
+  },
+  ready: {
+    picked_up: {
+      permission: 'orders:update_status:delivery',
+      assignedDriverOnly: true,
+    },
+    cancelled: CANCEL,
+  },
+  picked_up: {
+    delivered: {
+      permission: 'orders:update_status:delivery',
+      assignedDriverOnly: true,
+    },
+  },
+  delivered: {},
+  cancelled: {},
+};
+
+function transitionError(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.name = 'OrderTransitionError';
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Statuses an order can move to next from `status`
+ */
+function nextStatuses(status) {
+  return Object.keys(TRANSITIONS[status] || {});
+}
+
+/**
+ * Who is acting, from an authenticated request. req.restaurant is set by
+ * authorizeRestaurant (staff role, or 'api_key' for restaurant API keys).
+ */
+function actorFromRequest(req) {
+  return {
+    userId: req.user.id,
+    userType: req.user.user_type,
+    restaurant: req.restaurant || null,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+  };
+}
+
+/**
+ * Who is acting, from a socket that joined a restaurant room
+ */
+function actorFromSocket(socket) {
+  return {
+    userId: socket.data.user.id,
+    userType: socket.data.user.user_type,
+    restaurant: socket.restaurantId
+      ? { id: socket.restaurantId, role: socket.restaurantRole }
+      : null,
+  };
+}
+
+/**
+ * Move an order to `toStatus` if the lifecycle allows it and the actor may
+ * take that edge. Throws an OrderTransitionError (statusCode 400/403/404/409)
+ * otherwise. With dryRun the change is rolled back and side effects skipped.
+ * Returns { order, fromStatus, toStatus, metadata } (metadata as recorded,
+ * including cancellation fees for customer cancellations).
+ */
+async function transitionOrder({
+  orderId,
+  toStatus,
+  actor,
+  metadata = {},
+  dryRun = false,
+}) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw transitionError(400, 'Invalid status', {
+      validStatuses: ORDER_STATUSES,
+    });
+  }
+
+  const outcome = await transaction(
+    async (client) => {
+      const result = await client.query(
+        `SELECT id, customer_id, restaurant_id, driver_id, status, total_amount, total_cents
+         FROM orders WHERE id = $1
+         FOR UPDATE`,
+        [orderId]
+      );
+
+      if (result.rows.length === 0) {
+        throw transitionError(404, 'Order not found');
+      }
+
+      const order = result.rows[0];
+      const fromStatus = order.status;
+      const transition = (TRANSITIONS[fromStatus] || {})[toStatus];
+
+      if (!transition) {
+        // Only people involved with the order learn its status
+        if (!(await isInvolved(actor, order))) {
+          throw transitionError(404, 'Order not found or access denied');
+        }
+        throw transitionError(
+          409,
+          `Order cannot move from ${fromStatus} to ${toStatus}`,
+          {
+            currentStatus: fromStatus,
+            allowedStatuses: nextStatuses(fromStatus),
+          }
+        );
+      }
+
+      // The order's customer takes the customer variant of an edge
+      const edge =
+        transition.byCustomer && isCustomer(actor, order)
+          ? transition.byCustomer
+          : transition;
+
+      await authorizeTransition(actor, order, edge, toStatus);
+
+      for (const field of edge.requires || []) {
+        if (!metadata[field]) {
+          throw transitionError(400, `${field} is required for ${toStatus}`);
+        }
+      }
+
+      const terms =
+        edge === transition.byCustomer
+          ? customerCancellation(order, metadata)
+          : null;
+      const details = terms ? { ...metadata, ...terms } : metadata;
+
+      // A cancelled order records what is kept and what is refunded; only a
+      // customer cancelling after the kitchen started pays a fee
+      const isCancellation = toStatus === 'cancelled';
+      const feeCents = terms ? Math.round(terms.cancellationFee * 100) : 0;
+
+      const updated = await client.query(
+        `UPDATE orders SET status = $1, version = version + 1, updated_at = CURRENT_TIMESTAMP,
+                cancellation_fee_cents = $3, refund_cents = $4
+         WHERE id = $2
+         RETURNING id, customer_id, restaurant_id, driver_id, status, total_amount, total_cents, updated_at`,
+        [
+          toStatus,
+          orderId,
+          isCancellation ? feeCents : null,
+          isCancellation ? order.total_cents - feeCents : null,
+        ]
+      );
+
+      // The coupon goes back to the customer (and the coupon's cap)
+      if (isCancellation) {
+        await releaseCouponRedemption(client, orderId);
+      }
+
+      await recordOrderEvent(client, {
+        orderId,
+        fromStatus,
+        toStatus,
+        actor,
+        metadata: details,
+      });
+
+      return {
+        order: updated.rows[0],
+        fromStatus,
+        toStatus,
+        metadata: details,
+      };
+    },
+    { dryRun }
+  );
+
+  if (!dryRun) {
+    await applySideEffects(outcome, actor);
+  }
+
+  return outcome;
+}
+
+/**
+ * Append a status change to the order's timeline (inside the caller's
+ * transaction). Empty metadata values are dropped.
+ */
+async function recordOrderEvent(
+  client,
+  { orderId, fromStatus, toStatus, actor, metadata = {} }
+) {
+  const details = Object.fromEntries(
+    Object.entries(metadata).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ''
+    )
+  );
+  if (actor.apiKeyId) {
+    details.apiKeyId = actor.apiKeyId;
+  }
+
+  await client.query(
+    `INSERT INTO order_events (order_id, from_status, to_status, actor_id, actor_type, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      orderId,
+      fromStatus,
+      toStatus,
+      actor.userId || null,
+      actor.apiKeyId ? 'api_key' : actor.userType,
+      details,
+    ]
+  );
+}
+
+/**
+ * An order's status changes, oldest first
+ */
+async function listOrderEvents(orderId) {
+  const result = await query(
+    `SELECT e.id, e.from_status, e.to_status, e.actor_id, e.actor_type, e.metadata, e.created_at,
+            u.first_name || ' ' || u.last_name as actor_name
+     FROM order_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     WHERE e.order_id = $1
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [orderId]
+  );
+
+  return result.rows;
+}
+
+// Helper function to check the actor may take a transition on this order
+async function authorizeTransition(actor, order, transition, toStatus) {
+  const { permission } = transition;
+
+  if (isStaffPermission(permission)) {
+    const restaurant = await resolveRestaurant(actor, order);
+
+    // Someone else's order looks the same as a missing one
+    if (!restaurant || String(restaurant.id) !== String(order.restaurant_id)) {
+      throw transitionError(404, 'Order not found or access denied');
+    }
+
+    // API keys were scope-checked when the request was authenticated
+    if (
+      restaurant.role !== 'api_key' &&
+      !hasStaffPermission(restaurant.role, permission)
+    ) {
+      throw transitionError(
+        403,
+        `A ${restaurant.role} cannot set status to ${toStatus}`,
+        { requiredPermission: permission }
+      );
+    }
+    return;
+  }
+
+  if (!hasPermission(actor.userType, permission)) {
+    throw transitionError(403, 'Access forbidden - insufficient permissions', {
+      requiredPermission: permission,
+    });
+  }
+
+  if (transition.assignedDriverOnly && order.driver_id !== actor.userId) {
+    throw transitionError(403, 'Only the assigned driver can do this', {
+      requiredPermission: permission,
+    });
+  }
+
+  if (transition.customerOnly && !isCustomer(actor, order)) {
+    throw transitionError(404, 'Order not found or access denied');
+  }
+}
+
+// Helper function to validate a customer cancellation and price it
+function customerCancellation(order, { reasonCode, note }) {
+  const reasonError = reasonCodeError(reasonCode, note);
+  if (reasonError) {
+    throw transitionError(400, reasonError, {
+      validReasonCodes: CANCELLATION_REASON_CODES,
+    });
+  }
+
+  // The lifecycle allows the edge, so this only guards a policy mismatch
+  const terms = cancellationTerms(order);
+  if (!terms) {
+    throw transitionError(409, 'Order can no longer be cancelled', {
+      currentStatus: order.status,
+    });
+  }
+
+  return { ...terms, cancelledBy: 'customer' };
+}
+
+// Helper function to tell whether the actor placed this order
+function isCustomer(actor, order) {
+  return Boolean(actor.userId) && order.customer_id === actor.userId;
+}
+
+// Helper function to find the actor's restaurant role for an order's restaurant
+async function resolveRestaurant(actor, order) {
+  if (actor.restaurant) {
+    return actor.restaurant;
+  }
+
+  // Staff acting without a restaurant context (e.g. PUT /orders/:id/status)
+  if (hasPermission(actor.userType, 'restaurant:access')) {
+    const membership = await getMembership(actor.userId, order.restaurant_id);
+    return membership && { id: membership.restaurantId, role: membership.role };
+  }
+
+  return null;
+}
+
+// Helper function to tell whether the actor works on this order
+async function isInvolved(actor, order) {
+  if (isCustomer(actor, order)) {
+    return true;
+  }
+  if (actor.userId && order.driver_id === actor.userId) {
+    return true;
+  }
+
+  const restaurant = await resolveRestaurant(actor, order);
+  return Boolean(
+    restaurant && String(restaurant.id) === String(order.restaurant_id)
+  );
+}
+
+// Helper function to run what follows every committed transition
+async function applySideEffects(
+  { order, fromStatus, toStatus, metadata },
+  actor
+) {
+  // Nothing left to track once an order is finished
+  if (TERMINAL_STATUSES.includes(toStatus)) {
+    await del(`driver_location:${order.id}`);
+  }
+
+  // Refreshes the status snapshot and notifies sockets and SSE streams
+  await publishEvent('order.status_changed', {
+    orderId: order.id,
+    customerId: order.customer_id,
+    restaurantId: order.restaurant_id,
+    driverId: order.driver_id,
+    fromStatus,
+    toStatus,
+    actorId: actor.userId || null,
+    actorType: actor.apiKeyId ? 'api_key' : actor.userType,
+    estimatedTime: metadata.estimatedTime || metadata.estimatedPrepTime,
+    reason: metadata.reason,
+    reasonCode: metadata.reasonCode,
+  });
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TERMINAL_STATUSES,
+  TRANSITIONS,
+  nextStatuses,
+  actorFromRequest,
+  actorFromSocket,
+  transitionOrder,
+  recordOrderEvent,
+  listOrderEvents,
+};
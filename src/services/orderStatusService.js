@@ -0,0 +1,200 @@
+const { query } = require('../config/database');
+const { client, get, del } = require('../config/redis');
+const { formatPriceBreakdown } = require('./pricingService');
+
+// Order status snapshots for short polling
+// GET /api/orders/:orderId/status is answered from Redis (order_status:<id>).
+// The snapshot is rewritten whenever the order changes (the event dispatcher
+// calls refreshOrderStatus for every order event), so it never goes stale.
+// orders.version is bumped on every change and becomes the ETag.
+
+const STATUS_CACHE_TTL_SECONDS = 3600;
+
+// Minutes from order creation to expected delivery, by status
+const DELIVERY_ESTIMATE_MINUTES = {
+  confirmed: 45,
+  preparing: 40,
+  ready: 25,
+  picked_up: 15,
+};
+
+const cacheKey = (orderId) => `order_status:${orderId}`;
+
+// Write a snapshot unless the cached one is newer. Refreshes for the same
+// order can finish out of order, and a slow one must not replace a later
+// version. An equal version holds the same order data, so it may be
+// rewritten (which also upgrades snapshots cached in an older shape).
+// KEYS[1] = cache key, ARGV = snapshot JSON, version, TTL seconds
+const SET_IF_NOT_OLDER = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local ok, cached = pcall(cjson.decode, current)
+  if ok and type(cached) == 'table' then
+    local cachedVersion = tonumber(cached.version)
+    if cachedVersion and cachedVersion > tonumber(ARGV[2]) then
+      return 0
+    end
+  end
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[3])
+return 1
+`;
+
+/**
+ * Build an order's status snapshot from Postgres and cache it (unless a
+ * newer version is already cached). Returns null when the order doesn't
+ * exist.
+ */
+async function refreshOrderStatus(orderId) {
+  const result = await query(
+    `SELECT o.id, o.customer_id, o.restaurant_id, o.driver_id, o.status, o.version,
+            o.total_amount, o.subtotal_cents, o.delivery_fee_cents, o.service_fee_cents,
+            o.tax_cents, o.tax_rate_percent, o.discount_cents, o.tip_cents, o.total_cents,
+            o.delivery_address, o.scheduled_for, o.release_at, o.created_at, o.updated_at,
+            rest.name as restaurant_name,
+            CASE
+              WHEN d.first_name IS NOT NULL
+              THEN d.first_name || ' ' || d.last_name
+              ELSE NULL
+            END as driver_name,
+            (SELECT e.metadata->>'estimatedPrepTime' FROM order_events e
+             WHERE e.order_id = o.id AND e.to_status = 'preparing'
+             ORDER BY e.id DESC LIMIT 1) as estimated_prep_time
+     FROM orders o
+     LEFT JOIN restaurants rest ON o.restaurant_id = rest.id
+     LEFT JOIN users d ON o.driver_id = d.id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const order = result.rows[0];
+
+  // Estimated delivery time based on status (scheduled orders are due at
+  // the requested time)
+  let estimatedDelivery = null;
+  if (
+    order.scheduled_for &&
+    (order.status === 'scheduled' || DELIVERY_ESTIMATE_MINUTES[order.status])
+  ) {
+    estimatedDelivery = new Date(order.scheduled_for).toISOString();
+  } else if (DELIVERY_ESTIMATE_MINUTES[order.status]) {
+    estimatedDelivery = new Date(
+      new Date(order.created_at).getTime() +
+        DELIVERY_ESTIMATE_MINUTES[order.status] * 60 * 1000
+    ).toISOString();
+  } else if (order.status === 'delivered') {
+    estimatedDelivery = new Date(order.updated_at).toISOString();
+  }
+
+  const snapshot = {
+    orderId: order.id,
+    status: order.status,
+    version: order.version,
+    restaurantName: order.restaurant_name,
+    driverName: order.driver_name,
+    totalAmount: order.total_amount,
+    priceBreakdown: formatPriceBreakdown(order),
+    deliveryAddress: order.delivery_address,
+    estimatedDelivery,
+    estimatedPrepTime: parseInt(order.estimated_prep_time) || null,
+    scheduledFor: order.scheduled_for,
+    releaseAt: order.release_at,
+    lastUpdated: new Date().toISOString(),
+    createdAt: order.created_at,
+    updatedAt: order.updated_at,
+    // Who may read it, so cached polls can be authorized without Postgres
+    access: {
+      customerId: order.customer_id,
+      restaurantId: order.restaurant_id,
+      driverId: order.driver_id,
+    },
+  };
+
+  await client.eval(SET_IF_NOT_OLDER, {
+    keys: [cacheKey(orderId)],
+    arguments: [
+      JSON.stringify(snapshot),
+      String(order.version),
+      String(STATUS_CACHE_TTL_SECONDS),
+    ],
+  });
+
+  return snapshot;
+}
+
+/**
+ * The cached snapshot, or a freshly built one.
+ * Returns { snapshot, fromCache }; snapshot is null for unknown orders.
+ */
+async function getOrderStatus(orderId) {
+  const cached = await get(cacheKey(orderId));
+
+  // Snapshots without a version predate conditional polling, and ones
+  // without a priceBreakdown predate itemised pricing
+  if (cached && cached.version && cached.priceBreakdown) {
+    return { snapshot: cached, fromCache: true };
+  }
+
+  return { snapshot: await refreshOrderStatus(orderId), fromCache: false };
+}
+
+/**
+ * Drop cached snapshots (after their orders were scrubbed); the next poll
+ * rebuilds them from Postgres
+ */
+async function forgetOrderStatuses(orderIds) {
+  for (const orderId of orderIds) {
+    await del(cacheKey(orderId));
+  }
+}
+
+/**
+ * Weak validator for a snapshot: changes with every order update
+ */
+function statusETag(snapshot) {
+  return `W/"order-${snapshot.orderId}-v${snapshot.version}"`;
+}
+
+/**
+ * Does the request's If-None-Match / If-Modified-Since match the snapshot?
+ */
+function isNotModified(req, snapshot) {
+  const ifNoneMatch = req.get('if-none-match');
+  if (ifNoneMatch) {
+    const etag = statusETag(snapshot);
+    return ifNoneMatch
+      .split(',')
+      .map((tag) => tag.trim())
+      .some((tag) => tag === '*' || tag === etag || `W/${tag}` === etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.get('if-modified-since'));
+  if (!Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have second precision
+    const updatedAt = Math.floor(new Date(snapshot.updatedAt).getTime() / 1000);
+    return updatedAt <= Math.floor(ifModifiedSince / 1000);
+  }
+
+  return false;
+}
+
+/**
+ * Snapshot without the internal access fields, for API responses
+ */
+function formatOrderStatus(snapshot) {
+  const { access, ...status } = snapshot;
+  return status;
+}
+
+module.exports = {
+  refreshOrderStatus,
+  getOrderStatus,
+  forgetOrderStatuses,
+  statusETag,
+  isNotModified,
+  formatOrderStatus,
+};
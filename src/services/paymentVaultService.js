@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+
+// Payment method vault (envelope encryption)
+// Each method's metadata is encrypted with its own random data key
+// (AES-256-GCM); the data key is then wrapped with a versioned master key
+// from PAYMENT_VAULT_KEYS. Rows remember the key version, so master keys can
+// be rotated by re-encrypting rows with rotateVaultKeys().
+//
+// PAYMENT_VAULT_KEYS="1:<base64 32 bytes>,2:<base64 32 bytes>"
+// PAYMENT_VAULT_ACTIVE_KEY=2 (defaults to the highest version)
+
+const PAYMENT_METHOD_TYPES = ['credit', 'debit', 'paypal', 'wallet'];
+
+// Keys that have been published (an old docker-compose.yaml) and must never
+// encrypt real data
+const PUBLISHED_KEYS = ['U0KbvEXvniX8yNGkyij8vPL+C77Z6Cl5ipGrVKeBYww='];
+
+// Queries touching vault rows are kept out of the query log details
+const REDACTED = { redact: true };
+
+/**
+ * Parse the master keys from the environment: Map<version, Buffer>
+ */
+function loadKeyring() {
+  const keyring = new Map();
+
+  for (const entry of (process.env.PAYMENT_VAULT_KEYS || '').split(',')) {
+    if (!entry.trim()) {
+      continue;
+    }
+
+    const [version, encodedKey] = entry.trim().split(':');
+    const key = Buffer.from(encodedKey || '', 'base64');
+    if (!parseInt(version) || key.length !== 32) {
+      throw new Error(
+        'PAYMENT_VAULT_KEYS entries must look like <version>:<base64 32-byte key>'
+      );
+    }
+    keyring.set(parseInt(version), key);
+  }
+
+  if (keyring.size === 0) {
+    throw new Error('PAYMENT_VAULT_KEYS is not configured');
+  }
+
+  return keyring;
+}
+
+function getActiveKeyVersion(keyring = loadKeyring()) {
+  const configured = parseInt(process.env.PAYMENT_VAULT_ACTIVE_KEY);
+  const version = configured || Math.max(...keyring.keys());
+
+  if (!keyring.has(version)) {
+    throw new Error(
+      `Active payment vault key ${version} is not in the keyring`
+    );
+  }
+
+  return version;
+}
+
+/**
+ * Fail fast on a missing or malformed vault configuration (run at startup,
+ * so a bad key doesn't surface later as a failing request)
+ */
+function checkVaultConfig() {
+  try {
+    const keyring = loadKeyring();
+    getActiveKeyVersion(keyring);
+
+    for (const [version, key] of keyring) {
+      if (isPlaceholderKey(key)) {
+        throw new Error(
+          `key ${version} is a placeholder or published key; generate your own`
+        );
+      }
+    }
+  } catch (error) {
+    throw new Error(`Invalid payment vault configuration: ${error.message}`);
+  }
+}
+
+/**
+ * Encrypt a payment method's metadata for a user with the active key
+ */
+function sealPaymentData(userId, data) {
+  const keyring = loadKeyring();
+  const keyVersion = getActiveKeyVersion(keyring);
+  const dataKey = crypto.randomBytes(32);
+  const aad = Buffer.from(`payment_method:${userId}`);
+
+  return {
+    keyVersion,
+    wrappedKey: seal(keyring.get(keyVersion), dataKey, aad),
+    ciphertext: seal(dataKey, Buffer.from(JSON.stringify(data)), aad),
+  };
+}
+
+/**
+ * Decrypt a vault row back into its metadata
+ */
+function openPaymentData(row, keyring = loadKeyring()) {
+  const masterKey = keyring.get(row.key_version);
+  if (!masterKey) {
+    throw new Error(`Payment vault key ${row.key_version} is not available`);
+  }
+
+  const aad = Buffer.from(`payment_method:${row.user_id}`);
+  const dataKey = open(masterKey, row.wrapped_key, aad);
+
+  return JSON.parse(open(dataKey, row.ciphertext, aad).toString('utf8'));
+}
+
+/**
+ * Keep only the metadata we are willing to store (never full card numbers)
+ * Returns null when the method is invalid.
+ */
+function sanitizePaymentMethod(method) {
+  if (!method || !PAYMENT_METHOD_TYPES.includes(method.type)) {
+    return null;
+  }
+
+  return {
+    type: method.type, // 'credit', 'debit', 'paypal', etc.
+    lastFour: method.lastFour ? String(method.lastFour).slice(-4) : null,
+    expiryMonth: method.expiryMonth || null,
+    expiryYear: method.expiryYear || null,
+  };
+}
+
+/**
+ * A customer's payment methods, decrypted, default first
+ */
+async function listPaymentMethods(userId) {
+  const result = await query(
+    `SELECT id, user_id, key_version, wrapped_key, ciphertext, is_default, created_at
+     FROM payment_methods
+     WHERE user_id = $1
+     ORDER BY is_default DESC, created_at ASC`,
+    [userId],
+    REDACTED
+  );
+
+  // Customers without payment methods don't need the keyring
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  const keyring = loadKeyring();
+  return result.rows.map((row) => formatPaymentMethod(row, keyring));
+}
+
+/**
+ * Add one payment method. The first one (or isDefault) becomes the default.
+ */
+async function addPaymentMethod(userId, method, dbClient) {
+  const run = async (client) => {
+    const existing = await client.query(
+      'SELECT COUNT(*) as count FROM payment_methods WHERE user_id = $1',
+      [userId]
+    );
+    const makeDefault =
+      Boolean(method.isDefault) || parseInt(existing.rows[0].count) === 0;
+
+    if (makeDefault) {
+      await client.query(
+        'UPDATE payment_methods SET is_default = false WHERE user_id = $1',
+        [userId]
+      );
+    }
+
+    const sealed = sealPaymentData(userId, sanitizePaymentMethod(method));
+    const result = await client.query(
+      `INSERT INTO payment_methods (user_id, key_version, wrapped_key, ciphertext, is_default)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, user_id, key_version, wrapped_key, ciphertext, is_default, created_at`,
+      [
+        userId,
+        sealed.keyVersion,
+        sealed.wrappedKey,
+        sealed.ciphertext,
+        makeDefault,
+      ]
+    );
+
+    return formatPaymentMethod(result.rows[0]);
+  };
+
+  return dbClient ? run(dbClient) : transaction(run);
+}
+
+/**
+ * Replace all of a customer's payment methods (legacy bulk update)
+ */
+async function replacePaymentMethods(userId, methods) {
+  return transaction(async (client) => {
+    await client.query('DELETE FROM payment_methods WHERE user_id = $1', [
+      userId,
+    ]);
+
+    const saved = [];
+    for (const method of methods) {
+      saved.push(await addPaymentMethod(userId, method, client));
+    }
+
+    return saved;
+  });
+}
+
+/**
+ * Remove one method; the oldest remaining one takes over as default
+ * Returns false when the method doesn't belong to the user.
+ */
+async function removePaymentMethod(userId, methodId) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `DELETE FROM payment_methods WHERE id = $1 AND user_id = $2
+       RETURNING is_default`,
+      [methodId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    if (result.rows[0].is_default) {
+      await client.query(
+        `UPDATE payment_methods SET is_default = true
+         WHERE id = (
+           SELECT id FROM payment_methods WHERE user_id = $1
+           ORDER BY created_at ASC LIMIT 1
+         )`,
+        [userId]
+      );
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Make one method the default. Returns false when it isn't the user's.
+ */
+async function setDefaultPaymentMethod(userId, methodId) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      'SELECT id FROM payment_methods WHERE id = $1 AND user_id = $2',
+      [methodId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await client.query(
+      `UPDATE payment_methods SET is_default = (id = $1), updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2`,
+      [methodId, userId]
+    );
+
+    return true;
+  });
+}
+
+/**
+ * Re-encrypt every row not on the active key (and move any legacy
+ * plaintext customer_profiles.payment_info into the vault).
+ */
+async function rotateVaultKeys({ batchSize = 100 } = {}) {
+  const keyring = loadKeyring();
+  const activeVersion = getActiveKeyVersion(keyring);
+  let rotated = 0;
+  let migrated = 0;
+
+  for (;;) {
+    const result = await query(
+      `SELECT id, user_id, key_version, wrapped_key, ciphertext
+       FROM payment_methods
+       WHERE key_version <> $1
+       ORDER BY id
+       LIMIT $2`,
+      [activeVersion, batchSize],
+      REDACTED
+    );
+
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    for (const row of result.rows) {
+      const sealed = sealPaymentData(
+        row.user_id,
+        openPaymentData(row, keyring)
+      );
+
+      // Guard on the old version in case the row changed meanwhile
+      await query(
+        `UPDATE payment_methods
+         SET key_version = $1, wrapped_key = $2, ciphertext = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 AND key_version = $5`,
+        [
+          sealed.keyVersion,
+          sealed.wrappedKey,
+          sealed.ciphertext,
+          row.id,
+          row.key_version,
+        ],
+        REDACTED
+      );
+      rotated++;
+    }
+  }
+
+  const legacy = await query(
+    `SELECT user_id, payment_info FROM customer_profiles
+     WHERE payment_info IS NOT NULL`,
+    [],
+    REDACTED
+  );
+
+  for (const profile of legacy.rows) {
+    await transaction(async (client) => {
+      const methods = Array.isArray(profile.payment_info)
+        ? profile.payment_info
+        : [];
+
+      for (const method of methods) {
+        if (sanitizePaymentMethod(method)) {
+          await addPaymentMethod(profile.user_id, method, client);
+          migrated++;
+        }
+      }
+
+      await client.query(
+        'UPDATE customer_profiles SET payment_info = NULL WHERE user_id = $1',
+        [profile.user_id]
+      );
+    });
+  }
+
+  return { activeVersion, rotated, migrated };
+}
+
+// Helper function to shape a vault row for API responses
+function formatPaymentMethod(row, keyring) {
+  const data = openPaymentData(row, keyring);
+
+  return {
+    id: row.id,
+    ...data,
+    isDefault: row.is_default,
+    createdAt: row.created_at,
+  };
+}
+
+// Helper function to AES-256-GCM encrypt into "iv.tag.ciphertext" (base64)
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString('base64'))
+    .join('.');
+}
+
+// Helper function to reverse seal()
+function open(key, sealed, aad) {
+  const [iv, tag, encrypted] = sealed
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
+
+// Helper function to spot keys that are not secret: one repeated byte (like
+// the all-zero .env.example placeholder) or a published key
+function isPlaceholderKey(key) {
+  return (
+    key.every((byte) => byte === key[0]) ||
+    PUBLISHED_KEYS.includes(key.toString('base64'))
+  );
+}
+
+module.exports = {
+  PAYMENT_METHOD_TYPES,
+  checkVaultConfig,
+  sanitizePaymentMethod,
+  listPaymentMethods,
+  addPaymentMethod,
+  replacePaymentMethods,
+  removePaymentMethod,
+  setDefaultPaymentMethod,
+  rotateVaultKeys,
+};
@@ -0,0 +1,97 @@
+const { performance } = require('perf_hooks');
+const { TERMINAL_STATUSES } = require('./orderLifecycleService');
+
+// Server-directed polling intervals
+// Instead of a fixed 60s timer, order status responses tell clients when to
+// poll next: soon when the next transition is due, slower while nothing is
+// expected to happen, slower still when this instance is busy, and never
+// again once the order is finished.
+
+const MIN_INTERVAL_MS = parseInt(process.env.POLL_MIN_INTERVAL_MS) || 15000;
+const MAX_INTERVAL_MS = parseInt(process.env.POLL_MAX_INTERVAL_MS) || 120000;
+
+// Back off up to this factor when the event loop is saturated
+const MAX_LOAD_FACTOR = 3;
+
+// How long each status usually lasts, in minutes (preparing uses the
+// restaurant's estimate when it gave one; scheduled lasts until release)
+const EXPECTED_STATUS_MINUTES = {
+  confirmed: 5,
+  preparing: 20,
+  ready: 10,
+  picked_up: 15,
+};
+
+// Event loop utilisation, re-sampled at most every 5 seconds
+const LOAD_SAMPLE_MS = 5000;
+let lastSample = performance.eventLoopUtilization();
+let lastSampledAt = Date.now();
+let currentUtilization = 0;
+
+/**
+ * 1 when idle, rising towards MAX_LOAD_FACTOR as the event loop saturates
+ */
+function loadFactor() {
+  if (Date.now() - lastSampledAt >= LOAD_SAMPLE_MS) {
+    const sample = performance.eventLoopUtilization();
+    currentUtilization = performance.eventLoopUtilization(
+      sample,
+      lastSample
+    ).utilization;
+    lastSample = sample;
+    lastSampledAt = Date.now();
+  }
+
+  // Only start backing off above 50% utilisation
+  const busy = Math.max(currentUtilization - 0.5, 0) / 0.5;
+  return 1 + busy * (MAX_LOAD_FACTOR - 1);
+}
+
+/**
+ * When to poll an order next.
+ * Returns { stopPolling: true } for finished orders, otherwise
+ * { stopPolling: false, nextPollInMs, expectedTransitionAt }.
+ */
+function pollingHint({ status, updatedAt, estimatedPrepTime, releaseAt }) {
+  if (TERMINAL_STATUSES.includes(status)) {
+    return { stopPolling: true, nextPollInMs: null };
+  }
+
+  const expectedMinutes =
+    (status === 'preparing' && parseInt(estimatedPrepTime)) ||
+    EXPECTED_STATUS_MINUTES[status] ||
+    EXPECTED_STATUS_MINUTES.confirmed;
+  const expectedAt =
+    status === 'scheduled' && releaseAt
+      ? new Date(releaseAt).getTime()
+      : new Date(updatedAt).getTime() + expectedMinutes * 60 * 1000;
+
+  // Poll a few times before the next transition is due; once it's due
+  // (or overdue) poll at the minimum interval. Load backs off before the
+  // upper clamp, so a busy instance never asks for more than MAX_INTERVAL_MS
+  const untilExpected = expectedAt - Date.now();
+  const interval = Math.min(
+    Math.max(untilExpected / 4, MIN_INTERVAL_MS) * loadFactor(),
+    MAX_INTERVAL_MS
+  );
+
+  return {
+    stopPolling: false,
+    nextPollInMs: Math.round(interval),
+    expectedTransitionAt: new Date(expectedAt).toISOString(),
+  };
+}
+
+/**
+ * Set Retry-After from a hint (nothing for finished orders)
+ */
+function setPollingHeaders(res, hint) {
+  if (!hint.stopPolling) {
+    res.set('Retry-After', String(Math.ceil(hint.nextPollInMs / 1000)));
+  }
+}
+
+module.exports = {
+  pollingHint,
+  setPollingHeaders,
+};
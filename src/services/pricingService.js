@@ -0,0 +1,267 @@
+const { query } = require('../config/database');
+const { getOptionGroups, priceSelection } = require('./menuOptionService');
+
+// Order pricing
+// Turns a basket into an itemised price for both POST /api/orders/quote and
+// POST /api/orders, so a quote always matches the order it previews. Every
+// amount is an integer number of cents, and
+//   total = subtotal + delivery fee + service fee + tax - discount + tip
+// holds exactly (orders has a CHECK for it), so receipts and restaurant
+// payouts reconcile. Tax is charged on the discounted subtotal at the rate
+// of the delivery city. Given a transaction client it reads inside the
+// order's transaction.
+
+const MAX_QUANTITY = 99;
+const MAX_TIP_CENTS = 100000;
+
+const DELIVERY_FEE_CENTS = parseCents(process.env.DELIVERY_FEE_CENTS, 299);
+const SERVICE_FEE_PERCENT = parseRate(process.env.SERVICE_FEE_PERCENT, 5);
+const SERVICE_FEE_MIN_CENTS = parseCents(process.env.SERVICE_FEE_MIN_CENTS, 99);
+
+// TAX_RATES="New York:8.875,Chicago:10.25" (percent, by delivery city)
+const TAX_RATES = parseTaxRates(process.env.TAX_RATES);
+const DEFAULT_TAX_RATE = parseRate(process.env.DEFAULT_TAX_RATE_PERCENT, 0);
+
+function pricingError(statusCode, message) {
+  const error = new Error(message);
+  error.name = 'PricingError';
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Price a basket at a restaurant, applying a coupon code if one is given.
+ * Returns { restaurant, items, breakdown, coupon, couponError }; a coupon
+ * that doesn't apply leaves couponError set and no discount. Throws a
+ * PricingError (400/404) for baskets that can't be ordered.
+ */
+async function priceOrder(
+  { userId, restaurantId, items, couponCode, city, tipCents = 0 },
+  client
+) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  if (!restaurantId || !Array.isArray(items) || items.length === 0) {
+    throw pricingError(400, 'Restaurant ID and items are required');
+  }
+
+  if (!items.every(isItem)) {
+    throw pricingError(
+      400,
+      'Each item must be an object with a menuItemId and quantity'
+    );
+  }
+
+  if (!Number.isInteger(tipCents) || tipCents < 0 || tipCents > MAX_TIP_CENTS) {
+    throw pricingError(
+      400,
+      `tipCents must be a whole number of cents from 0 to ${MAX_TIP_CENTS}`
+    );
+  }
+
+  // Only approved, active restaurants can take orders
+  const restaurantResult = await runQuery(
+    `SELECT id, name, cuisine_type FROM restaurants
+     WHERE id = $1 AND is_active = true AND approval_status = 'approved'`,
+    [restaurantId]
+  );
+
+  if (restaurantResult.rows.length === 0) {
+    throw pricingError(404, 'Restaurant not found or not accepting orders');
+  }
+
+  const restaurant = restaurantResult.rows[0];
+  const optionGroups = await getOptionGroups(
+    items.map((item) => item.menuItemId),
+    client
+  );
+
+  let subtotalCents = 0;
+  const pricedItems = [];
+
+  for (const item of items) {
+    if (
+      !Number.isInteger(item.quantity) ||
+      item.quantity < 1 ||
+      item.quantity > MAX_QUANTITY
+    ) {
+      throw pricingError(
+        400,
+        `Quantity must be a whole number from 1 to ${MAX_QUANTITY}`
+      );
+    }
+
+    const menuItemResult = await runQuery(
+      `SELECT id, price, name FROM menu_items
+       WHERE id = $1 AND restaurant_id = $2 AND is_available = true`,
+      [item.menuItemId, restaurant.id]
+    );
+
+    if (menuItemResult.rows.length === 0) {
+      throw pricingError(
+        400,
+        `Menu item ${item.menuItemId} not found or unavailable`
+      );
+    }
+
+    const menuItem = menuItemResult.rows[0];
+
+    // Required groups, selection limits and price deltas
+    const selection = priceSelection(
+      optionGroups.get(menuItem.id) || [],
+      item.modifiers
+    );
+    if (selection.error) {
+      throw pricingError(400, `${menuItem.name}: ${selection.error}`);
+    }
+
+    const unitPriceCents =
+      toCents(menuItem.price) + toCents(selection.priceDelta);
+    // Discount modifiers can't take an item below free
+    if (unitPriceCents < 0) {
+      throw pricingError(
+        400,
+        `${menuItem.name}: the chosen options would make the price negative`
+      );
+    }
+    subtotalCents += unitPriceCents * item.quantity;
+
+    pricedItems.push({
+      menuItemId: menuItem.id,
+      name: menuItem.name,
+      quantity: item.quantity,
+      unitPriceCents,
+      totalCents: unitPriceCents * item.quantity,
+      modifiers: selection.modifiers,
+    });
+  }
+
+  let coupon = null;
+  let couponError = null;
+  let discountCents = 0;
+
+  if (couponCode) {
+    // Required here: couponService needs toCents from this module
+    const { evaluateCoupon } = require('./couponService');
+    const evaluation = await evaluateCoupon(
+      { code: couponCode, userId, restaurant, subtotalCents },
+      client
+    );
+
+    if (evaluation.error) {
+      couponError = evaluation.error;
+    } else {
+      coupon = evaluation.coupon;
+      discountCents = evaluation.discountCents;
+    }
+  }
+
+  const taxRatePercent = taxRateFor(city);
+  const serviceFeeCents = Math.max(
+    Math.round((subtotalCents * SERVICE_FEE_PERCENT) / 100),
+    SERVICE_FEE_MIN_CENTS
+  );
+  const taxCents = Math.round(
+    ((subtotalCents - discountCents) * taxRatePercent) / 100
+  );
+
+  const breakdown = {
+    subtotalCents,
+    deliveryFeeCents: DELIVERY_FEE_CENTS,
+    serviceFeeCents,
+    taxCents,
+    taxRatePercent,
+    discountCents,
+    tipCents,
+  };
+  breakdown.totalCents =
+    subtotalCents +
+    DELIVERY_FEE_CENTS +
+    serviceFeeCents +
+    taxCents -
+    discountCents +
+    tipCents;
+
+  return {
+    restaurant,
+    items: pricedItems,
+    breakdown,
+    coupon,
+    couponError,
+  };
+}
+
+/**
+ * An order's stored price breakdown, from a row with the *_cents columns
+ */
+function formatPriceBreakdown(row) {
+  return {
+    subtotalCents: row.subtotal_cents,
+    deliveryFeeCents: row.delivery_fee_cents,
+    serviceFeeCents: row.service_fee_cents,
+    taxCents: row.tax_cents,
+    taxRatePercent: parseFloat(row.tax_rate_percent),
+    discountCents: row.discount_cents,
+    tipCents: row.tip_cents,
+    totalCents: row.total_cents,
+  };
+}
+
+/**
+ * Convert a DECIMAL amount to integer cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+// Helper function to check a basket entry is an item object
+function isItem(item) {
+  return (
+    item !== null &&
+    typeof item === 'object' &&
+    !Array.isArray(item) &&
+    item.menuItemId !== undefined
+  );
+}
+
+// Helper function to look up a delivery city's tax rate
+function taxRateFor(city) {
+  const key = city ? city.trim().toLowerCase() : '';
+  return TAX_RATES.has(key) ? TAX_RATES.get(key) : DEFAULT_TAX_RATE;
+}
+
+// Helper function to read "City:rate,City:rate" into a Map
+function parseTaxRates(value) {
+  const rates = new Map();
+
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.lastIndexOf(':');
+    if (separator === -1) continue;
+
+    const city = entry.slice(0, separator).trim().toLowerCase();
+    const rate = parseRate(entry.slice(separator + 1), null);
+    if (city && rate !== null) {
+      rates.set(city, rate);
+    }
+  }
+
+  return rates;
+}
+
+// Helper function to read a 0-100 percentage
+function parseRate(value, fallback) {
+  const rate = parseFloat(value);
+  return rate >= 0 && rate <= 100 ? rate : fallback;
+}
+
+// Helper function to read a non-negative number of cents
+function parseCents(value, fallback) {
+  const cents = parseInt(value);
+  return cents >= 0 ? cents : fallback;
+}
+
+module.exports = {
+  priceOrder,
+  formatPriceBreakdown,
+  toCents,
+};
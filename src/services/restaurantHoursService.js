@@ -0,0 +1,214 @@
+const { query } = require('../config/database');
+
+// Restaurant opening hours
+// Weekly opening windows in the restaurant's own time zone (day 0 = Sunday,
+// times as HH:MM, closesAt may be 24:00). A day can have several windows
+// (lunch and dinner); a day without windows is closed. Restaurants that
+// haven't set any hours are treated as always open.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/**
+ * Validate and normalise opening hours input. Returns { timezone, hours }
+ * or { error }.
+ */
+function validateHours(input) {
+  const timezone = input.timezone || 'UTC';
+  if (!isTimeZone(timezone)) {
+    return { error: 'timezone must be an IANA time zone, e.g. Europe/Paris' };
+  }
+
+  if (!Array.isArray(input.hours)) {
+    return { error: 'hours must be an array' };
+  }
+
+  const hours = [];
+
+  for (const [index, window] of input.hours.entries()) {
+    const label = `hours[${index}]`;
+
+    if (
+      !window ||
+      !Number.isInteger(window.dayOfWeek) ||
+      window.dayOfWeek < 0 ||
+      window.dayOfWeek > 6
+    ) {
+      return { error: `${label}.dayOfWeek must be 0 (Sunday) to 6` };
+    }
+    if (
+      !TIME_PATTERN.test(window.opensAt) ||
+      !TIME_PATTERN.test(window.closesAt)
+    ) {
+      return { error: `${label}: opensAt and closesAt must be HH:MM` };
+    }
+
+    const opens = toMinutes(window.opensAt);
+    const closes = toMinutes(window.closesAt);
+    if (closes <= opens) {
+      return { error: `${label}: closesAt must be after opensAt` };
+    }
+
+    const overlaps = hours.some(
+      (other) =>
+        other.dayOfWeek === window.dayOfWeek &&
+        opens < toMinutes(other.closesAt) &&
+        toMinutes(other.opensAt) < closes
+    );
+    if (overlaps) {
+      return { error: `${label} overlaps another window on the same day` };
+    }
+
+    hours.push({
+      dayOfWeek: window.dayOfWeek,
+      opensAt: window.opensAt,
+      closesAt: window.closesAt,
+    });
+  }
+
+  return { timezone, hours };
+}
+
+/**
+ * A restaurant's time zone and opening windows, ordered by day and time.
+ * Returns null for unknown restaurants. Inside a transaction the restaurant
+ * row is share-locked, so replaceOpeningHours waits until it commits.
+ */
+async function getOpeningHours(restaurantId, client) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const restaurantResult = await runQuery(
+    `SELECT id, timezone FROM restaurants WHERE id = $1${client ? ' FOR SHARE' : ''}`,
+    [restaurantId]
+  );
+
+  if (restaurantResult.rows.length === 0) {
+    return null;
+  }
+
+  const hoursResult = await runQuery(
+    `SELECT day_of_week, to_char(opens_at, 'HH24:MI') as opens_at,
+            to_char(closes_at, 'HH24:MI') as closes_at
+     FROM restaurant_hours
+     WHERE restaurant_id = $1
+     ORDER BY day_of_week, opens_at`,
+    [restaurantId]
+  );
+
+  return {
+    timezone: restaurantResult.rows[0].timezone,
+    hours: hoursResult.rows.map((row) => ({
+      dayOfWeek: row.day_of_week,
+      day: DAY_NAMES[row.day_of_week],
+      opensAt: row.opens_at,
+      // to_char renders 24:00 as 00:00
+      closesAt: row.closes_at === '00:00' ? '24:00' : row.closes_at,
+    })),
+  };
+}
+
+/**
+ * Replace a restaurant's time zone and opening windows (inside the caller's
+ * transaction)
+ */
+async function replaceOpeningHours(client, restaurantId, { timezone, hours }) {
+  await client.query(
+    `UPDATE restaurants SET timezone = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [timezone, restaurantId]
+  );
+  await client.query('DELETE FROM restaurant_hours WHERE restaurant_id = $1', [
+    restaurantId,
+  ]);
+
+  for (const window of hours) {
+    await client.query(
+      `INSERT INTO restaurant_hours (restaurant_id, day_of_week, opens_at, closes_at)
+       VALUES ($1, $2, $3, $4)`,
+      [restaurantId, window.dayOfWeek, window.opensAt, window.closesAt]
+    );
+  }
+}
+
+/**
+ * Is the restaurant open for the whole of [from, until]? Both ends must fall
+ * in the same opening window. Always true when no hours are set.
+ */
+function isOpenBetween(openingHours, from, until) {
+  if (openingHours.hours.length === 0) {
+    return true;
+  }
+
+  const start = localTime(from, openingHours.timezone);
+  let end = localTime(until, openingHours.timezone);
+
+  // Ending exactly at midnight is 24:00 of the start day, so a 24:00 close
+  // still counts
+  if (
+    end.minutes === 0 &&
+    until.getTime() % 60000 === 0 &&
+    until.getTime() - from.getTime() <= 24 * 60 * 60 * 1000 &&
+    end.dayOfWeek === (start.dayOfWeek + 1) % 7
+  ) {
+    end = { dayOfWeek: start.dayOfWeek, minutes: 24 * 60 };
+  }
+
+  // Otherwise a window never spans midnight
+  if (start.dayOfWeek !== end.dayOfWeek) {
+    return false;
+  }
+
+  return openingHours.hours.some(
+    (window) =>
+      window.dayOfWeek === start.dayOfWeek &&
+      toMinutes(window.opensAt) <= start.minutes &&
+      end.minutes <= toMinutes(window.closesAt)
+  );
+}
+
+// Helper function to get the weekday and minutes past midnight of a moment
+// in a time zone
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    dayOfWeek: DAY_NAMES.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+  };
+}
+
+// Helper function to convert HH:MM to minutes past midnight
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+// Helper function to check a time zone name
+function isTimeZone(timeZone) {
+  if (typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  validateHours,
+  getOpeningHours,
+  replaceOpeningHours,
+  isOpenBetween,
+};
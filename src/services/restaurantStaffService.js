@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Restaurant staff memberships
+// A restaurant login (user_type = 'restaurant') can belong to one or more
+// restaurants with a role. restaurants.user_id stays as the original owner.
+
+const STAFF_ROLES = ['owner', 'manager', 'kitchen', 'cashier'];
+
+// Roles each role may invite, change or remove
+const MANAGEABLE_ROLES = {
+  owner: ['owner', 'manager', 'kitchen', 'cashier'],
+  manager: ['kitchen', 'cashier'],
+  kitchen: [],
+  cashier: [],
+};
+
+const INVITE_TTL_HOURS = 72;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const canManageRole = (actorRole, targetRole) =>
+  (MANAGEABLE_ROLES[actorRole] || []).includes(targetRole);
+
+/**
+ * All restaurants a user works at, with their role
+ */
+async function getMemberships(userId) {
+  const result = await query(
+    `SELECT rs.restaurant_id, rs.role, r.name as restaurant_name
+     FROM restaurant_staff rs
+     JOIN restaurants r ON rs.restaurant_id = r.id
+     WHERE rs.user_id = $1 AND r.is_active = true
+     ORDER BY rs.created_at ASC`,
+    [userId]
+  );
+
+  return result.rows.map((row) => ({
+    restaurantId: row.restaurant_id,
+    restaurantName: row.restaurant_name,
+    role: row.role,
+  }));
+}
+
+/**
+ * A user's membership at one restaurant, or null
+ */
+async function getMembership(userId, restaurantId) {
+  const memberships = await getMemberships(userId);
+  return (
+    memberships.find(
+      (membership) => String(membership.restaurantId) === String(restaurantId)
+    ) || null
+  );
+}
+
+/**
+ * Create an invite and return the raw token (only the hash is stored)
+ */
+async function createInvite({ restaurantId, email, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // A newer invite for the same email replaces any pending one
+  await query(
+    `DELETE FROM restaurant_staff_invites
+     WHERE restaurant_id = $1 AND email = $2 AND accepted_at IS NULL`,
+    [restaurantId, email]
+  );
+
+  const result = await query(
+    `INSERT INTO restaurant_staff_invites (restaurant_id, email, role, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' hours')::interval)
+     RETURNING id, restaurant_id, email, role, expires_at, created_at`,
+    [restaurantId, email, role, hashToken(token), invitedBy, INVITE_TTL_HOURS]
+  );
+
+  return { invite: result.rows[0], token };
+}
+
+/**
+ * Mark a pending invite accepted (inside the caller's transaction)
+ * Returns the invite, or null when unknown/expired/used.
+ */
+async function consumeInvite(client, token) {
+  const result = await client.query(
+    `UPDATE restaurant_staff_invites SET accepted_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING id, restaurant_id, email, role`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  STAFF_ROLES,
+  canManageRole,
+  getMemberships,
+  getMembership,
+  createInvite,
+  consumeInvite,
+};
@@ -0,0 +1,543 @@
+const { query } = require('../config/database');
+
+// Ratings and reviews
+// After delivery the customer can rate the food (a restaurant review) and
+// the driver (a driver review) separately - stars, tags and a comment, once
+// each per order, within REVIEW_WINDOW_DAYS of delivery. Restaurants can
+// reply to their reviews. Restaurants and drivers can report a review as
+// abusive; support hides or restores it. Hidden reviews drop out of
+// listings and of the rating summaries, which keep a running total and
+// count per restaurant / driver so they stay correct under concurrent
+// reviews.
+
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS) || 7;
+const TEXT_MAX_LENGTH = 1000;
+
+const REVIEW_SUBJECTS = ['restaurant', 'driver'];
+
+// Tags a customer can pick, by what they're rating
+const REVIEW_TAGS = {
+  restaurant: [
+    'tasty',
+    'fresh',
+    'hot',
+    'good_portions',
+    'well_packaged',
+    'cold',
+    'missing_items',
+    'wrong_items',
+    'poor_packaging',
+  ],
+  driver: [
+    'friendly',
+    'fast',
+    'careful_handling',
+    'followed_instructions',
+    'late',
+    'rude',
+    'damaged_food',
+    'hard_to_contact',
+  ],
+};
+
+const MODERATION_STATUSES = ['visible', 'reported', 'hidden'];
+
+// Largest page a review list returns
+const MAX_PAGE_SIZE = 100;
+
+const REVIEW_FIELDS = `r.id, r.order_id, r.customer_id, r.subject_type, r.restaurant_id,
+  r.driver_id, r.rating, r.tags, r.comment, r.reply, r.replied_at, r.moderation_status,
+  r.report_reason, r.reported_at, r.moderation_reason, r.moderated_at, r.created_at`;
+
+function reviewError(statusCode, message) {
+  const error = new Error(message);
+  error.name = 'ReviewError';
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Validate and normalise one rating (food or driver).
+ * Returns { review } or { error }.
+ */
+function validateReview(input, subjectType) {
+  const label = subjectType === 'driver' ? 'driver' : 'food';
+
+  if (!input || typeof input !== 'object') {
+    return { error: `${label} must be an object` };
+  }
+  if (!Number.isInteger(input.rating) || input.rating < 1 || input.rating > 5) {
+    return {
+      error: `${label}.rating must be a whole number of stars from 1 to 5`,
+    };
+  }
+
+  const tags = input.tags === undefined ? [] : input.tags;
+  if (!Array.isArray(tags)) {
+    return { error: `${label}.tags must be an array` };
+  }
+  const unknownTag = tags.find(
+    (tag) => !REVIEW_TAGS[subjectType].includes(tag)
+  );
+  if (unknownTag !== undefined) {
+    return {
+      error: `${label}.tags must be from: ${REVIEW_TAGS[subjectType].join(', ')}`,
+    };
+  }
+
+  const comment = input.comment ? String(input.comment).trim() : null;
+  if (comment && comment.length > TEXT_MAX_LENGTH) {
+    return {
+      error: `${label}.comment must be at most ${TEXT_MAX_LENGTH} characters`,
+    };
+  }
+
+  return {
+    review: {
+      rating: input.rating,
+      tags: [...new Set(tags)],
+      comment: comment || null,
+    },
+  };
+}
+
+/**
+ * A customer's order with what can still be reviewed. Returns null when the
+ * order isn't theirs. reviewableUntil is null until the order is delivered.
+ */
+async function getReviewStatus(orderId, customerId, client) {
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const result = await runQuery(
+    `SELECT o.id, o.customer_id, o.restaurant_id, o.driver_id, o.status,
+            (SELECT e.created_at FROM order_events e
+             WHERE e.order_id = o.id AND e.to_status = 'delivered'
+             ORDER BY e.id DESC LIMIT 1) as delivered_at
+     FROM orders o
+     WHERE o.id = $1 AND o.customer_id = $2`,
+    [orderId, customerId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const order = result.rows[0];
+
+  const reviewsResult = await runQuery(
+    `SELECT ${REVIEW_FIELDS} FROM reviews r
+     WHERE r.order_id = $1
+     ORDER BY r.id`,
+    [order.id]
+  );
+
+  let reviewableUntil = null;
+  if (order.status === 'delivered' && order.delivered_at) {
+    reviewableUntil = new Date(
+      new Date(order.delivered_at).getTime() +
+        REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    );
+  }
+
+  const windowOpen = Boolean(reviewableUntil) && reviewableUntil > new Date();
+  const reviewed = reviewsResult.rows.map((review) => review.subject_type);
+
+  return {
+    order,
+    reviews: reviewsResult.rows,
+    reviewableUntil,
+    canReview: {
+      restaurant: windowOpen && !reviewed.includes('restaurant'),
+      driver:
+        windowOpen && Boolean(order.driver_id) && !reviewed.includes('driver'),
+    },
+  };
+}
+
+/**
+ * Store a customer's food and/or driver reviews for an order (inside the
+ * caller's transaction) and add them to the rating summaries. Throws a
+ * ReviewError (404/409) when the order can't take them.
+ */
+async function createReviews(client, { orderId, customerId, reviews }) {
+  const status = await getReviewStatus(orderId, customerId, client);
+
+  if (!status) {
+    throw reviewError(404, 'Order not found');
+  }
+  if (!status.reviewableUntil) {
+    throw reviewError(409, 'Orders can only be reviewed once delivered');
+  }
+  if (status.reviewableUntil <= new Date()) {
+    throw reviewError(
+      409,
+      `Reviews must be left within ${REVIEW_WINDOW_DAYS} days of delivery`
+    );
+  }
+
+  const { order } = status;
+  const created = [];
+
+  for (const subjectType of REVIEW_SUBJECTS) {
+    const review = reviews[subjectType];
+    if (!review) continue;
+
+    if (subjectType === 'driver' && !order.driver_id) {
+      throw reviewError(409, 'This order had no driver to review');
+    }
+
+    let result;
+    try {
+      result = await client.query(
+        `INSERT INTO reviews (order_id, customer_id, subject_type, restaurant_id, driver_id,
+                              rating, tags, comment)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [
+          order.id,
+          customerId,
+          subjectType,
+          order.restaurant_id,
+          subjectType === 'driver' ? order.driver_id : null,
+          review.rating,
+          review.tags,
+          review.comment,
+        ]
+      );
+    } catch (error) {
+      // unique_violation on (order_id, subject_type)
+      if (error.code === '23505') {
+        throw reviewError(
+          409,
+          `You have already reviewed this order's ${subjectType === 'driver' ? 'driver' : 'food'}`
+        );
+      }
+      throw error;
+    }
+
+    await adjustSummary(client, {
+      subjectType,
+      subjectId:
+        subjectType === 'driver' ? order.driver_id : order.restaurant_id,
+      rating: review.rating,
+      direction: 1,
+    });
+
+    created.push(result.rows[0].id);
+  }
+
+  const saved = await client.query(
+    `SELECT ${REVIEW_FIELDS} FROM reviews r
+     WHERE r.id = ANY($1::int[])
+     ORDER BY r.id`,
+    [created]
+  );
+  return saved.rows;
+}
+
+/**
+ * Page and limit from a review list's query string, as positive integers
+ * (limit capped at MAX_PAGE_SIZE). Returns { page, limit }.
+ */
+function parsePagination({ page, limit }, defaultLimit) {
+  return {
+    page: Math.max(parseInt(page) || 1, 1),
+    limit: Math.min(
+      Math.max(parseInt(limit) || defaultLimit, 1),
+      MAX_PAGE_SIZE
+    ),
+  };
+}
+
+/**
+ * Reviews of a restaurant or driver, newest first, without hidden ones.
+ * Returns { reviews, totalCount }.
+ */
+async function listReviews({ subjectType, subjectId, page = 1, limit = 20 }) {
+  const subjectColumn =
+    subjectType === 'driver' ? 'r.driver_id' : 'r.restaurant_id';
+  const where = `WHERE r.subject_type = $1 AND ${subjectColumn} = $2
+                 AND r.moderation_status <> 'hidden'`;
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM reviews r ${where}`,
+    [subjectType, subjectId]
+  );
+
+  const offset = (page - 1) * limit;
+  const result = await query(
+    `SELECT ${REVIEW_FIELDS}, c.first_name as customer_first_name
+     FROM reviews r
+     LEFT JOIN users c ON r.customer_id = c.id
+     ${where}
+     ORDER BY r.created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [subjectType, subjectId, parseInt(limit), offset]
+  );
+
+  return {
+    reviews: result.rows,
+    totalCount: parseInt(countResult.rows[0].total),
+  };
+}
+
+/**
+ * Reviews in a moderation status for support, oldest report first.
+ * Returns { reviews, totalCount }.
+ */
+async function listModerationQueue({
+  status = 'reported',
+  page = 1,
+  limit = 50,
+}) {
+  const countResult = await query(
+    'SELECT COUNT(*) as total FROM reviews r WHERE r.moderation_status = $1',
+    [status]
+  );
+
+  const offset = (page - 1) * limit;
+  const result = await query(
+    `SELECT ${REVIEW_FIELDS}, rest.name as restaurant_name
+     FROM reviews r
+     LEFT JOIN restaurants rest ON r.restaurant_id = rest.id
+     WHERE r.moderation_status = $1
+     ORDER BY COALESCE(r.reported_at, r.created_at) ASC
+     LIMIT $2 OFFSET $3`,
+    [status, parseInt(limit), offset]
+  );
+
+  return {
+    reviews: result.rows,
+    totalCount: parseInt(countResult.rows[0].total),
+  };
+}
+
+/**
+ * Average stars and review count for a restaurant or driver
+ */
+async function getRatingSummary(subjectType, subjectId) {
+  const result = await query(
+    `SELECT rating_total, rating_count FROM rating_summaries
+     WHERE subject_type = $1 AND subject_id = $2`,
+    [subjectType, subjectId]
+  );
+
+  return formatSummary(result.rows[0]);
+}
+
+/**
+ * Set or replace a restaurant's reply to one of its reviews.
+ * Throws a ReviewError (404) for reviews it can't reply to.
+ */
+async function replyToReview({ reviewId, restaurantId, reply, repliedBy }) {
+  const text = reply ? String(reply).trim() : '';
+  if (!text || text.length > TEXT_MAX_LENGTH) {
+    throw reviewError(
+      400,
+      `reply is required (at most ${TEXT_MAX_LENGTH} characters)`
+    );
+  }
+
+  const result = await query(
+    `UPDATE reviews r
+     SET reply = $1, replied_by = $2, replied_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE r.id = $3 AND r.subject_type = 'restaurant' AND r.restaurant_id = $4
+       AND r.moderation_status <> 'hidden'
+     RETURNING ${REVIEW_FIELDS}`,
+    [text, repliedBy, reviewId, restaurantId]
+  );
+
+  if (result.rows.length === 0) {
+    throw reviewError(404, 'Review not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Flag one of the subject's own reviews for support. Throws a ReviewError
+ * (404) when it isn't theirs or is already hidden.
+ */
+async function reportReview({
+  reviewId,
+  subjectType,
+  subjectId,
+  reason,
+  reportedBy,
+}) {
+  const text = reason ? String(reason).trim() : '';
+  if (!text || text.length > TEXT_MAX_LENGTH) {
+    throw reviewError(
+      400,
+      `reason is required (at most ${TEXT_MAX_LENGTH} characters)`
+    );
+  }
+
+  const subjectColumn =
+    subjectType === 'driver' ? 'r.driver_id' : 'r.restaurant_id';
+
+  const result = await query(
+    `UPDATE reviews r
+     SET moderation_status = 'reported', report_reason = $1, reported_by = $2,
+         reported_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE r.id = $3 AND r.subject_type = $4 AND ${subjectColumn} = $5
+       AND r.moderation_status <> 'hidden'
+     RETURNING ${REVIEW_FIELDS}`,
+    [text, reportedBy, reviewId, subjectType, subjectId]
+  );
+
+  if (result.rows.length === 0) {
+    throw reviewError(404, 'Review not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Hide an abusive review, or restore it (which also dismisses a report),
+ * inside the caller's transaction, keeping the rating summaries in step.
+ * Throws a ReviewError (400/404/409).
+ */
+async function moderateReview(
+  client,
+  { reviewId, action, reason, moderatedBy }
+) {
+  if (!['hide', 'restore'].includes(action)) {
+    throw reviewError(400, 'action must be hide or restore');
+  }
+  if (action === 'hide' && !reason) {
+    throw reviewError(400, 'A reason is required to hide a review');
+  }
+
+  const current = await client.query(
+    `SELECT ${REVIEW_FIELDS} FROM reviews r WHERE r.id = $1 FOR UPDATE`,
+    [reviewId]
+  );
+
+  if (current.rows.length === 0) {
+    throw reviewError(404, 'Review not found');
+  }
+
+  const review = current.rows[0];
+  const hide = action === 'hide';
+  const wasHidden = review.moderation_status === 'hidden';
+
+  if (hide && wasHidden) {
+    throw reviewError(409, 'Review is already hidden');
+  }
+  if (!hide && review.moderation_status === 'visible') {
+    throw reviewError(409, 'Review is neither reported nor hidden');
+  }
+
+  const updated = await client.query(
+    `UPDATE reviews r
+     SET moderation_status = $1, moderation_reason = $2, moderated_by = $3,
+         moderated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE r.id = $4
+     RETURNING ${REVIEW_FIELDS}`,
+    [hide ? 'hidden' : 'visible', reason || null, moderatedBy, reviewId]
+  );
+
+  // Dismissing a report leaves the rating counted as it was; a review whose
+  // restaurant or driver was deleted has no summary left to adjust
+  if ((hide || wasHidden) && subjectIdOf(review)) {
+    await adjustSummary(client, {
+      subjectType: review.subject_type,
+      subjectId: subjectIdOf(review),
+      rating: review.rating,
+      direction: hide ? -1 : 1,
+    });
+  }
+
+  return updated.rows[0];
+}
+
+/**
+ * Shape a review row for API responses, for one audience:
+ *   customer  - the reviewer (the default)
+ *   subject   - the restaurant or driver reviewed; restaurants also see the
+ *               customer's first name, drivers see no customer details
+ *   moderator - support, with the report and moderation notes
+ */
+function formatReview(row, audience = 'customer') {
+  const review = {
+    id: row.id,
+    orderId: row.order_id,
+    subjectType: row.subject_type,
+    restaurantId: row.restaurant_id,
+    driverId: row.driver_id,
+    rating: row.rating,
+    tags: row.tags,
+    comment: row.comment,
+    reply: row.reply,
+    repliedAt: row.replied_at,
+    moderationStatus: row.moderation_status,
+    createdAt: row.created_at,
+  };
+
+  if (audience === 'subject' && row.subject_type === 'restaurant') {
+    review.customerName = row.customer_first_name || null;
+  }
+
+  if (audience === 'moderator') {
+    return {
+      ...review,
+      customerId: row.customer_id,
+      reportReason: row.report_reason,
+      reportedAt: row.reported_at,
+      moderationReason: row.moderation_reason,
+      moderatedAt: row.moderated_at,
+    };
+  }
+
+  return review;
+}
+
+// Helper function to add (1) or remove (-1) a rating from a summary
+async function adjustSummary(
+  client,
+  { subjectType, subjectId, rating, direction }
+) {
+  await client.query(
+    `INSERT INTO rating_summaries (subject_type, subject_id, rating_total, rating_count)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (subject_type, subject_id) DO UPDATE
+     SET rating_total = rating_summaries.rating_total + EXCLUDED.rating_total,
+         rating_count = rating_summaries.rating_count + EXCLUDED.rating_count,
+         updated_at = CURRENT_TIMESTAMP`,
+    [subjectType, subjectId, rating * direction, direction]
+  );
+}
+
+// Helper function to get the restaurant or driver a review is about
+function subjectIdOf(row) {
+  return row.subject_type === 'driver' ? row.driver_id : row.restaurant_id;
+}
+
+// Helper function to shape a rating_summaries row
+function formatSummary(row) {
+  const count = row ? row.rating_count : 0;
+  return {
+    averageRating:
+      count > 0 ? Math.round((row.rating_total / count) * 100) / 100 : null,
+    ratingCount: count,
+  };
+}
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  REVIEW_SUBJECTS,
+  REVIEW_TAGS,
+  MODERATION_STATUSES,
+  REVIEW_FIELDS,
+  validateReview,
+  getReviewStatus,
+  createReviews,
+  parsePagination,
+  listReviews,
+  listModerationQueue,
+  getRatingSummary,
+  replyToReview,
+  reportReview,
+  moderateReview,
+  formatReview,
+};
@@ -0,0 +1,140 @@
+const { query } = require('../config/database');
+const { transitionOrder } = require('./orderLifecycleService');
+const { getOpeningHours, isOpenBetween } = require('./restaurantHoursService');
+
+// Scheduled orders
+// A customer can order ahead for a delivery time (scheduledFor). The order
+// waits in the `scheduled` status, invisible to the kitchen and drivers,
+// until its release time (scheduledFor minus the lead time). The scheduler
+// then moves it to `confirmed` through the lifecycle, which alerts the
+// restaurant room like a new order; from there it follows the normal flow
+// into the driver pool. Every instance runs the scheduler - the lifecycle's
+// row lock makes sure each order is released once.
+
+const LEAD_MINUTES = parseInt(process.env.SCHEDULED_ORDER_LEAD_MINUTES) || 45;
+const MAX_DAYS_AHEAD = parseInt(process.env.SCHEDULED_ORDER_MAX_DAYS) || 7;
+const SCHEDULER_INTERVAL_MS =
+  parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000;
+
+// Orders released per run; the rest wait for the next tick
+const RELEASE_BATCH_SIZE = 50;
+
+// The scheduler acts as the system, not as a user
+const SCHEDULER_ACTOR = {
+  userId: null,
+  userType: 'system',
+  restaurant: null,
+  apiKeyId: null,
+};
+
+/**
+ * Check a requested delivery time against the lead time, how far ahead
+ * orders can be placed, and the restaurant's opening hours (the kitchen
+ * must be open from release until delivery).
+ * Returns { scheduledFor, releaseAt }, { error, openingHours } or null for
+ * unknown restaurants. Given the order's transaction client, the hours are
+ * read (and held) inside it.
+ */
+async function planScheduledDelivery(restaurantId, requestedTime, client) {
+  const scheduledFor = new Date(requestedTime);
+  if (
+    typeof requestedTime !== 'string' ||
+    Number.isNaN(scheduledFor.getTime())
+  ) {
+    return { error: 'scheduledFor must be an ISO 8601 date-time' };
+  }
+
+  const now = Date.now();
+  if (scheduledFor.getTime() < now + LEAD_MINUTES * 60 * 1000) {
+    return {
+      error: `scheduledFor must be at least ${LEAD_MINUTES} minutes from now; leave it out for immediate delivery`,
+    };
+  }
+  if (scheduledFor.getTime() > now + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return {
+      error: `Orders can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`,
+    };
+  }
+
+  const openingHours = await getOpeningHours(restaurantId, client);
+  if (!openingHours) {
+    return null;
+  }
+
+  const releaseAt = new Date(scheduledFor.getTime() - LEAD_MINUTES * 60 * 1000);
+  if (!isOpenBetween(openingHours, releaseAt, scheduledFor)) {
+    return {
+      error: `The restaurant is closed then; it must be open from ${LEAD_MINUTES} minutes before the delivery time until the delivery time`,
+      openingHours,
+    };
+  }
+
+  return { scheduledFor, releaseAt };
+}
+
+/**
+ * Release every scheduled order whose release time has come.
+ * Returns the number of orders released by this instance.
+ */
+async function releaseDueOrders() {
+  const result = await query(
+    `SELECT id, scheduled_for FROM orders
+     WHERE status = 'scheduled' AND release_at <= CURRENT_TIMESTAMP
+     ORDER BY release_at ASC
+     LIMIT $1`,
+    [RELEASE_BATCH_SIZE]
+  );
+
+  let released = 0;
+
+  for (const order of result.rows) {
+    try {
+      await transitionOrder({
+        orderId: order.id,
+        toStatus: 'confirmed',
+        actor: SCHEDULER_ACTOR,
+        metadata: { scheduledFor: order.scheduled_for },
+      });
+      released++;
+    } catch (error) {
+      // Cancelled, or released by another instance, in the meantime
+      if (error.name === 'OrderTransitionError') continue;
+      console.error(`Failed to release scheduled order ${order.id}:`, error);
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Run releaseDueOrders on an interval. Returns the timer.
+ */
+function startOrderScheduler() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // A slow run must not overlap the next tick
+    if (running) return;
+    running = true;
+
+    try {
+      const released = await releaseDueOrders();
+      if (released > 0) {
+        console.log(`Released ${released} scheduled order(s)`);
+      }
+    } catch (error) {
+      console.error('Order scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+
+  console.log(`Order scheduler running every ${SCHEDULER_INTERVAL_MS}ms`);
+  return timer;
+}
+
+module.exports = {
+  planScheduledDelivery,
+  releaseDueOrders,
+  startOrderScheduler,
+};
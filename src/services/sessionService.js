@@ -0,0 +1,153 @@
+const { query } = require('../config/database');
+const { client } = require('../config/redis');
+const { revokeTokenFamily } = require('./tokenService');
+
+// Device sessions
+// One session per login: its id is the refresh token family id, so every
+// access/refresh token issued for that device belongs to it. Revoking a
+// session revokes the family (which also drops its sockets and SSE streams).
+
+// Don't write last_seen_at on every request
+const LAST_SEEN_RESOLUTION_SECONDS = 60;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Checked in order; first match wins
+const PLATFORMS = [
+  ['iPhone', 'iPhone'],
+  ['iPad', 'iPad'],
+  ['Android', 'Android'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+  ['okhttp', 'Android app'],
+  ['CFNetwork', 'iOS app'],
+  ['curl/', 'curl'],
+];
+
+/**
+ * Device details for a login request. Clients may name the device
+ * ({ deviceName }), otherwise one is guessed from the user agent.
+ */
+function describeDevice(req) {
+  const userAgent = req.get('user-agent') || null;
+  const named =
+    req.body && typeof req.body.deviceName === 'string'
+      ? req.body.deviceName.trim().slice(0, 100)
+      : '';
+
+  return {
+    deviceName: named || guessDeviceName(userAgent),
+    ipAddress: req.ip || null,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null,
+  };
+}
+
+/**
+ * A user's active sessions (not revoked, refresh token still valid),
+ * most recently used first
+ */
+async function listSessions(userId) {
+  const result = await query(
+    `SELECT s.id, s.device_name, s.ip_address, s.user_agent, s.created_at, s.last_seen_at
+     FROM user_sessions s
+     WHERE s.user_id = $1 AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.family_id = s.id AND rt.revoked_at IS NULL
+           AND rt.expires_at > CURRENT_TIMESTAMP
+       )
+     ORDER BY s.last_seen_at DESC`,
+    [userId]
+  );
+
+  return result.rows.map(formatSession);
+}
+
+/**
+ * Revoke one of the user's sessions. Returns false when it isn't theirs
+ * or is already revoked.
+ */
+async function revokeSession(userId, sessionId) {
+  if (!UUID_PATTERN.test(sessionId)) {
+    return false;
+  }
+
+  const result = await query(
+    `SELECT id FROM user_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeTokenFamily(sessionId, userId);
+  return true;
+}
+
+/**
+ * Record activity on a session, at most once per LAST_SEEN_RESOLUTION_SECONDS
+ */
+async function touchSession(sessionId, ipAddress) {
+  if (!sessionId) return;
+
+  const due = await client.set(`session_seen:${sessionId}`, '1', {
+    EX: LAST_SEEN_RESOLUTION_SECONDS,
+    NX: true,
+  });
+  if (!due) return;
+
+  await query(
+    `UPDATE user_sessions
+     SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, ipAddress || null]
+  );
+}
+
+// Helper function to name a device from its user agent
+function guessDeviceName(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const match = (list) => {
+    const entry = list.find(([needle]) => userAgent.includes(needle));
+    return entry ? entry[1] : null;
+  };
+  const browser = match(BROWSERS);
+  const platform = match(PLATFORMS);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+  return browser || platform || 'Unknown device';
+}
+
+// Helper function to shape a session row for API responses
+function formatSession(row) {
+  return {
+    id: row.id,
+    deviceName: row.device_name,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+  };
+}
+
+module.exports = {
+  describeDevice,
+  listSessions,
+  revokeSession,
+  touchSession,
+};
@@ -0,0 +1,127 @@
+const { isRevokedBy } = require('./tokenService');
+
+// Open Server-Sent Events streams, by user so a revoked session's streams
+// can be closed the same way its sockets are disconnected, and by order so
+// domain events (sockets/orderEventHandler.js) reach the customers following
+// that order on this instance.
+
+const streams = new Map(); // userId -> Set of { token, res }
+const orderStreams = new Map(); // orderId -> Set of res
+
+/**
+ * Track an SSE response opened with the request's access token, optionally
+ * following one order
+ */
+function registerStream(req, res, { orderId } = {}) {
+  const userId = req.user.id;
+  const stream = { token: req.token, res };
+  const orderKey = orderId && String(orderId);
+
+  if (orderKey) {
+    if (!orderStreams.has(orderKey)) {
+      orderStreams.set(orderKey, new Set());
+    }
+    orderStreams.get(orderKey).add(res);
+  }
+
+  if (!streams.has(userId)) {
+    streams.set(userId, new Set());
+  }
+  streams.get(userId).add(stream);
+
+  req.on('close', () => {
+    const userStreams = streams.get(userId);
+    if (userStreams) {
+      userStreams.delete(stream);
+      if (userStreams.size === 0) {
+        streams.delete(userId);
+      }
+    }
+
+    if (orderKey) {
+      const followers = orderStreams.get(orderKey);
+      if (followers) {
+        followers.delete(res);
+        if (followers.size === 0) {
+          orderStreams.delete(orderKey);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Write an event to every stream following an order on this instance
+ */
+function sendToOrderStreams(orderId, message) {
+  const followers = orderStreams.get(String(orderId));
+  if (!followers) return;
+
+  followers.forEach((res) => {
+    try {
+      res.write(`data: ${JSON.stringify(message)}\n\n`);
+    } catch (error) {
+      console.error('Failed to send SSE update:', error);
+      followers.delete(res);
+    }
+  });
+}
+
+/**
+ * Close the streams following a finished order, after a final message
+ */
+function endOrderStreams(orderId, message) {
+  const followers = orderStreams.get(String(orderId));
+  if (!followers) return;
+
+  followers.forEach((res) => {
+    try {
+      if (message) {
+        res.write(`data: ${JSON.stringify(message)}\n\n`);
+      }
+      res.end();
+    } catch (error) {
+      console.error('Failed to end SSE stream:', error);
+    }
+  });
+  orderStreams.delete(String(orderId));
+}
+
+/**
+ * Close this instance's streams covered by a token revocation event
+ */
+function endRevokedStreams(event) {
+  const userStreams = streams.get(event.userId);
+  if (!userStreams) return;
+
+  userStreams.forEach((stream) => {
+    if (!stream.token || !isRevokedBy(event, stream.token)) return;
+
+    try {
+      stream.res.write(
+        `data: ${JSON.stringify({
+          type: 'session_ended',
+          data: {
+            reason: 'token_revoked',
+            timestamp: new Date().toISOString(),
+          },
+        })}\n\n`
+      );
+      stream.res.end();
+    } catch (error) {
+      console.error('Failed to end SSE stream:', error);
+    }
+    userStreams.delete(stream);
+  });
+
+  if (userStreams.size === 0) {
+    streams.delete(event.userId);
+  }
+}
+
+module.exports = {
+  registerStream,
+  sendToOrderStreams,
+  endOrderStreams,
+  endRevokedStreams,
+};
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { setWithExpiry, get, publish } = require('../config/redis');
+
+// Short-lived access tokens (JWT) + rotating refresh tokens (opaque, hashed in Postgres)
+// Revocation list lives in Redis so every request/socket can check it cheaply
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
+
+// Revocations are broadcast here so live socket connections can be dropped
+const TOKEN_REVOCATION_CHANNEL = 'token-revocations';
+
+// Convert '15m', '7d', '3600' style durations to seconds
+function toSeconds(duration) {
+  const match = String(duration)
+    .trim()
+    .match(/^(\d+)\s*([smhd])?$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  const units = { s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * units[match[2] || 's'];
+}
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+function tokenError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Sign a short-lived access token. `familyId` ties it to the refresh token
+ * chain it was issued with, so revoking the family also kills the JWT.
+ */
+function signAccessToken(user, familyId) {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    userType: user.user_type,
+    fam: familyId,
+    // iat only has second precision; revocations compare against this
+    iatMs: Date.now(),
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: uuidv4(),
+  });
+}
+
+/**
+ * Issue an access token and a new refresh token.
+ * Pass `familyId` when rotating so reuse detection can revoke the whole chain.
+ * A new family is a new login: it gets a user_sessions row described by `device`.
+ */
+async function issueTokenPair(user, { familyId, client, device = {} } = {}) {
+  const family = familyId || uuidv4();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const refreshTtl = toSeconds(REFRESH_TOKEN_EXPIRES_IN);
+  const runQuery = client ? client.query.bind(client) : query;
+
+  if (!familyId) {
+    await runQuery(
+      `INSERT INTO user_sessions (id, user_id, device_name, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        family,
+        user.id,
+        device.deviceName || 'Unknown device',
+        device.ipAddress || null,
+        device.userAgent || null,
+      ]
+    );
+  }
+
+  await runQuery(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' seconds')::interval)`,
+    [user.id, hashToken(refreshToken), family, refreshTtl]
+  );
+
+  return {
+    token: signAccessToken(user, family),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresIn: REFRESH_TOKEN_EXPIRES_IN,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new pair. A refresh token can be used once;
+ * presenting an already-rotated token revokes the whole family.
+ */
+async function rotateRefreshToken(refreshToken, { ipAddress } = {}) {
+  const outcome = await transaction(async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.family_id, rt.revoked_at, rt.expires_at < CURRENT_TIMESTAMP as expired,
+              u.id as user_id, u.email, u.user_type, u.is_active
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    const row = result.rows[0];
+
+    if (row.revoked_at) {
+      // Reuse of a rotated token: assume it was stolen and kill the chain
+      await client.query(
+        `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE family_id = $1 AND revoked_at IS NULL`,
+        [row.family_id]
+      );
+      await client.query(
+        `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [row.family_id]
+      );
+      return {
+        error: 'Refresh token reuse detected',
+        reusedFamily: row.family_id,
+        userId: row.user_id,
+      };
+    }
+
+    if (row.expired) {
+      return { error: 'Refresh token expired' };
+    }
+
+    if (!row.is_active) {
+      return { error: 'Account deactivated' };
+    }
+
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [row.id]
+    );
+    await client.query(
+      `UPDATE user_sessions
+       SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+       WHERE id = $1`,
+      [row.family_id, ipAddress || null]
+    );
+
+    const user = {
+      id: row.user_id,
+      email: row.email,
+      user_type: row.user_type,
+    };
+    const tokens = await issueTokenPair(user, {
+      familyId: row.family_id,
+      client,
+    });
+
+    return { user, tokens };
+  });
+
+  if (outcome.reusedFamily) {
+    await markFamilyRevoked(outcome.reusedFamily, outcome.userId);
+  }
+
+  if (outcome.error) {
+    throw tokenError('RefreshTokenError', outcome.error);
+  }
+
+  return outcome;
+}
+
+async function markFamilyRevoked(familyId, userId) {
+  await setWithExpiry(
+    `revoked_token_family:${familyId}`,
+    true,
+    toSeconds(ACCESS_TOKEN_EXPIRES_IN)
+  );
+  await publish(TOKEN_REVOCATION_CHANNEL, { type: 'family', familyId, userId });
+}
+
+/**
+ * Revoke a single access token (by jti) until it would have expired anyway
+ */
+async function revokeAccessToken(decoded) {
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+  if (decoded.jti && ttl > 0) {
+    await setWithExpiry(`revoked_token:${decoded.jti}`, true, ttl);
+    await publish(TOKEN_REVOCATION_CHANNEL, {
+      type: 'token',
+      jti: decoded.jti,
+      userId: decoded.userId,
+    });
+  }
+}
+
+/**
+ * Revoke a refresh token family and every access token issued from it
+ */
+async function revokeTokenFamily(familyId, userId) {
+  if (!familyId) return;
+
+  await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId]
+  );
+  await query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [familyId]
+  );
+  await markFamilyRevoked(familyId, userId);
+}
+
+/**
+ * Revoke every token a user holds (password change, deactivation, "log out everywhere")
+ */
+async function revokeAllUserTokens(userId) {
+  await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  await query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  // Milliseconds, so a token issued right after this (like the fresh pair
+  // after a password change) is not caught by it
+  const revokedAt = Date.now();
+  await setWithExpiry(
+    `user_tokens_revoked_at:${userId}`,
+    revokedAt,
+    toSeconds(ACCESS_TOKEN_EXPIRES_IN)
+  );
+  await publish(TOKEN_REVOCATION_CHANNEL, { type: 'user', userId, revokedAt });
+}
+
+/**
+ * Does a published revocation event cover this (decoded) access token?
+ */
+function isRevokedBy(event, decoded) {
+  switch (event.type) {
+    case 'token':
+      return decoded.jti === event.jti;
+    case 'family':
+      return decoded.fam === event.familyId;
+    case 'user':
+      return issuedBefore(decoded, event.revokedAt);
+    default:
+      return false;
+  }
+}
+
+async function isAccessTokenRevoked(decoded) {
+  const [tokenRevoked, familyRevoked, userRevokedAt] = await Promise.all([
+    decoded.jti ? get(`revoked_token:${decoded.jti}`) : null,
+    decoded.fam ? get(`revoked_token_family:${decoded.fam}`) : null,
+    get(`user_tokens_revoked_at:${decoded.userId}`),
+  ]);
+
+  return Boolean(
+    tokenRevoked ||
+      familyRevoked ||
+      (userRevokedAt && issuedBefore(decoded, userRevokedAt))
+  );
+}
+
+/**
+ * Verify signature/expiry and check the revocation list.
+ * Throws jsonwebtoken errors, or a TokenRevokedError.
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (await isAccessTokenRevoked(decoded)) {
+    throw tokenError('TokenRevokedError', 'Token has been revoked');
+  }
+
+  return decoded;
+}
+
+// Helper function to tell whether a token was issued before a revocation
+// time (ms). Tokens without iatMs only know the second they were issued in,
+// so that whole second counts as before.
+function issuedBefore(decoded, revokedAt) {
+  if (decoded.iatMs) {
+    return decoded.iatMs < revokedAt;
+  }
+  return decoded.iat <= Math.floor(revokedAt / 1000);
+}
+
+module.exports = {
+  TOKEN_REVOCATION_CHANNEL,
+  toSeconds,
+  signAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  isRevokedBy,
+  isAccessTokenRevoked,
+  verifyAccessToken,
+};
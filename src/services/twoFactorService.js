@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { client, setWithExpiry, get, del } = require('../config/redis');
+
+// TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 6 digits, 30s steps)
+// Staff accounts can enrol an authenticator app; the policy below decides
+// who may and who must. Login becomes two steps: password, then a code (or
+// a single-use recovery code) presented with a short-lived challenge token.
+
+// User types that may enrol, and those that must (TWO_FACTOR_REQUIRED_USER_TYPES)
+const TWO_FACTOR_USER_TYPES = ['restaurant', 'driver', 'support', 'admin'];
+const REQUIRED_USER_TYPES = (
+  process.env.TWO_FACTOR_REQUIRED_USER_TYPES || 'support'
+)
+  .split(',')
+  .map((userType) => userType.trim())
+  .filter(Boolean);
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'FoodFast';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const hashCode = (code) =>
+  crypto.createHash('sha256').update(code).digest('hex');
+
+const challengeKey = (challengeToken) =>
+  `two_factor_challenge:${challengeToken}`;
+
+const isTwoFactorAllowed = (userType) =>
+  TWO_FACTOR_USER_TYPES.includes(userType);
+
+const isTwoFactorRequired = (userType) =>
+  isTwoFactorAllowed(userType) && REQUIRED_USER_TYPES.includes(userType);
+
+/**
+ * 2FA state for a user, or null when never set up
+ */
+async function getTwoFactor(userId) {
+  const result = await query(
+    `SELECT user_id, secret, enabled_at, last_used_step
+     FROM user_two_factor WHERE user_id = $1`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Start (or restart) enrolment: store a fresh, not yet enabled secret
+ * Returns the secret and the otpauth:// URI to render as a QR code.
+ */
+async function startEnrollment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await query(
+    `INSERT INTO user_two_factor (user_id, secret)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE
+       SET secret = EXCLUDED.secret, enabled_at = NULL, last_used_step = NULL,
+           updated_at = CURRENT_TIMESTAMP`,
+    [user.id, secret]
+  );
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUri =
+    `otpauth://totp/${label}?secret=${secret}` +
+    `&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+
+  return { secret, otpauthUri };
+}
+
+/**
+ * Finish enrolment with a code from the app.
+ * Returns fresh recovery codes, or null when the code is wrong.
+ */
+async function confirmEnrollment(userId, code) {
+  const twoFactor = await getTwoFactor(userId);
+  if (!twoFactor || twoFactor.enabled_at) {
+    return null;
+  }
+
+  const step = matchTotp(twoFactor.secret, code, twoFactor.last_used_step);
+  if (step === null) {
+    return null;
+  }
+
+  return transaction(async (dbClient) => {
+    await dbClient.query(
+      `UPDATE user_two_factor
+       SET enabled_at = CURRENT_TIMESTAMP, last_used_step = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2`,
+      [step, userId]
+    );
+
+    return replaceRecoveryCodes(dbClient, userId);
+  });
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * Codes are single-use: a TOTP step or recovery code can't be replayed.
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const twoFactor = await getTwoFactor(userId);
+  if (!twoFactor || !twoFactor.enabled_at) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const normalized = String(recoveryCode)
+      .toLowerCase()
+      .replace(/[^0-9a-f]/g, '');
+
+    const result = await query(
+      `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashCode(normalized)]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  const step = matchTotp(twoFactor.secret, code, twoFactor.last_used_step);
+  if (step === null) {
+    return false;
+  }
+
+  // Only advance forwards so two requests can't both spend the same step
+  const result = await query(
+    `UPDATE user_two_factor SET last_used_step = $1
+     WHERE user_id = $2 AND (last_used_step IS NULL OR last_used_step < $1)
+     RETURNING user_id`,
+    [step, userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Issue a new set of recovery codes, invalidating the old ones
+ */
+async function regenerateRecoveryCodes(userId) {
+  return transaction((dbClient) => replaceRecoveryCodes(dbClient, userId));
+}
+
+/**
+ * How many unused recovery codes a user has left
+ */
+async function countRecoveryCodes(userId) {
+  const result = await query(
+    `SELECT COUNT(*) as remaining FROM two_factor_recovery_codes
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId]
+  );
+
+  return parseInt(result.rows[0].remaining);
+}
+
+/**
+ * Remove 2FA (and recovery codes) for a user
+ */
+async function disableTwoFactor(userId, dbClient) {
+  const runQuery = dbClient ? dbClient.query.bind(dbClient) : query;
+
+  await runQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [
+    userId,
+  ]);
+  const result = await runQuery(
+    'DELETE FROM user_two_factor WHERE user_id = $1 RETURNING user_id',
+    [userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Park a half-finished login in Redis until the second step.
+ * purpose: 'verify' (enter a code) or 'enroll' (policy requires setup first)
+ */
+async function createLoginChallenge(userId, purpose) {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+
+  await setWithExpiry(
+    challengeKey(challengeToken),
+    { userId, purpose, attempts: 0 },
+    CHALLENGE_TTL_SECONDS
+  );
+
+  return { challengeToken, expiresIn: CHALLENGE_TTL_SECONDS };
+}
+
+async function getLoginChallenge(challengeToken) {
+  return get(challengeKey(challengeToken));
+}
+
+/**
+ * Count a wrong code; the challenge is dropped after too many
+ */
+async function recordChallengeFailure(challengeToken, challenge) {
+  const attempts = challenge.attempts + 1;
+
+  if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    await del(challengeKey(challengeToken));
+    return { attemptsRemaining: 0 };
+  }
+
+  await client.set(
+    challengeKey(challengeToken),
+    JSON.stringify({ ...challenge, attempts }),
+    { KEEPTTL: true }
+  );
+
+  return { attemptsRemaining: MAX_CHALLENGE_ATTEMPTS - attempts };
+}
+
+async function consumeLoginChallenge(challengeToken) {
+  await del(challengeKey(challengeToken));
+}
+
+// Helper function to swap a user's recovery codes inside a transaction
+async function replaceRecoveryCodes(dbClient, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await dbClient.query(
+    'DELETE FROM two_factor_recovery_codes WHERE user_id = $1',
+    [userId]
+  );
+
+  for (const code of codes) {
+    await dbClient.query(
+      `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+       VALUES ($1, $2)`,
+      [userId, hashCode(code.replace('-', ''))]
+    );
+  }
+
+  return codes;
+}
+
+// Helper function to find the time step a code belongs to (within drift)
+function matchTotp(secret, code, lastUsedStep) {
+  if (!/^\d{6}$/.test(String(code || ''))) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  const secretBytes = base32Decode(secret);
+
+  for (
+    let step = currentStep - ALLOWED_DRIFT_STEPS;
+    step <= currentStep + ALLOWED_DRIFT_STEPS;
+    step++
+  ) {
+    if (lastUsedStep !== null && step <= Number(lastUsedStep)) {
+      continue;
+    }
+
+    const expected = Buffer.from(hotp(secretBytes, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// Helper function to compute an HOTP code (RFC 4226) for a counter
+function hotp(secretBytes, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto
+    .createHmac('sha1', secretBytes)
+    .update(counterBuffer)
+    .digest();
+
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+// Helper function to base32-encode a secret (RFC 4648, no padding)
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+// Helper function to decode a base32 secret
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+module.exports = {
+  isTwoFactorAllowed,
+  isTwoFactorRequired,
+  getTwoFactor,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge,
+};
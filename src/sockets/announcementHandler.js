@@ -1,4 +1,5 @@
 const { subscribe } = require('../config/redis');
+const { guardEvent } = require('../middleware/socketAuth');
 
 // FEATURE 6: System-Wide Announcements Socket Handler
 // Pub/Sub pattern implementation for broadcasting announcements
@@ -7,72 +8,62 @@ const { subscribe } = require('../config/redis');
  * Handle announcement-specific WebSocket events
  */
 function announcementHandler(io, socket) {
+  // Authenticated by the io.use() handshake middleware
+  const { user } = socket.data;
+
   // User subscribes to announcements based on their user type
-  socket.on('subscribe-announcements', async (data) => {
-    try {
-      const { userType, token } = data;
+  socket.on(
+    'subscribe-announcements',
+    guardEvent(socket, 'announcements:receive', async () => {
+      try {
+        // Audience comes from the account, not the client payload
+        const userType = user.user_type;
 
-      if (!token) {
-        socket.emit('error', { message: 'Authentication token required' });
-        return;
-      }
+        // Join announcement room based on user type
+        const roomName = `announcements-${userType}`;
+        socket.join(roomName);
+        socket.join('announcements-all'); // All users get general announcements
 
-      // Verify token and get user info
-      const userId = await verifyTokenAndGetUserId(token);
-      if (!userId) {
-        socket.emit('error', { message: 'Invalid authentication token' });
-        return;
-      }
+        socket.announcementRoom = roomName;
 
-      const validUserTypes = ['customer', 'restaurant', 'driver', 'support'];
-      if (!validUserTypes.includes(userType)) {
+        socket.emit('subscribed-announcements', {
+          userType,
+          rooms: [roomName, 'announcements-all'],
+          message: 'Subscribed to announcements successfully',
+        });
+
+        console.log(
+          `User ${user.id} (${userType}) subscribed to announcements`
+        );
+      } catch (error) {
+        console.error('Subscribe announcements error:', error);
         socket.emit('error', {
-          message: 'Invalid user type',
-          validTypes: validUserTypes,
+          message: 'Failed to subscribe to announcements',
         });
-        return;
       }
-
-      // Join announcement room based on user type
-      const roomName = `announcements-${userType}`;
-      socket.join(roomName);
-      socket.join('announcements-all'); // All users get general announcements
-
-      socket.userType = userType;
-      socket.userId = userId;
-
-      socket.emit('subscribed-announcements', {
-        userType,
-        rooms: [roomName, 'announcements-all'],
-        message: 'Subscribed to announcements successfully',
-      });
-
-      console.log(`User ${userId} (${userType}) subscribed to announcements`);
-    } catch (error) {
-      console.error('Subscribe announcements error:', error);
-      socket.emit('error', { message: 'Failed to subscribe to announcements' });
-    }
-  });
+    })
+  );
 
   // Unsubscribe from announcements
   socket.on('unsubscribe-announcements', () => {
-    if (socket.userType) {
-      socket.leave(`announcements-${socket.userType}`);
+    if (socket.announcementRoom) {
+      socket.leave(socket.announcementRoom);
       socket.leave('announcements-all');
 
       socket.emit('unsubscribed-announcements', {
         message: 'Unsubscribed from announcements',
       });
 
-      console.log(`User ${socket.userId} unsubscribed from announcements`);
+      console.log(`User ${user.id} unsubscribed from announcements`);
+      socket.announcementRoom = null;
     }
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
-    if (socket.userType && socket.userId) {
+    if (socket.announcementRoom) {
       console.log(
-        `User ${socket.userId} (${socket.userType}) disconnected from announcements`
+        `User ${user.id} (${user.user_type}) disconnected from announcements`
       );
     }
   });
@@ -117,18 +108,6 @@ function initializeAnnouncementSubscribers(io) {
   });
 }
 
-// Helper function to verify JWT token
-async function verifyTokenAndGetUserId(token) {
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded.userId;
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return null;
-  }
-}
-
 // Helper function to determine display duration based on announcement type
 function getDisplayDuration(type) {
   const durations = {
@@ -1,4 +1,5 @@
 const { query } = require('../config/database');
+const { socketHasPermission } = require('../middleware/socketAuth');
 
 // FEATURE 5: Customer Support Chat Socket Handler
 // WebSocket implementation for real-time chat functionality
@@ -7,47 +8,26 @@ const { query } = require('../config/database');
  * Handle chat-specific WebSocket events
  */
 function chatHandler(io, socket) {
+  // Authenticated by the io.use() handshake middleware
+  const { user } = socket.data;
+  const userName = `${user.first_name} ${user.last_name}`;
+
   // Join a specific support chat room
   socket.on('join-support-chat', async (data) => {
     try {
-      const { chatId, token } = data;
-
-      if (!token) {
-        socket.emit('error', { message: 'Authentication token required' });
-        return;
-      }
-
-      // Verify token and get user info
-      const userId = await verifyTokenAndGetUserId(token);
-      if (!userId) {
-        socket.emit('error', { message: 'Invalid authentication token' });
-        return;
-      }
-
-      // Get user details
-      const userResult = await query(
-        'SELECT id, user_type, first_name, last_name FROM users WHERE id = $1',
-        [userId]
-      );
-
-      if (userResult.rows.length === 0) {
-        socket.emit('error', { message: 'User not found' });
-        return;
-      }
-
-      const user = userResult.rows[0];
+      const { chatId } = data;
 
       // Verify access to chat
       let chatCheck;
-      if (user.user_type === 'customer') {
+      if (socketHasPermission(socket, 'support:chats:handle')) {
         chatCheck = await query(
-          'SELECT id, status, agent_id FROM support_chats WHERE id = $1 AND customer_id = $2',
-          [chatId, userId]
+          'SELECT id, status, customer_id FROM support_chats WHERE id = $1 AND (agent_id = $2 OR agent_id IS NULL)',
+          [chatId, user.id]
         );
-      } else if (user.user_type === 'support') {
+      } else if (socketHasPermission(socket, 'support:chats:own')) {
         chatCheck = await query(
-          'SELECT id, status, customer_id FROM support_chats WHERE id = $1 AND (agent_id = $2 OR agent_id IS NULL)',
-          [chatId, userId]
+          'SELECT id, status, agent_id FROM support_chats WHERE id = $1 AND customer_id = $2',
+          [chatId, user.id]
         );
       } else {
         socket.emit('error', { message: 'Access denied' });
@@ -62,10 +42,6 @@ function chatHandler(io, socket) {
       const chat = chatCheck.rows[0];
       const roomName = `chat-${chatId}`;
 
-      // Store user info in socket
-      socket.userId = userId;
-      socket.userType = user.user_type;
-      socket.userName = `${user.first_name} ${user.last_name}`;
       socket.chatId = chatId;
 
       // Join chat room
@@ -75,20 +51,20 @@ function chatHandler(io, socket) {
         chatId,
         room: roomName,
         userType: user.user_type,
-        userName: socket.userName,
+        userName,
         chatStatus: chat.status,
         message: 'Connected to support chat',
       });
 
       // Notify other participants that user joined
       socket.to(roomName).emit('user-joined-chat', {
-        userId,
-        userName: socket.userName,
+        userId: user.id,
+        userName,
         userType: user.user_type,
         timestamp: new Date().toISOString(),
       });
 
-      console.log(`User ${userId} (${user.user_type}) joined chat ${chatId}`);
+      console.log(`User ${user.id} (${user.user_type}) joined chat ${chatId}`);
     } catch (error) {
       console.error('Join chat error:', error);
       socket.emit('error', { message: 'Failed to join chat' });
@@ -100,7 +76,7 @@ function chatHandler(io, socket) {
     try {
       const { message, messageType = 'text' } = data;
 
-      if (!socket.chatId || !socket.userId) {
+      if (!socket.chatId) {
         socket.emit('error', { message: 'Not connected to any chat' });
         return;
       }
@@ -122,7 +98,7 @@ function chatHandler(io, socket) {
         `INSERT INTO chat_messages (chat_id, sender_id, message, message_type)
          VALUES ($1, $2, $3, $4)
          RETURNING id, created_at`,
-        [socket.chatId, socket.userId, message.trim(), messageType]
+        [socket.chatId, user.id, message.trim(), messageType]
       );
 
       const newMessage = result.rows[0];
@@ -137,9 +113,9 @@ function chatHandler(io, socket) {
       const messageData = {
         id: newMessage.id,
         chatId: socket.chatId,
-        senderId: socket.userId,
-        senderName: socket.userName,
-        senderType: socket.userType,
+        senderId: user.id,
+        senderName: userName,
+        senderType: user.user_type,
         message: message.trim(),
         messageType,
         createdAt: newMessage.created_at,
@@ -165,9 +141,9 @@ function chatHandler(io, socket) {
   socket.on('typing-start', () => {
     if (socket.chatId) {
       socket.to(`chat-${socket.chatId}`).emit('user-typing', {
-        userId: socket.userId,
-        userName: socket.userName,
-        userType: socket.userType,
+        userId: user.id,
+        userName,
+        userType: user.user_type,
         isTyping: true,
       });
     }
@@ -176,9 +152,9 @@ function chatHandler(io, socket) {
   socket.on('typing-stop', () => {
     if (socket.chatId) {
       socket.to(`chat-${socket.chatId}`).emit('user-typing', {
-        userId: socket.userId,
-        userName: socket.userName,
-        userType: socket.userType,
+        userId: user.id,
+        userName,
+        userType: user.user_type,
         isTyping: false,
       });
     }
@@ -189,7 +165,7 @@ function chatHandler(io, socket) {
     try {
       const { upToMessageId } = data;
 
-      if (!socket.chatId || !socket.userId) {
+      if (!socket.chatId) {
         return;
       }
 
@@ -198,13 +174,13 @@ function chatHandler(io, socket) {
         `UPDATE chat_messages 
          SET is_read = true 
          WHERE chat_id = $1 AND sender_id != $2 AND id <= $3`,
-        [socket.chatId, socket.userId, upToMessageId]
+        [socket.chatId, user.id, upToMessageId]
       );
 
       // Notify other participants
       socket.to(`chat-${socket.chatId}`).emit('messages-read', {
-        readBy: socket.userId,
-        readByName: socket.userName,
+        readBy: user.id,
+        readByName: userName,
         upToMessageId,
         timestamp: new Date().toISOString(),
       });
@@ -218,7 +194,10 @@ function chatHandler(io, socket) {
     try {
       const { toAgentId, reason } = data;
 
-      if (socket.userType !== 'support' || !socket.chatId) {
+      if (
+        !socketHasPermission(socket, 'support:chats:transfer') ||
+        !socket.chatId
+      ) {
         socket.emit('error', {
           message: 'Only support agents can transfer chats',
         });
@@ -264,7 +243,7 @@ function chatHandler(io, socket) {
          VALUES ($1, $2, $3, 'text')`,
         [
           socket.chatId,
-          socket.userId,
+          user.id,
           `Chat transferred to ${targetAgent.rows[0].first_name} ${
             targetAgent.rows[0].last_name
           }. Reason: ${reason || 'No reason specified'}`,
@@ -273,7 +252,7 @@ function chatHandler(io, socket) {
 
       // Notify all participants
       io.to(`chat-${socket.chatId}`).emit('chat-transferred', {
-        fromAgent: socket.userName,
+        fromAgent: userName,
         toAgent: `${targetAgent.rows[0].first_name} ${targetAgent.rows[0].last_name}`,
         reason,
         timestamp: new Date().toISOString(),
@@ -293,13 +272,13 @@ function chatHandler(io, socket) {
     if (socket.chatId) {
       const roomName = `chat-${socket.chatId}`;
       socket.to(roomName).emit('user-left-chat', {
-        userId: socket.userId,
-        userName: socket.userName,
-        userType: socket.userType,
+        userId: user.id,
+        userName,
+        userType: user.user_type,
         timestamp: new Date().toISOString(),
       });
       socket.leave(roomName);
-      console.log(`User ${socket.userId} left chat ${socket.chatId}`);
+      console.log(`User ${user.id} left chat ${socket.chatId}`);
       socket.chatId = null;
     }
   });
@@ -308,29 +287,15 @@ function chatHandler(io, socket) {
   socket.on('disconnect', () => {
     if (socket.chatId) {
       socket.to(`chat-${socket.chatId}`).emit('user-left-chat', {
-        userId: socket.userId,
-        userName: socket.userName,
-        userType: socket.userType,
+        userId: user.id,
+        userName,
+        userType: user.user_type,
         timestamp: new Date().toISOString(),
         reason: 'disconnected',
       });
-      console.log(
-        `User ${socket.userId} disconnected from chat ${socket.chatId}`
-      );
+      console.log(`User ${user.id} disconnected from chat ${socket.chatId}`);
     }
   });
 }
 
-// Helper function to verify JWT token
-async function verifyTokenAndGetUserId(token) {
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded.userId;
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return null;
-  }
-}
-
 module.exports = { chatHandler };
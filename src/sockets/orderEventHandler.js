@@ -0,0 +1,186 @@
+const { subscribe } = require('../config/redis');
+const { DOMAIN_EVENTS_CHANNEL } = require('../services/eventDispatcher');
+const { TERMINAL_STATUSES } = require('../services/orderLifecycleService');
+const {
+  sendToOrderStreams,
+  endOrderStreams,
+} = require('../services/sseService');
+const {
+  notifyRestaurantNewOrder,
+  getStatusMessage,
+  leaveRestaurantRoom,
+} = require('./restaurantHandler');
+
+// Delivers domain events (services/eventDispatcher.js) to the clients
+// connected to this instance. Every instance subscribes, so each one only
+// reaches its own sockets and SSE streams:
+//   restaurant staff - restaurant-<id> room (left again when removed; the
+//                      socket's role follows role changes)
+//   customers/drivers - their personal user-<id> room
+//   order trackers - SSE streams following the order
+
+const deliveries = {
+  'order.created': async (io, data) => {
+    // Scheduled orders reach the kitchen when they're released
+    if (data.status === 'scheduled') return;
+
+    // Skip the order lookup when no staff of that restaurant are here
+    if (!hasLocalMembers(io, `restaurant-${data.restaurantId}`)) return;
+
+    await notifyRestaurantNewOrder(io, data.restaurantId, {
+      orderId: data.orderId,
+    });
+  },
+
+  'order.status_changed': async (io, data, occurredAt) => {
+    // A released scheduled order is new to the kitchen
+    if (
+      data.fromStatus === 'scheduled' &&
+      data.toStatus === 'confirmed' &&
+      hasLocalMembers(io, `restaurant-${data.restaurantId}`)
+    ) {
+      await notifyRestaurantNewOrder(io, data.restaurantId, {
+        orderId: data.orderId,
+      });
+    }
+
+    io.to(`restaurant-${data.restaurantId}`).emit('order-status-updated', {
+      orderId: data.orderId,
+      status: data.toStatus,
+      previousStatus: data.fromStatus,
+      updatedBy: data.actorId,
+      timestamp: occurredAt,
+      estimatedTime: data.estimatedTime,
+    });
+
+    const update = {
+      orderId: data.orderId,
+      status: data.toStatus,
+      message: getStatusMessage(data.toStatus),
+      estimatedTime: data.estimatedTime,
+      timestamp: occurredAt,
+    };
+
+    io.to(`user-${data.customerId}`).emit('order-status-update', update);
+
+    if (data.toStatus === 'cancelled') {
+      const cancellation = {
+        orderId: data.orderId,
+        cancelledBy: data.actorType,
+        reason: data.reason,
+        reasonCode: data.reasonCode,
+        timestamp: occurredAt,
+      };
+
+      // The kitchen can stop work (it never saw an unreleased scheduled
+      // order), and the assigned driver knows the run is off
+      if (data.fromStatus !== 'scheduled') {
+        io.to(`restaurant-${data.restaurantId}`).emit(
+          'order-cancelled',
+          cancellation
+        );
+      }
+      if (data.driverId) {
+        io.to(`user-${data.driverId}`).emit('order-cancelled', cancellation);
+      }
+    }
+
+    sendToOrderStreams(data.orderId, { type: 'status_update', data: update });
+
+    // Nothing left to follow once the order is finished
+    if (TERMINAL_STATUSES.includes(data.toStatus)) {
+      endOrderStreams(data.orderId, {
+        type: 'stream_ended',
+        data: { orderId: data.orderId, status: data.toStatus },
+      });
+    }
+  },
+
+  'order.driver_assigned': async (io, data, occurredAt) => {
+    const assignment = {
+      orderId: data.orderId,
+      driverId: data.driverId,
+      timestamp: occurredAt,
+    };
+
+    io.to(`user-${data.customerId}`).emit('driver-assigned', assignment);
+    io.to(`restaurant-${data.restaurantId}`).emit(
+      'order-driver-assigned',
+      assignment
+    );
+  },
+
+  'driver.location_updated': async (io, data) => {
+    sendToOrderStreams(data.orderId, {
+      type: 'location_update',
+      data: {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timestamp: data.timestamp,
+        orderId: data.orderId,
+      },
+    });
+  },
+
+  'restaurant.staff_removed': async (io, data, occurredAt) => {
+    const sockets = await io.in(`user-${data.userId}`).fetchSockets();
+
+    // Former staff stop receiving the restaurant's orders and lose the role
+    // their socket joined with
+    sockets
+      .filter(
+        (socket) => String(socket.restaurantId) === String(data.restaurantId)
+      )
+      .forEach((socket) => {
+        leaveRestaurantRoom(socket);
+        socket.emit('removed-from-restaurant', {
+          restaurantId: data.restaurantId,
+          timestamp: occurredAt,
+        });
+      });
+  },
+
+  'restaurant.staff_role_changed': async (io, data, occurredAt) => {
+    const sockets = await io.in(`user-${data.userId}`).fetchSockets();
+
+    // Staff permissions on the socket follow the new role right away
+    sockets
+      .filter(
+        (socket) => String(socket.restaurantId) === String(data.restaurantId)
+      )
+      .forEach((socket) => {
+        socket.restaurantRole = data.role;
+        socket.emit('restaurant-role-changed', {
+          restaurantId: data.restaurantId,
+          role: data.role,
+          timestamp: occurredAt,
+        });
+      });
+  },
+};
+
+// Subscribe this instance to the domain event channel
+async function initializeOrderEventDelivery(io) {
+  await subscribe(DOMAIN_EVENTS_CHANNEL, async (event) => {
+    const deliver = deliveries[event.type];
+    if (!deliver) return;
+
+    try {
+      await deliver(io, event.data, event.occurredAt);
+    } catch (error) {
+      console.error(`Error delivering ${event.type} event:`, error);
+    }
+  });
+
+  console.log(`Subscribed to Redis channel: ${DOMAIN_EVENTS_CHANNEL}`);
+}
+
+// Helper function to check whether a room has sockets on this instance
+function hasLocalMembers(io, roomName) {
+  const room = io.sockets.adapter.rooms.get(roomName);
+  return Boolean(room && room.size > 0);
+}
+
+module.exports = {
+  initializeOrderEventDelivery,
+};
@@ -1,5 +1,11 @@
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { getMembership } = require('../services/restaurantStaffService');
+const { guardEvent, socketHasPermission } = require('../middleware/socketAuth');
+const {
+  actorFromSocket,
+  transitionOrder,
+} = require('../services/orderLifecycleService');
+const { ORDER_ITEM_MODIFIERS_JSON } = require('../services/menuOptionService');
 
 // FEATURE 4: Restaurant Order Notifications Socket Handler
 // WebSocket implementation for instant order delivery to restaurants
@@ -8,63 +14,54 @@ const { authenticateToken } = require('../middleware/auth');
  * Handle restaurant-specific WebSocket events
  */
 function restaurantHandler(io, socket) {
-  // Restaurant staff joins their restaurant room for order notifications
-  socket.on('join-restaurant', async (data) => {
-    try {
-      const { restaurantId, token } = data;
-
-      if (!token) {
-        socket.emit('error', { message: 'Authentication token required' });
-        return;
-      }
-
-      // Verify token and restaurant access
-      // Note: In production, you'd want to properly verify JWT here
-      const userId = await verifyTokenAndGetUserId(token);
+  // Authenticated by the io.use() handshake middleware
+  const { user } = socket.data;
 
-      if (!userId) {
-        socket.emit('error', { message: 'Invalid authentication token' });
-        return;
-      }
-
-      // Verify user has access to this restaurant
-      const restaurantCheck = await query(
-        'SELECT id, name FROM restaurants WHERE id = $1 AND user_id = $2',
-        [restaurantId, userId]
-      );
+  // Restaurant staff joins their restaurant room for order notifications
+  socket.on(
+    'join-restaurant',
+    guardEvent(socket, 'restaurant:access', async (data) => {
+      try {
+        const { restaurantId } = data;
+
+        // Verify user is on this restaurant's staff
+        const membership = await getMembership(user.id, restaurantId);
+
+        if (!membership) {
+          socket.emit('error', { message: 'Access denied to restaurant' });
+          return;
+        }
+
+        const roomName = `restaurant-${restaurantId}`;
+
+        // One restaurant per socket: switching leaves the previous room
+        leaveRestaurantRoom(socket);
+
+        // Join restaurant room
+        socket.join(roomName);
+        socket.restaurantId = restaurantId;
+        socket.restaurantRole = membership.role;
+
+        socket.emit('joined-restaurant', {
+          restaurantId,
+          restaurantName: membership.restaurantName,
+          role: membership.role,
+          room: roomName,
+          message: 'Connected to restaurant notifications',
+        });
 
-      if (restaurantCheck.rows.length === 0) {
-        socket.emit('error', { message: 'Access denied to restaurant' });
-        return;
+        console.log(`Restaurant staff ${user.id} joined room ${roomName}`);
+      } catch (error) {
+        console.error('Join restaurant error:', error);
+        socket.emit('error', { message: 'Failed to join restaurant' });
       }
-
-      const restaurant = restaurantCheck.rows[0];
-      const roomName = `restaurant-${restaurantId}`;
-
-      // Join restaurant room
-      socket.join(roomName);
-      socket.restaurantId = restaurantId;
-      socket.userId = userId;
-
-      socket.emit('joined-restaurant', {
-        restaurantId,
-        restaurantName: restaurant.name,
-        room: roomName,
-        message: 'Connected to restaurant notifications',
-      });
-
-      console.log(`Restaurant staff ${userId} joined room ${roomName}`);
-    } catch (error) {
-      console.error('Join restaurant error:', error);
-      socket.emit('error', { message: 'Failed to join restaurant' });
-    }
-  });
+    })
+  );
 
   // Leave restaurant room
   socket.on('leave-restaurant', () => {
-    if (socket.restaurantId) {
-      const roomName = `restaurant-${socket.restaurantId}`;
-      socket.leave(roomName);
+    const roomName = leaveRestaurantRoom(socket);
+    if (roomName) {
       console.log(`Restaurant staff left room ${roomName}`);
     }
   });
@@ -72,59 +69,22 @@ function restaurantHandler(io, socket) {
   // Handle order status updates from restaurant staff
   socket.on('update-order-status', async (data) => {
     try {
-      const { orderId, status, estimatedTime } = data;
-
-      if (!socket.restaurantId || !socket.userId) {
-        socket.emit('error', {
-          message: 'Not authenticated or not in restaurant room',
-        });
-        return;
-      }
-
-      const validStatuses = ['preparing', 'ready', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        socket.emit('error', {
-          message: 'Invalid status',
-          validStatuses,
-        });
-        return;
-      }
-
-      // Update order status in database
-      const result = await query(
-        `UPDATE orders 
-         SET status = $1, updated_at = CURRENT_TIMESTAMP
-         FROM restaurants r
-         WHERE orders.id = $2 AND orders.restaurant_id = r.id AND r.user_id = $3
-         RETURNING orders.id, orders.customer_id, orders.status, orders.total_amount`,
-        [status, orderId, socket.userId]
-      );
+      const { orderId, status, estimatedTime, reason } = data;
 
-      if (result.rows.length === 0) {
+      if (!socket.restaurantId) {
         socket.emit('error', {
-          message: 'Order not found or access denied',
+          message: 'Not in restaurant room',
         });
         return;
       }
 
-      const order = result.rows[0];
-
-      // Emit to all restaurant staff in the room
-      io.to(`restaurant-${socket.restaurantId}`).emit('order-status-updated', {
-        orderId: order.id,
-        status: order.status,
-        updatedBy: socket.userId,
-        timestamp: new Date().toISOString(),
-        estimatedTime,
-      });
-
-      // Notify customer of status change
-      io.to(`customer-${order.customer_id}`).emit('order-status-update', {
-        orderId: order.id,
-        status: order.status,
-        message: getStatusMessage(order.status),
-        estimatedTime,
-        timestamp: new Date().toISOString(),
+      // Legal transitions and role checks live in the order lifecycle, which
+      // publishes order.status_changed for the restaurant room and customer
+      await transitionOrder({
+        orderId,
+        toStatus: status,
+        actor: actorFromSocket(socket),
+        metadata: { estimatedTime, reason },
       });
 
       socket.emit('status-update-confirmed', {
@@ -133,6 +93,11 @@ function restaurantHandler(io, socket) {
         message: 'Order status updated successfully',
       });
     } catch (error) {
+      if (error.name === 'OrderTransitionError') {
+        socket.emit('error', { message: error.message, ...error.details });
+        return;
+      }
+
       console.error('Order status update error:', error);
       socket.emit('error', { message: 'Failed to update order status' });
     }
@@ -146,6 +111,11 @@ function restaurantHandler(io, socket) {
         return;
       }
 
+      if (!socketHasPermission(socket, 'orders:read')) {
+        socket.emit('error', { message: 'Access denied' });
+        return;
+      }
+
       const today = new Date().toISOString().split('T')[0];
       const statsResult = await query(
         `SELECT 
@@ -187,20 +157,11 @@ function restaurantHandler(io, socket) {
   });
 }
 
-// Helper function to verify JWT token (simplified for demo)
-async function verifyTokenAndGetUserId(token) {
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded.userId;
-  } catch (error) {
-    return null;
-  }
-}
-
 // Helper function to get user-friendly status messages
 function getStatusMessage(status) {
   const messages = {
+    scheduled:
+      'Your order is scheduled. The restaurant will start on it ahead of your delivery time.',
     confirmed: 'Your order has been confirmed and sent to the restaurant.',
     preparing: 'The restaurant is preparing your order.',
     ready: 'Your order is ready for pickup! A driver will collect it soon.',
@@ -211,7 +172,7 @@ function getStatusMessage(status) {
   return messages[status] || 'Order status updated.';
 }
 
-// Function to emit new order to restaurant (called from order creation)
+// Function to emit new order to restaurant (called for order.created events)
 async function notifyRestaurantNewOrder(io, restaurantId, orderData) {
   try {
     const roomName = `restaurant-${restaurantId}`;
@@ -219,7 +180,7 @@ async function notifyRestaurantNewOrder(io, restaurantId, orderData) {
     // Get detailed order information
     const orderResult = await query(
       `SELECT o.id, o.customer_id, o.total_amount, o.delivery_address, 
-              o.special_instructions, o.status, o.created_at,
+              o.special_instructions, o.status, o.scheduled_for, o.created_at,
               c.first_name || ' ' || c.last_name as customer_name,
               c.phone as customer_phone,
               json_agg(
@@ -227,7 +188,8 @@ async function notifyRestaurantNewOrder(io, restaurantId, orderData) {
                   'name', mi.name,
                   'quantity', oi.quantity,
                   'price_per_item', oi.price_per_item,
-                  'total', oi.quantity * oi.price_per_item
+                  'total', oi.quantity * oi.price_per_item,
+                  'modifiers', ${ORDER_ITEM_MODIFIERS_JSON}
                 )
               ) as items
        FROM orders o
@@ -256,6 +218,7 @@ async function notifyRestaurantNewOrder(io, restaurantId, orderData) {
       specialInstructions: order.special_instructions,
       items: order.items,
       createdAt: order.created_at,
+      scheduledFor: order.scheduled_for,
       status: order.status,
       urgency: 'high', // New orders are high priority
       sound: true, // Tell client to play notification sound
@@ -268,7 +231,23 @@ async function notifyRestaurantNewOrder(io, restaurantId, orderData) {
   }
 }
 
+// Helper function to take a socket out of its restaurant room and forget
+// the role it joined with. Returns the room left, or null.
+function leaveRestaurantRoom(socket) {
+  if (!socket.restaurantId) {
+    return null;
+  }
+
+  const roomName = `restaurant-${socket.restaurantId}`;
+  socket.leave(roomName);
+  socket.restaurantId = null;
+  socket.restaurantRole = null;
+  return roomName;
+}
+
 module.exports = {
   restaurantHandler,
+  leaveRestaurantRoom,
   notifyRestaurantNewOrder,
+  getStatusMessage,
 };